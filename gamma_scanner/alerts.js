@@ -0,0 +1,401 @@
+/**
+ * Alerts
+ * Sends scan candidates to the places results are read, instead of only the
+ * console. Channels (any number, from alerts.json / alerts.yaml):
+ *
+ *   { type: 'telegram', token, chatId }          Telegram Bot API
+ *   { type: 'discord', url }                     Discord webhook
+ *   { type: 'webhook', url, headers }            JSON POST { profile, symbol, score, text, candidate }
+ *   { type: 'email', host, port, secure, user, pass, from, to, insecure }   SMTP
+ *   { type: 'file', file }                       Append to a local file
+ *   { type: 'dryrun', url }                      Print only (and POST the webhook payload to `url`)
+ *
+ * Telegram / Discord / webhook accept `apiBase` / `url` pointing at a local
+ * stand-in (see startStandIn) for testing. String values may use ${ENV_VAR}.
+ *
+ * Each symbol is alerted at most once per `cooldownMinutes` (alert_history.json),
+ * across profiles. `template` replaces the default candidate card:
+ * "{symbol} {profile} {score}/100 @ ${price:2}" ({field} or {field:decimals}).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const axios = require('axios');
+const { ConfigError, loadConfigFile } = require('./config.js');
+const { formatGex } = require('./gex.js');
+
+const DEFAULT_CONFIG_FILES = ['alerts.json', 'alerts.yaml', 'alerts.yml'].map(f => path.join(__dirname, f));
+const HISTORY_FILE = path.join(__dirname, 'alert_history.json');
+const DEFAULT_COOLDOWN_MINUTES = 240;
+const TIMEOUT_MS = 10000;
+
+// ============ MESSAGES ============
+
+// Default candidate card: headline, the profile's own lines, GEX and the best penny option
+function formatCard(profile, s) {
+  const lines = [`🎯 ${s.symbol} | ${profile.name} | Score: ${s.score}/100`];
+  lines.push(...profile.format(s).map(line => line.trim()));
+
+  if (s.netGex !== null && s.netGex !== undefined) {
+    const wall = s.callWall === null ? 'n/a' : `$${s.callWall.toFixed(2)}`;
+    lines.push(`GEX: ${formatGex(s.netGex)}/1% (${s.netGex < 0 ? 'short' : 'long'} gamma) | Call wall: ${wall}`);
+  }
+  const option = s.cheapOptions?.[0];
+  if (option) {
+    lines.push(`Option: ${option.type.toUpperCase()} $${option.strike} ${option.expiry} @ $${option.mid.toFixed(2)} | OI ${option.openInterest}`);
+  }
+  return lines.join('\n');
+}
+
+// "{symbol} @ ${price:2}" -> "GME @ $17.80"
+function renderTemplate(template, data) {
+  return template.replace(/\{(\w+)(?::(\d+))?\}/g, (match, field, digits) => {
+    const value = data[field];
+    if (value === undefined || value === null) return 'n/a';
+    return digits !== undefined && typeof value === 'number' ? value.toFixed(parseInt(digits)) : String(value);
+  });
+}
+
+// ============ SMTP ============
+
+// Minimal SMTP client: implicit TLS (secure) or STARTTLS when offered, AUTH LOGIN.
+// Credentials are only sent over TLS: a server without STARTTLS is refused
+// unless the channel sets `insecure: true` (e.g. a local relay).
+function smtpSend({ host, port = 587, secure = port === 465, insecure = false, user, pass, from, to }, { subject, text }) {
+  const recipients = [].concat(to);
+
+  return new Promise((resolve, reject) => {
+    let socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+    let encrypted = secure;
+    let buffer = '';
+    let waiting = null;
+
+    const fail = (e) => {
+      socket.destroy();
+      reject(e);
+    };
+    // A reply is complete at a line "NNN text" (continuations are "NNN-text")
+    const flush = () => {
+      const match = /(?:^|\r\n)(\d{3}) [^\r\n]*\r\n$/.exec(buffer);
+      if (!match || !waiting) return;
+      const resolveReply = waiting;
+      waiting = null;
+      resolveReply({ code: parseInt(match[1]), text: buffer });
+      buffer = '';
+    };
+    const onData = (chunk) => {
+      buffer += chunk.toString('utf8');
+      flush();
+    };
+    const listen = (s) => {
+      s.on('data', onData);
+      s.on('error', fail);
+      s.setTimeout(TIMEOUT_MS, () => fail(new Error(`SMTP ${host}:${port} timed out`)));
+    };
+    const reply = () => new Promise(r => {
+      waiting = r;
+      flush();
+    });
+    const command = async (line, expect) => {
+      if (line !== null) socket.write(line + '\r\n');
+      const res = await reply();
+      if (!expect.includes(res.code)) {
+        throw new Error(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]} failed: ${res.text.trim()}`);
+      }
+      return res;
+    };
+
+    listen(socket);
+    (async () => {
+      await command(null, [220]);
+      let ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+
+      if (!secure && /STARTTLS/i.test(ehlo.text)) {
+        await command('STARTTLS', [220]);
+        socket.removeAllListeners('data');
+        socket = tls.connect({ socket, servername: host });
+        listen(socket);
+        await new Promise((r, e) => socket.once('secureConnect', r).once('error', e));
+        ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+        encrypted = true;
+      }
+
+      if (user && !encrypted && !insecure) {
+        throw new Error(`SMTP ${host}:${port} offers no STARTTLS - not sending the password in clear text (set insecure: true to allow)`);
+      }
+      if (user) {
+        await command('AUTH LOGIN', [334]);
+        await command(Buffer.from(user).toString('base64'), [334]);
+        await command(Buffer.from(pass || '').toString('base64'), [235]);
+      }
+
+      await command(`MAIL FROM:<${from}>`, [250]);
+      for (const rcpt of recipients) await command(`RCPT TO:<${rcpt}>`, [250, 251]);
+      await command('DATA', [354]);
+
+      const body = text.split(/\r?\n/).map(line => (line.startsWith('.') ? '.' + line : line)).join('\r\n');
+      const message = [
+        `From: ${from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit',
+        '',
+        body,
+      ].join('\r\n');
+      await command(`${message}\r\n.`, [250]);
+
+      socket.write('QUIT\r\n');
+      socket.end();
+      resolve();
+    })().catch(fail);
+  });
+}
+
+// ============ CHANNELS ============
+
+const post = (url, payload, headers = {}) => axios.post(url, payload, { timeout: TIMEOUT_MS, headers });
+
+const CHANNELS = {
+  telegram: {
+    required: ['token', 'chatId'],
+    describe: (c) => `telegram chat ${c.chatId}`,
+    send: (c, alert) => post(`${c.apiBase || 'https://api.telegram.org'}/bot${c.token}/sendMessage`, {
+      chat_id: c.chatId,
+      text: alert.text,
+      disable_web_page_preview: true,
+    }),
+  },
+
+  discord: {
+    required: ['url'],
+    describe: () => 'discord webhook',
+    // Discord caps messages at 2000 characters
+    send: (c, alert) => post(c.url, { username: c.username || 'Gamma Scanner', content: alert.text.slice(0, 2000) }),
+  },
+
+  webhook: {
+    required: ['url'],
+    describe: (c) => `webhook ${c.url}`,
+    send: (c, alert) => post(c.url, webhookPayload(alert), c.headers),
+  },
+
+  email: {
+    required: ['host', 'from', 'to'],
+    describe: (c) => `email ${[].concat(c.to).join(', ')}`,
+    send: (c, alert) => smtpSend(c, { subject: alert.title, text: alert.text }),
+  },
+
+  file: {
+    required: [],
+    describe: (c) => `file ${c.file || 'alerts.log'}`,
+    send: async (c, alert) => {
+      const file = path.resolve(__dirname, c.file || 'alerts.log');
+      fs.appendFileSync(file, `[${new Date().toISOString()}] ${alert.title}\n${alert.text}\n\n`);
+    },
+  },
+
+  dryrun: {
+    required: [],
+    describe: (c) => `dry run${c.url ? ` -> ${c.url}` : ''}`,
+    send: async (c, alert) => {
+      console.log(`\n📣 [dry run] ${alert.title}\n${alert.text.split('\n').map(l => '   ' + l).join('\n')}`);
+      if (c.url) await post(c.url, webhookPayload(alert));
+    },
+  },
+};
+
+function webhookPayload(alert) {
+  return { profile: alert.profile, symbol: alert.symbol, score: alert.score, title: alert.title, text: alert.text, candidate: alert.candidate };
+}
+
+// ${VAR} -> process.env.VAR in every string value
+function expandEnv(value) {
+  if (typeof value === 'string') return value.replace(/\$\{(\w+)\}/g, (m, name) => process.env[name] || '');
+  if (Array.isArray(value)) return value.map(expandEnv);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, expandEnv(v)]));
+  }
+  return value;
+}
+
+// ============ CONFIG ============
+
+// Problems with an alerts config (empty = valid)
+function validateAlertConfig(config) {
+  const problems = [];
+  if (!Array.isArray(config.channels) || config.channels.length === 0) {
+    return ['channels: must be a non-empty list'];
+  }
+  config.channels.forEach((c, i) => {
+    const channel = CHANNELS[c?.type];
+    if (!channel) {
+      problems.push(`channels[${i}]: unknown type "${c?.type}" (known: ${Object.keys(CHANNELS).join(', ')})`);
+      return;
+    }
+    channel.required.filter(key => !c[key]).forEach(key => {
+      problems.push(`channels[${i}] (${c.type}): missing ${key}`);
+    });
+  });
+  for (const key of ['cooldownMinutes', 'minScore']) {
+    if (config[key] !== undefined && typeof config[key] !== 'number') problems.push(`${key}: must be a number`);
+  }
+  if (config.template !== undefined && typeof config.template !== 'string') problems.push('template: must be a string');
+  return problems;
+}
+
+// The alerts config from `file` (or alerts.json/.yaml), or a Telegram channel from
+// TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID. null when nothing is configured.
+function loadAlertConfig(file = null) {
+  const found = file || DEFAULT_CONFIG_FILES.find(f => fs.existsSync(f));
+  let config;
+  if (found) {
+    if (!fs.existsSync(found)) throw new ConfigError(found, ['no such file']);
+    config = expandEnv(loadConfigFile(found));
+  } else if (process.env.TELEGRAM_BOT_TOKEN && process.env.TELEGRAM_CHAT_ID) {
+    config = { channels: [{ type: 'telegram', token: process.env.TELEGRAM_BOT_TOKEN, chatId: process.env.TELEGRAM_CHAT_ID }] };
+  } else {
+    return null;
+  }
+
+  const problems = validateAlertConfig(config);
+  if (problems.length > 0) throw new ConfigError(found || 'TELEGRAM_* environment', problems);
+  return { source: found || 'environment', ...config };
+}
+
+// ============ DISPATCH ============
+
+class AlertDispatcher {
+  // dryRun: every channel becomes a dry run and nothing is recorded
+  constructor(config, { historyFile = HISTORY_FILE, dryRun = false } = {}) {
+    this.config = config;
+    this.channels = dryRun ? [{ type: 'dryrun' }] : config.channels;
+    this.dryRun = dryRun;
+    this.cooldownMs = (config.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES) * 60000;
+    this.minScore = config.minScore ?? 0;
+    this.historyFile = historyFile;
+    this.history = {};
+    try {
+      if (fs.existsSync(historyFile)) this.history = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+    } catch (e) {}
+  }
+
+  describe() {
+    return this.channels.map(c => CHANNELS[c.type].describe(c));
+  }
+
+  // Alerted within the cooldown?
+  isCoolingDown(symbol, now = Date.now()) {
+    const last = this.history[symbol];
+    return !!last && now - Date.parse(last.at) < this.cooldownMs;
+  }
+
+  message(profile, s) {
+    const data = { ...s, profile: profile.name };
+    return {
+      profile: profile.name,
+      symbol: s.symbol,
+      score: s.score,
+      title: `Gamma scanner: ${s.symbol} ${profile.name} ${s.score}/100`,
+      text: this.config.template ? renderTemplate(this.config.template, data) : formatCard(profile, s),
+      candidate: s,
+    };
+  }
+
+  // Send one message to every channel: [{ channel, ok, error }]
+  async send(alert) {
+    const outcomes = [];
+    for (const c of this.channels) {
+      try {
+        await CHANNELS[c.type].send(c, alert);
+        outcomes.push({ channel: c.type, ok: true });
+      } catch (e) {
+        outcomes.push({ channel: c.type, ok: false, error: e.response ? `HTTP ${e.response.status}` : e.message });
+      }
+    }
+    return outcomes;
+  }
+
+  // Alert the candidates at or above minScore that aren't cooling down.
+  // A symbol counts as alerted when at least one channel took it.
+  async dispatch(profile, results) {
+    const summary = { sent: [], skipped: [], failed: [] };
+
+    for (const s of results) {
+      if (s.score < this.minScore) continue;
+      if (this.isCoolingDown(s.symbol)) {
+        summary.skipped.push(s.symbol);
+        continue;
+      }
+
+      const outcomes = await this.send(this.message(profile, s));
+      outcomes.filter(o => !o.ok).forEach(o => summary.failed.push(`${s.symbol} (${o.channel}: ${o.error})`));
+      if (outcomes.some(o => o.ok)) {
+        summary.sent.push(s.symbol);
+        if (!this.dryRun) this.history[s.symbol] = { at: new Date().toISOString(), profile: profile.name, score: s.score };
+      }
+    }
+
+    if (!this.dryRun && summary.sent.length > 0) {
+      fs.writeFileSync(this.historyFile, JSON.stringify(this.history, null, 2));
+    }
+    return summary;
+  }
+}
+
+function printDispatch(profileName, summary) {
+  const parts = [`${summary.sent.length} sent`];
+  if (summary.skipped.length > 0) parts.push(`${summary.skipped.length} in cooldown (${summary.skipped.join(', ')})`);
+  console.log(`📣 Alerts ${profileName}: ${parts.join(' | ')}`);
+  summary.failed.forEach(f => console.log(`   ❌ ${f}`));
+}
+
+// ============ STAND-IN ============
+
+// Local HTTP server that accepts any POST and keeps the JSON bodies, for
+// pointing channels at during tests. Resolves to { url, received, close() }.
+function startStandIn(port = 0) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let json = null;
+      try {
+        json = JSON.parse(body);
+      } catch (e) {}
+      received.push({ method: req.method, path: req.url, body: json ?? body });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        received,
+        close: () => new Promise(r => server.close(r)),
+      });
+    });
+  });
+}
+
+module.exports = {
+  HISTORY_FILE,
+  CHANNELS,
+  formatCard,
+  renderTemplate,
+  smtpSend,
+  validateAlertConfig,
+  loadAlertConfig,
+  AlertDispatcher,
+  printDispatch,
+  startStandIn,
+};
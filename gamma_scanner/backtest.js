@@ -0,0 +1,263 @@
+/**
+ * Backtester
+ * Replays a profile's analysis, filter steps and scoring day by day over
+ * stored daily bars, as if the scan had run after each close:
+ *
+ * 1. For every day, hand the profile only the bars it would have seen
+ * 2. Flag days that pass every step with score >= scoreMin
+ * 3. Enter at the next day's open, exit on gap fill / target, stop or after N days
+ * 4. Report hit rate, average return, drawdown and performance by score bucket
+ *
+ * Short interest / float come from the short data store (latest values
+ * only, no history), so they carry some look-ahead.
+ */
+
+const DEFAULT_OPTIONS = {
+  hold: 5,            // Max days in a trade
+  target: 'gapfill',  // 'gapfill' (fill level) or a % gain, e.g. 10
+  stop: null,         // Stop loss %, e.g. 8 (null = none)
+  from: null,         // First signal date (YYYY-MM-DD)
+  to: null,           // Last signal date
+  bucketSize: 10,     // Score bucket width
+};
+
+const avg = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+
+// The quote a live scan would have seen after the close of bars[i]
+function quoteAt(symbol, bars, i) {
+  const bar = bars[i];
+  const recent = bars.slice(Math.max(0, i - 19), i + 1);
+
+  return {
+    symbol,
+    price: bar.close,
+    prevClose: bars[i - 1]?.close || bar.open,
+    open: bar.open,
+    high: bar.high,
+    low: bar.low,
+    volume: bar.volume,
+    avgVolume: avg(recent.map(b => b.volume)),
+  };
+}
+
+// Run the profile on one day; returns the scored candidate or null
+function signalAt(profile, filters, symbol, bars, i) {
+  const window = bars.slice(Math.max(0, i - profile.bars + 1), i + 1);
+
+  let s;
+  try {
+    s = profile.analyze({ symbol, quote: quoteAt(symbol, bars, i), bars: window });
+  } catch (e) {
+    return null;
+  }
+  if (!s) return null;
+
+  for (const step of profile.steps) {
+    if (!step.test(s, filters)) return null;
+  }
+
+  const score = profile.score(s);
+  return score >= filters.scoreMin ? { ...s, score } : null;
+}
+
+// Simulate one trade entered at the open after the signal day
+function simulateTrade(signal, bars, signalIndex, options) {
+  const entryIndex = signalIndex + 1;
+  if (entryIndex >= bars.length) return null;
+
+  const entry = bars[entryIndex].open;
+  const targetPrice = options.target === 'gapfill'
+    ? (signal.fillLevel > entry ? signal.fillLevel : null)
+    : entry * (1 + Number(options.target) / 100);
+  const stopPrice = options.stop ? entry * (1 - options.stop / 100) : null;
+
+  let high = entry;
+  let low = entry;
+  let gapFilled = !!signal.fillLevel && entry >= signal.fillLevel;
+  let exit = null;
+  let exitReason = 'time';
+  let exitIndex = entryIndex;
+
+  const lastIndex = Math.min(bars.length - 1, entryIndex + options.hold - 1);
+  for (let i = entryIndex; i <= lastIndex; i++) {
+    const bar = bars[i];
+    exitIndex = i;
+
+    // Assume the stop hits before the target on a day that touches both
+    if (stopPrice && bar.low <= stopPrice) {
+      low = Math.min(low, bar.low);
+      exit = Math.min(stopPrice, bar.open);
+      exitReason = 'stop';
+      break;
+    }
+
+    high = Math.max(high, bar.high);
+    low = Math.min(low, bar.low);
+    if (signal.fillLevel && bar.high >= signal.fillLevel) gapFilled = true;
+
+    if (targetPrice && bar.high >= targetPrice) {
+      exit = Math.max(targetPrice, bar.open);
+      exitReason = options.target === 'gapfill' ? 'gapfill' : 'target';
+      break;
+    }
+  }
+
+  if (exit === null) exit = bars[exitIndex].close;
+
+  // Still open at the end of the data
+  const complete = exitReason !== 'time' || exitIndex - entryIndex + 1 >= options.hold;
+
+  return {
+    symbol: signal.symbol,
+    signalDate: bars[signalIndex].datetime,
+    score: signal.score,
+    entryDate: bars[entryIndex].datetime,
+    entry,
+    exitDate: bars[exitIndex].datetime,
+    exit,
+    exitReason,
+    days: exitIndex - entryIndex + 1,
+    returnPct: ((exit - entry) / entry) * 100,
+    mfePct: ((high - entry) / entry) * 100,
+    maePct: ((low - entry) / entry) * 100,
+    fillLevel: signal.fillLevel,
+    gapFilled,
+    complete,
+  };
+}
+
+// Equal-weight trades compounded in exit order
+function maxDrawdown(trades) {
+  const ordered = [...trades].sort((a, b) => (a.exitDate < b.exitDate ? -1 : 1));
+  let equity = 1;
+  let peak = 1;
+  let worst = 0;
+
+  for (const t of ordered) {
+    equity *= 1 + t.returnPct / 100;
+    peak = Math.max(peak, equity);
+    worst = Math.min(worst, (equity - peak) / peak);
+  }
+
+  return { maxDrawdownPct: worst * 100, totalReturnPct: (equity - 1) * 100 };
+}
+
+function summarize(trades) {
+  const wins = trades.filter(t => t.returnPct > 0);
+
+  return {
+    trades: trades.length,
+    hitRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+    gapFillRate: trades.length > 0 ? (trades.filter(t => t.gapFilled).length / trades.length) * 100 : 0,
+    avgReturnPct: avg(trades.map(t => t.returnPct)),
+    avgWinPct: avg(wins.map(t => t.returnPct)),
+    avgLossPct: avg(trades.filter(t => t.returnPct <= 0).map(t => t.returnPct)),
+    avgDays: avg(trades.map(t => t.days)),
+    avgMfePct: avg(trades.map(t => t.mfePct)),
+    avgMaePct: avg(trades.map(t => t.maePct)),
+    ...maxDrawdown(trades),
+  };
+}
+
+function bucketize(trades, size) {
+  const buckets = {};
+  for (const t of trades) {
+    const low = Math.floor(t.score / size) * size;
+    const key = `${low}-${low + size - 1}`;
+    (buckets[key] = buckets[key] || { low, trades: [] }).trades.push(t);
+  }
+
+  return Object.entries(buckets)
+    .sort((a, b) => a[1].low - b[1].low)
+    .map(([range, b]) => ({ range, ...summarize(b.trades) }));
+}
+
+// series: [{ symbol, bars }] with bars oldest first
+function runBacktest(profile, series, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) opts[key] = value;
+  }
+  const filters = opts.filters || profile.filters;
+  const trades = [];
+  let signals = 0;
+  let daysScanned = 0;
+
+  for (const { symbol, bars } of series) {
+    // One open trade per symbol: skip signals until the previous trade exits
+    let busyUntil = -1;
+
+    for (let i = 1; i < bars.length - 1; i++) {
+      const date = bars[i].datetime.slice(0, 10);
+      if (opts.from && date < opts.from) continue;
+      if (opts.to && date > opts.to) break;
+      daysScanned++;
+
+      const signal = signalAt(profile, filters, symbol, bars, i);
+      if (!signal) continue;
+      signals++;
+      if (i <= busyUntil) continue;
+
+      const trade = simulateTrade(signal, bars, i, opts);
+      if (!trade) continue;
+
+      trades.push(trade);
+      busyUntil = bars.findIndex(b => b.datetime === trade.exitDate);
+    }
+  }
+
+  const completed = trades.filter(t => t.complete);
+
+  return {
+    profile: profile.name,
+    options: { hold: opts.hold, target: opts.target, stop: opts.stop, from: opts.from, to: opts.to },
+    symbols: series.length,
+    daysScanned,
+    signals,
+    openTrades: trades.length - completed.length,
+    summary: summarize(completed),
+    buckets: bucketize(completed, opts.bucketSize),
+    trades,
+  };
+}
+
+// ============ OUTPUT ============
+
+const pct = (v) => `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`;
+
+function printBacktest(report) {
+  const s = report.summary;
+  const o = report.options;
+
+  console.log('\n' + '='.repeat(65));
+  console.log(`📈 BACKTEST - ${report.profile}`);
+  console.log('='.repeat(65));
+  console.log(`   Exit: ${o.target === 'gapfill' ? 'gap fill' : o.target + '% target'} | hold ${o.hold}d | stop ${o.stop ? o.stop + '%' : 'none'}`);
+  console.log(`   ${report.symbols} symbols | ${report.daysScanned} symbol-days | ${report.signals} signals | ${s.trades} trades (${report.openTrades} still open)`);
+
+  if (s.trades === 0) {
+    console.log('\n❌ No completed trades');
+    return;
+  }
+
+  console.log(`\n   Hit rate:      ${s.hitRate.toFixed(1)}%   (gap filled: ${s.gapFillRate.toFixed(1)}%)`);
+  console.log(`   Avg return:    ${pct(s.avgReturnPct)}   (win ${pct(s.avgWinPct)} | loss ${pct(s.avgLossPct)})`);
+  console.log(`   Avg MFE / MAE: ${pct(s.avgMfePct)} / ${pct(s.avgMaePct)} | avg ${s.avgDays.toFixed(1)} days`);
+  console.log(`   Compounded:    ${pct(s.totalReturnPct)} | max drawdown ${pct(s.maxDrawdownPct)}`);
+
+  console.log('\n   Score     Trades   Hit%   Fill%   AvgRet   MaxDD');
+  report.buckets.forEach(b => {
+    console.log(`   ${b.range.padEnd(8)} ${String(b.trades).padStart(6)} ${b.hitRate.toFixed(0).padStart(6)} ${b.gapFillRate.toFixed(0).padStart(7)} ${pct(b.avgReturnPct).padStart(8)} ${pct(b.maxDrawdownPct).padStart(7)}`);
+  });
+
+  console.log('\n' + '='.repeat(65));
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  quoteAt,
+  signalAt,
+  simulateTrade,
+  runBacktest,
+  printBacktest,
+};
@@ -0,0 +1,253 @@
+/**
+ * Bar Cache
+ * Persistent OHLCV cache (one file per symbol + interval) so repeated scans
+ * only ask providers for bars newer than what is already on disk.
+ * Intraday series are also kept per provider: Yahoo bar times are UTC,
+ * Twelve Data / Alpha Vantage exchange-local, so they can't be merged.
+ *
+ * Entry: { symbol, interval, provider, fetched, requested, bars }
+ *
+ * Daily bars are fresh once the cache holds the latest completed session
+ * (see market_calendar.js for holidays and early closes); during market
+ * hours (and for intraday bars) they are refreshed after maxAge.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { servedBy } = require('./providers.js');
+const { easternTime, sessionHours, lastClosedSession, isMarketOpen } = require('./market_calendar.js');
+
+const DEFAULT_CACHE_DIR = path.join(__dirname, 'cache');
+const MAX_BARS = 1000;
+
+const INTERVAL_MINUTES = { '5min': 5, '15min': 15, '1h': 60 };
+
+// ============ MARKET TIME ============
+
+// Weekdays after `from` up to and including `to`
+function weekdaysBetween(from, to) {
+  let count = 0;
+  const d = new Date(from + 'T12:00:00Z');
+  const end = new Date(to + 'T12:00:00Z');
+  while (d < end) {
+    d.setUTCDate(d.getUTCDate() + 1);
+    if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) count++;
+  }
+  return count;
+}
+
+// ============ CACHE ============
+
+class BarCache {
+  constructor({ dir = DEFAULT_CACHE_DIR } = {}) {
+    this.dir = dir;
+  }
+
+  // <SYMBOL>_1day.json, <SYMBOL>_<interval>_<provider>.json for intraday
+  file(symbol, interval, provider = null) {
+    const suffix = interval !== '1day' && provider ? `_${provider}` : '';
+    return path.join(this.dir, `${symbol.toUpperCase()}_${interval}${suffix}.json`);
+  }
+
+  read(symbol, interval, provider = null) {
+    try {
+      const file = this.file(symbol, interval, provider);
+      if (fs.existsSync(file)) {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+    } catch (e) {}
+    return null;
+  }
+
+  write(entry) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.file(entry.symbol, entry.interval, entry.provider), JSON.stringify(entry));
+  }
+
+  // Merge new bars into the cached ones (new bars win on the same datetime).
+  // `replace` drops what was cached instead.
+  merge(symbol, interval, bars, { provider, requested, replace = false }) {
+    const existing = replace ? null : this.read(symbol, interval, provider);
+    const byDate = new Map((existing?.bars || []).map(b => [b.datetime, b]));
+    for (const bar of bars) byDate.set(bar.datetime, bar);
+
+    const merged = [...byDate.values()]
+      .sort((a, b) => (a.datetime < b.datetime ? -1 : 1))
+      .slice(-MAX_BARS);
+
+    const entry = {
+      symbol: symbol.toUpperCase(),
+      interval,
+      provider,
+      fetched: new Date().toISOString(),
+      requested: Math.max(requested, existing?.requested || 0),
+      bars: merged,
+    };
+    this.write(entry);
+    return entry;
+  }
+
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs.readdirSync(this.dir)
+      .filter(f => f.endsWith('.json'))
+      .map(f => {
+        try {
+          const entry = JSON.parse(fs.readFileSync(path.join(this.dir, f), 'utf8'));
+          return {
+            symbol: entry.symbol,
+            interval: entry.interval,
+            provider: entry.provider,
+            fetched: entry.fetched,
+            bars: entry.bars.length,
+            first: entry.bars[0]?.datetime,
+            last: entry.bars[entry.bars.length - 1]?.datetime,
+          };
+        } catch (e) {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.symbol.localeCompare(b.symbol) || a.interval.localeCompare(b.interval));
+  }
+
+  // Remove everything, or one symbol (all intervals)
+  clear(symbol = null) {
+    if (!fs.existsSync(this.dir)) return 0;
+
+    const prefix = symbol ? `${symbol.toUpperCase()}_` : '';
+    const files = fs.readdirSync(this.dir).filter(f => f.endsWith('.json') && f.startsWith(prefix));
+    files.forEach(f => fs.unlinkSync(path.join(this.dir, f)));
+    return files.length;
+  }
+}
+
+// ============ CACHED PROVIDER ============
+
+// Wraps a provider (or chain); quotes and option chains pass straight through.
+class CachedProvider {
+  constructor(provider, { cache = new BarCache(), maxAgeMinutes = 15, refresh = false } = {}) {
+    this.name = provider.name;
+    this.provider = provider;
+    this.cache = cache;
+    this.maxAgeMs = maxAgeMinutes * 60 * 1000;
+    this.refresh = refresh;
+    this.stats = { hits: 0, incremental: 0, full: 0 };
+  }
+
+  getQuote(symbol) {
+    return this.provider.getQuote(symbol);
+  }
+
+  getOptionChain(symbol) {
+    return this.provider.getOptionChain(symbol);
+  }
+
+  isDailyFresh(entry, now) {
+    if (isMarketOpen(now)) {
+      return now - new Date(entry.fetched) < this.maxAgeMs;
+    }
+
+    const session = lastClosedSession(now);
+    const last = entry.bars[entry.bars.length - 1]?.datetime?.slice(0, 10);
+    const fetched = easternTime(new Date(entry.fetched));
+    const fetchedAfterClose = fetched.date > session ||
+      (fetched.date === session && fetched.minutes >= sessionHours(session).close);
+
+    return last >= session && fetchedAfterClose;
+  }
+
+  async getDailyBars(symbol, outputsize = 30) {
+    const now = new Date();
+    const entry = this.refresh ? null : this.cache.read(symbol, '1day');
+    const enough = entry && (entry.bars.length >= outputsize || entry.requested >= outputsize);
+
+    if (enough && this.isDailyFresh(entry, now)) {
+      this.stats.hits++;
+      return entry.bars.slice(-outputsize);
+    }
+
+    if (enough) {
+      // Only the sessions since the last cached bar (+ overlap to replace a partial bar)
+      const last = entry.bars[entry.bars.length - 1].datetime.slice(0, 10);
+      const missing = weekdaysBetween(last, easternTime(now).date);
+      const count = Math.min(outputsize, missing + 2);
+
+      const bars = await this.provider.getDailyBars(symbol, count);
+      if (bars.length > 0 && bars[0].datetime.slice(0, 10) <= last) {
+        this.stats.incremental++;
+        const merged = this.cache.merge(symbol, '1day', bars, {
+          provider: servedBy(bars, this.provider.name),
+          requested: outputsize,
+        });
+        return merged.bars.slice(-outputsize);
+      }
+      // No overlap with the cache (e.g. a long gap) - fall through to a full fetch
+    }
+
+    this.stats.full++;
+    const bars = await this.provider.getDailyBars(symbol, outputsize);
+    const saved = this.cache.merge(symbol, '1day', bars, {
+      provider: servedBy(bars, this.provider.name),
+      requested: outputsize,
+      replace: true,
+    });
+    return saved.bars.slice(-outputsize);
+  }
+
+  // Cached intraday series of the first provider (in chain order) that has one
+  readIntraday(symbol, interval) {
+    const names = this.provider.providers ? this.provider.providers.map(p => p.name) : [this.provider.name];
+    for (const name of names) {
+      const entry = this.cache.read(symbol, interval, name);
+      if (entry) return entry;
+    }
+    return null;
+  }
+
+  async getIntradayBars(symbol, interval, count = 100) {
+    const now = new Date();
+    const entry = this.refresh ? null : this.readIntraday(symbol, interval);
+    const enough = entry && (entry.bars.length >= count || entry.requested >= count);
+
+    if (enough && now - new Date(entry.fetched) < this.maxAgeMs) {
+      this.stats.hits++;
+      return entry.bars.slice(-count);
+    }
+
+    if (enough) {
+      const elapsed = (now - new Date(entry.fetched)) / 60000;
+      const fetchCount = Math.min(count, Math.ceil(elapsed / INTERVAL_MINUTES[interval]) + 2);
+      const last = entry.bars[entry.bars.length - 1].datetime;
+
+      const bars = await this.provider.getIntradayBars(symbol, interval, fetchCount);
+      // Served by another provider (chain fallback): different clock, needs a full series
+      const sameProvider = servedBy(bars, this.provider.name) === entry.provider;
+      if (sameProvider && bars.length > 0 && bars[0].datetime <= last) {
+        this.stats.incremental++;
+        const merged = this.cache.merge(symbol, interval, bars, {
+          provider: servedBy(bars, this.provider.name),
+          requested: count,
+        });
+        return merged.bars.slice(-count);
+      }
+    }
+
+    this.stats.full++;
+    const bars = await this.provider.getIntradayBars(symbol, interval, count);
+    const saved = this.cache.merge(symbol, interval, bars, {
+      provider: servedBy(bars, this.provider.name),
+      requested: count,
+      replace: true,
+    });
+    return saved.bars.slice(-count);
+  }
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  BarCache,
+  CachedProvider,
+  weekdaysBetween,
+};
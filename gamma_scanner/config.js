@@ -0,0 +1,271 @@
+/**
+ * Scan Config
+ * Filter thresholds and scoring rules from JSON/YAML files instead of source:
+ *
+ *   profile: v4             # profile the config is for
+ *   extends: v4-strict      # optional preset (or file) to start from
+ *   filters:                # any of the profile's filters
+ *     maxPrice: 20
+ *   scoring:
+ *     rules:                # replace rules with the same name, append new ones
+ *       - name: Trend
+ *         metric: trendScore
+ *         tiers: [{ gte: 60, points: 20 }]
+ *     replace: false        # true = use only these rules
+ *
+ * Presets are config files in presets/. `--filter key=value` overrides go on
+ * top. Every resolved config gets a short hash, and scans log it with the
+ * file they wrote to config_history.jsonl.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+const { validateScoring } = require('./scoring.js');
+
+const PRESET_DIR = path.join(__dirname, 'presets');
+const HISTORY_FILE = path.join(__dirname, 'config_history.jsonl');
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+class ConfigError extends Error {
+  constructor(source, problems) {
+    super(`Invalid config ${source}:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.source = source;
+    this.problems = problems;
+  }
+}
+
+// ============ FILES & PRESETS ============
+
+function loadConfigFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let config;
+  try {
+    config = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+  } catch (e) {
+    throw new ConfigError(file, [`could not parse: ${e.message}`]);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigError(file, ['must be an object']);
+  }
+  return config;
+}
+
+// A file path, or the name of a preset in presets/
+function resolveConfigFile(ref) {
+  if (fs.existsSync(ref) && fs.statSync(ref).isFile()) return ref;
+
+  for (const ext of EXTENSIONS) {
+    const file = path.join(PRESET_DIR, ref + ext);
+    if (fs.existsSync(file)) return file;
+  }
+  const names = listPresets().map(p => p.name);
+  throw new ConfigError(ref, [`no such file or preset (presets: ${names.join(', ') || 'none'})`]);
+}
+
+function listPresets() {
+  if (!fs.existsSync(PRESET_DIR)) return [];
+
+  return fs.readdirSync(PRESET_DIR)
+    .filter(f => EXTENSIONS.includes(path.extname(f)))
+    .map(f => {
+      const file = path.join(PRESET_DIR, f);
+      try {
+        const config = loadConfigFile(file);
+        return { name: path.basename(f, path.extname(f)), profile: config.profile, description: config.description || '', file };
+      } catch (e) {
+        return { name: path.basename(f, path.extname(f)), profile: null, description: `(unreadable: ${e.message})`, file };
+      }
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Load a config with its `extends` chain, base first
+function loadConfigChain(ref, seen = []) {
+  const file = resolveConfigFile(ref);
+  const key = path.resolve(file);
+  if (seen.includes(key)) {
+    throw new ConfigError(file, [`extends loop: ${[...seen, key].map(f => path.basename(f)).join(' -> ')}`]);
+  }
+
+  const config = loadConfigFile(file);
+  const chain = config.extends ? loadConfigChain(config.extends, [...seen, key]) : [];
+  return [...chain, { file, config }];
+}
+
+// ============ OVERRIDES ============
+
+// 1_000_000, 1e6, true/false
+function parseValue(text) {
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  const num = Number(String(text).replace(/_/g, ''));
+  return text !== '' && !Number.isNaN(num) ? num : text;
+}
+
+// ['maxPrice=20', 'scoreMin=30,trendMin=40'] -> { maxPrice: 20, scoreMin: 30, trendMin: 40 }
+function parseFilterOverrides(values) {
+  const overrides = {};
+  for (const value of [].concat(values || [])) {
+    for (const pair of String(value).split(',').filter(Boolean)) {
+      const [key, raw] = pair.split(/=(.*)/s);
+      if (raw === undefined) {
+        throw new ConfigError('--filter', [`expected key=value, got "${pair}"`]);
+      }
+      overrides[key.trim()] = parseValue(raw.trim());
+    }
+  }
+  return overrides;
+}
+
+// ============ VALIDATION ============
+
+function validateFilters(filters, profile, where = 'filters') {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return [`${where}: must be an object`];
+
+  const at = (key) => (where.startsWith('--') ? `${where} ${key}` : `${where}.${key}`);
+  const problems = [];
+  for (const [key, value] of Object.entries(filters)) {
+    if (!(key in profile.filters)) {
+      problems.push(`${at(key)}: unknown filter for ${profile.name} (known: ${Object.keys(profile.filters).join(', ')})`);
+    } else if (typeof value !== typeof profile.filters[key] || Number.isNaN(value)) {
+      problems.push(`${at(key)}: expected a ${typeof profile.filters[key]}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  const merged = { ...profile.filters, ...filters };
+  for (const [min, max] of [['gapDownMin', 'gapDownMax'], ['consolidationMin', 'consolidationMax'], ['gapFillMin', 'gapFillMax'], ['optionMinPrice', 'optionMaxPrice']]) {
+    if (merged[min] !== undefined && merged[max] !== undefined && merged[min] > merged[max]) {
+      problems.push(`${where}: ${min} (${merged[min]}) is above ${max} (${merged[max]})`);
+    }
+  }
+  return problems;
+}
+
+// Rules with the same name replace the base rule; others are appended
+function mergeScoring(base, override) {
+  if (!override) return base;
+  const rules = override.replace ? [] : [...base.rules];
+
+  for (const rule of override.rules || []) {
+    const i = rules.findIndex(r => r.name && r.name === rule.name);
+    if (i >= 0) rules[i] = rule;
+    else rules.push(rule);
+  }
+  return { max: override.max ?? base.max, rules };
+}
+
+// ============ RESOLVE ============
+
+function configHash(profileName, filters, scoring) {
+  const sorted = Object.fromEntries(Object.entries(filters).sort(([a], [b]) => a.localeCompare(b)));
+  return crypto.createHash('sha1')
+    .update(JSON.stringify({ profile: profileName, filters: sorted, scoring }))
+    .digest('hex')
+    .slice(0, 10);
+}
+
+// Profile with a config file/preset and --filter overrides applied.
+// Returns a copy of the profile with `filters`, `scoring` and `config`
+// ({ source, overrides, hash }); the base profile is untouched.
+function applyConfig(profile, { config = null, overrides = {} } = {}) {
+  let filters = { ...profile.filters };
+  let scoring = profile.scoring;
+  const sources = [];
+
+  if (config) {
+    for (const { file, config: c } of loadConfigChain(config)) {
+      const problems = [];
+      if (c.profile && c.profile !== profile.name) {
+        problems.push(`profile: written for ${c.profile}, not ${profile.name}`);
+      }
+      if (c.filters !== undefined) problems.push(...validateFilters(c.filters, profile));
+
+      let merged = scoring;
+      if (c.scoring !== undefined && (typeof c.scoring !== 'object' || (c.scoring.rules && !Array.isArray(c.scoring.rules)))) {
+        problems.push('scoring: must be an object with a list of rules');
+      } else if (c.scoring !== undefined) {
+        merged = mergeScoring(scoring, c.scoring);
+        problems.push(...validateScoring(merged));
+      }
+      if (problems.length > 0) throw new ConfigError(file, problems);
+
+      filters = { ...filters, ...(c.filters || {}) };
+      scoring = merged;
+      sources.push(path.dirname(path.resolve(file)) === PRESET_DIR ? path.basename(file, path.extname(file)) : file);
+    }
+  }
+
+  if (Object.keys(overrides).length > 0) {
+    const problems = validateFilters(overrides, { ...profile, filters }, '--filter');
+    if (problems.length > 0) throw new ConfigError('--filter', problems);
+    filters = { ...filters, ...overrides };
+  }
+
+  return {
+    ...profile,
+    filters,
+    scoring,
+    config: {
+      source: sources.length > 0 ? sources.join(' > ') : 'built-in',
+      overrides,
+      hash: configHash(profile.name, filters, scoring),
+    },
+  };
+}
+
+// Profile named by a config file when no profile is given on the command line
+function configProfileName(ref) {
+  const chain = loadConfigChain(ref);
+  return [...chain].reverse().find(({ config }) => config.profile)?.config.profile || null;
+}
+
+// ============ HISTORY ============
+
+function recordHistory(profile, { scanFile = null, results = 0 } = {}, file = HISTORY_FILE) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    profile: profile.name,
+    hash: profile.config.hash,
+    source: profile.config.source,
+    overrides: profile.config.overrides,
+    scanFile,
+    results,
+    filters: profile.filters,
+    scoring: profile.scoring,
+  };
+  fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+function readHistory({ profile = null, hash = null } = {}, file = HISTORY_FILE) {
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(e => e && (!profile || e.profile === profile) && (!hash || e.hash.startsWith(hash)));
+}
+
+module.exports = {
+  PRESET_DIR,
+  ConfigError,
+  listPresets,
+  loadConfigFile,
+  parseFilterOverrides,
+  validateFilters,
+  applyConfig,
+  configProfileName,
+  configHash,
+  recordHistory,
+  readHistory,
+};
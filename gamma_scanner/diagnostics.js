@@ -0,0 +1,177 @@
+/**
+ * Fetch Diagnostics
+ * Why a symbol had no data, instead of it silently dropping out of a scan.
+ * Every failed request becomes an entry:
+ *
+ *   { symbol, request, provider, category, status, message }
+ *
+ * request:  quote | bars | options | 5min / 15min / 1h
+ * category: auth | quota | rate-limit | not-found | unsupported | network | server | other
+ *
+ * A provider chain reports one entry per provider it tried. When several
+ * symbols in a row fail with nothing but auth / quota errors no provider can
+ * serve the scan, so fetchUniverse stops early (see abortReason).
+ */
+
+const { QuotaExhaustedError } = require('./scheduler.js');
+
+const CATEGORIES = {
+  'auth': 'API key rejected or endpoint not on the plan',
+  'quota': 'Daily budget / credits used up',
+  'rate-limit': 'Too many requests (429 after retries)',
+  'not-found': 'Unknown or delisted symbol, or no data',
+  'unsupported': 'Symbol not covered by the plan (other symbols still work)',
+  'network': 'Timeout, DNS or connection failure',
+  'server': 'Provider error (5xx)',
+  'other': 'Anything else',
+};
+
+// Failures that no other symbol will get past
+const ABORT_CATEGORIES = ['auth', 'quota'];
+
+// Symbols in a row failing with only those before a scan stops
+const ABORT_AFTER = 3;
+
+// Plan limits on one symbol ('... is available starting with the Grow plan'), not the whole endpoint
+const SYMBOL_PLAN_PATTERN = /\bsymbol\b[^.]*\b(?:plan|premium|upgrad)|available starting with/i;
+const AUTH_PATTERN = /api ?key|unauthori[sz]ed|forbidden|not authorized|access denied|premium|upgrade|subscription|plan\b/i;
+const QUOTA_PATTERN = /per day|for the day|daily|credits|quota/i;
+const NOT_FOUND_PATTERN = /not found|no data|no chart data|no fixture|no quote|no .*bars|invalid symbol|symbol .*(not valid|invalid)|delisted|invalid api call|no option chain|no listed options/i;
+const NETWORK_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH'];
+const NETWORK_PATTERN = /timeout|socket hang up|network|getaddrinfo/i;
+
+// 'twelvedata: GME: **symbol** not found' -> '**symbol** not found'
+function detail(error) {
+  const prefix = error.provider && error.symbol ? `${error.provider}: ${error.symbol}: ` : '';
+  return prefix && error.message.startsWith(prefix) ? error.message.slice(prefix.length) : error.message;
+}
+
+// Category for one provider error
+function classifyError(error) {
+  if (error instanceof QuotaExhaustedError) return 'quota';
+
+  const status = error.status || null;
+  const message = detail(error) || '';
+  if (SYMBOL_PLAN_PATTERN.test(message) && !/endpoint/i.test(message)) return 'unsupported';
+  if (status === 401 || status === 403) return 'auth';
+  // Rate limit notices mention premium plans too
+  if (status === 429) return QUOTA_PATTERN.test(message) ? 'quota' : 'rate-limit';
+  if (AUTH_PATTERN.test(message)) return 'auth';
+  if (status === 404 || NOT_FOUND_PATTERN.test(message)) return 'not-found';
+  if (NETWORK_CODES.includes(error.code) || NETWORK_PATTERN.test(message)) return 'network';
+  if (status >= 500) return 'server';
+  return 'other';
+}
+
+class FailureLog {
+  constructor({ abortAfter = ABORT_AFTER } = {}) {
+    this.abortAfter = abortAfter;
+    this.entries = [];
+    this.streak = [];
+  }
+
+  // One entry per provider tried (chains attach every attempt to the error they throw)
+  record(symbol, request, error) {
+    for (const attempt of error.attempts || [error]) {
+      this.entries.push({
+        symbol,
+        request,
+        provider: attempt.provider || null,
+        category: classifyError(attempt),
+        status: attempt.status || null,
+        message: detail(attempt),
+      });
+    }
+  }
+
+  // After each symbol of a fetch: ok = any data at all
+  finish(symbol, ok) {
+    const categories = this.categoriesOf(symbol);
+    if (!ok && categories.length > 0 && categories.every(c => ABORT_CATEGORIES.includes(c))) {
+      this.streak.push(symbol);
+    } else {
+      this.streak = [];
+    }
+  }
+
+  categoriesOf(symbol) {
+    return [...new Set(this.entries.filter(e => e.symbol === symbol).map(e => e.category))];
+  }
+
+  // Why the fetch should stop, or null
+  abortReason() {
+    if (this.streak.length < this.abortAfter) return null;
+    const last = this.entries.filter(e => e.symbol === this.streak[this.streak.length - 1]);
+    const causes = [...new Set(last.map(e => `${e.provider} ${e.category}${e.status ? ` (${e.status})` : ''}: ${e.message}`))];
+    return `${this.streak.length} symbols in a row failed on every provider - ${causes.join('; ')}`;
+  }
+
+  symbols() {
+    return [...new Set(this.entries.map(e => e.symbol))];
+  }
+
+  // [{ category, provider, status, symbols, requests, message }] grouped, most symbols first
+  summary() {
+    const groups = new Map();
+    for (const e of this.entries) {
+      const key = `${e.category}|${e.provider}|${e.status}`;
+      if (!groups.has(key)) {
+        groups.set(key, { category: e.category, provider: e.provider, status: e.status, symbols: new Set(), requests: new Set(), messages: new Map() });
+      }
+      const group = groups.get(key);
+      group.symbols.add(e.symbol);
+      group.requests.add(e.request);
+      group.messages.set(e.message, (group.messages.get(e.message) || 0) + 1);
+    }
+
+    return [...groups.values()]
+      .map(g => ({
+        category: g.category,
+        provider: g.provider,
+        status: g.status,
+        symbols: [...g.symbols],
+        requests: [...g.requests],
+        message: [...g.messages.entries()].sort((a, b) => b[1] - a[1])[0][0],
+      }))
+      .sort((a, b) => b.symbols.length - a.symbols.length);
+  }
+
+  toJSON() {
+    return this.entries;
+  }
+
+  // Back from an archived run
+  static fromJSON(entries = []) {
+    const log = new FailureLog();
+    log.entries = entries;
+    return log;
+  }
+}
+
+// Summary table after a scan (rows from FailureLog.summary or an archived run)
+function printFailures(rows, { title = 'FETCH FAILURES' } = {}) {
+  if (!rows || rows.length === 0) return;
+  const symbols = new Set(rows.flatMap(r => r.symbols));
+
+  console.log(`\n⚠️  ${title} (${symbols.size} symbol${symbols.size === 1 ? '' : 's'})`);
+  console.log('   Category     Provider       Status  Symbols  Requests        Message');
+  rows.forEach(r => {
+    const list = `${r.symbols.slice(0, 8).join(', ')}${r.symbols.length > 8 ? ', ...' : ''}`;
+    console.log(`   ${r.category.padEnd(12)} ${(r.provider || '-').padEnd(14)} ${String(r.status || '-').padStart(6)}  ${String(r.symbols.length).padStart(7)}  ${r.requests.join(',').padEnd(15)} ${r.message}`);
+    console.log(`   ${''.padEnd(12)} ${list}`);
+  });
+
+  const hints = [...new Set(rows.map(r => r.category))]
+    .filter(c => c !== 'not-found')
+    .map(c => `${c}: ${CATEGORIES[c]}`);
+  if (hints.length > 0) console.log(`   ${hints.join(' | ')}`);
+}
+
+module.exports = {
+  CATEGORIES,
+  ABORT_CATEGORIES,
+  ABORT_AFTER,
+  classifyError,
+  FailureLog,
+  printFailures,
+};
@@ -0,0 +1,447 @@
+/**
+ * Gamma Scanner Engine
+ * Process:
+ * 1. Fetch quote + daily bars for a universe from a provider (once, shared by all profiles)
+ * 2. Analyze each record with a profile
+ * 3. Run the profile's filter steps, recording who dropped out where (the funnel)
+ * 4. Optionally (--intraday) confirm the candidates on 5min / 15min / 1h bars
+ * 5. Fetch option chains for the candidates: dealer gamma (GEX) + cheap listed options
+ * 6. Score & rank (each result keeps its per-rule `scoreParts`)
+ *
+ * explainSymbol / printExplain (scan --explain) show why one symbol did or
+ * didn't make it: every filter step and the score breakdown.
+ */
+
+const fs = require('fs');
+const { findCheapOptions } = require('./options.js');
+const { computeGex, gexMetrics, formatGex } = require('./gex.js');
+const { QuotaExhaustedError } = require('./scheduler.js');
+const { intradayMetrics, formatTimeframes } = require('./intraday.js');
+const { explainScore } = require('./scoring.js');
+const { FailureLog } = require('./diagnostics.js');
+
+// ============ FETCH ============
+
+// A failed request means no data (logged to `failures`) - unless the daily budget is gone
+function orNull(promise, failures = null, symbol = null, request = null) {
+  return promise.catch(e => {
+    if (e instanceof QuotaExhaustedError) throw e;
+    if (failures) failures.record(symbol, request, e);
+    return null;
+  });
+}
+
+// Fetch quote + daily bars for one symbol. Either may be missing, not both (null = no data).
+// `quoteFilter(quote, symbol)` lets a profile skip the history request for symbols it would reject anyway (false).
+// Failed requests go to `failures` (a FailureLog).
+async function fetchSymbol(provider, symbol, { bars = 30, quoteFilter = null, failures = null } = {}) {
+  const quoteOf = () => orNull(provider.getQuote(symbol), failures, symbol, 'quote');
+  const barsOf = () => orNull(provider.getDailyBars(symbol, bars), failures, symbol, 'bars');
+
+  let quote, history;
+  if (quoteFilter) {
+    quote = await quoteOf();
+    if (!quote) return null;
+    if (!quoteFilter(quote, symbol)) return false;
+    history = await barsOf();
+  } else {
+    [quote, history] = await Promise.all([quoteOf(), barsOf()]);
+  }
+  if (!quote && !history) return null;
+
+  return { symbol, quote, bars: history || [] };
+}
+
+// Pacing is up to the provider's scheduler. Stops early (keeping what it has)
+// when a daily budget runs out, or when the failures say no provider can serve
+// the scan (auth / quota errors on several symbols in a row). Returns
+// { records, partial, missing, failures } (missing = symbols no provider had
+// data for, failures = FailureLog). `quiet` skips the progress output.
+async function fetchUniverse(provider, symbols, options = {}) {
+  const { bars = 30, quoteFilter = null, quiet = false, failures = new FailureLog() } = options;
+  const log = quiet ? () => {} : console.log;
+  const records = [];
+  const missing = [];
+  let partial = null;
+
+  for (let i = 0; i < symbols.length; i++) {
+    const symbol = symbols[i];
+    if (!quiet) {
+      if ((i + 1) % 20 === 0) {
+        process.stdout.write(`\n  [${i + 1}/${symbols.length}] `);
+      }
+      process.stdout.write('.');
+    }
+
+    try {
+      const record = await fetchSymbol(provider, symbol, { bars, quoteFilter, failures });
+      if (record) records.push(record);
+      else if (record === null) missing.push(symbol);
+      failures.finish(symbol, record !== null);
+    } catch (e) {
+      if (!(e instanceof QuotaExhaustedError)) throw e;
+      failures.record(symbol, 'quote', e);
+      partial = {
+        reason: e.message,
+        scanned: i,
+        total: symbols.length,
+        skipped: symbols.slice(i),
+      };
+      log(`\n\n⛔ ${e.message} - stopping after ${i}/${symbols.length} symbols`);
+      break;
+    }
+
+    const abort = failures.abortReason();
+    if (abort) {
+      partial = {
+        reason: `aborted: ${abort}`,
+        scanned: i + 1,
+        total: symbols.length,
+        skipped: symbols.slice(i + 1),
+        aborted: true,
+      };
+      log(`\n\n⛔ ${abort} - stopping after ${i + 1}/${symbols.length} symbols`);
+      break;
+    }
+  }
+
+  log(`\n\n✅ Got data for ${records.length} stocks`);
+  return { records, partial, missing, failures };
+}
+
+// Printed after the results when a scan stopped early
+function printPartial(partial) {
+  if (!partial) return;
+
+  console.log('\n⚠️  PARTIAL RESULTS');
+  console.log(`   ${partial.reason}`);
+  console.log(`   Scanned ${partial.scanned}/${partial.total} symbols - ${partial.skipped.length} not scanned:`);
+  console.log(`   ${partial.skipped.slice(0, 30).join(', ')}${partial.skipped.length > 30 ? ', ...' : ''}`);
+}
+
+// ============ RUN ============
+
+// Funnel stage: { name, label, threshold, input, count, dropped, failsAlone }.
+// dropped = symbols this stage removed; failsAlone = how many analyzed symbols
+// fail it regardless of order (null when only candidates can be checked).
+function stage(name, label, filters, before, after, failsAlone = null) {
+  const kept = new Set(after.map(s => s.symbol));
+  return {
+    name,
+    label,
+    threshold: filters[name] ?? null,
+    input: before.length,
+    count: after.length,
+    dropped: before.filter(s => !kept.has(s.symbol)).map(s => s.symbol),
+    failsAlone,
+  };
+}
+
+// Run one profile over already-fetched records. With `chains` (symbol -> chain
+// or null, see fetchChains) candidates get GEX metrics before scoring and
+// cheap listed options (null = no chain). With `intraday` (symbol -> frames,
+// see intraday.js) they must also be confirmed on enough timeframes.
+// `steps` is the funnel, one stage per filter step plus intraday and scoreMin.
+function runProfile(profile, records, filters = profile.filters, { chains = null, intraday = null } = {}) {
+  const analyzed = records
+    .map(record => {
+      try {
+        return profile.analyze(record);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const steps = [];
+  let candidates = analyzed;
+  for (const step of profile.steps) {
+    const passed = candidates.filter(s => step.test(s, filters));
+    const failsAlone = analyzed.filter(s => !step.test(s, filters)).length;
+    steps.push(stage(step.name, step.label, filters, candidates, passed, failsAlone));
+    candidates = passed;
+  }
+
+  if (intraday) {
+    const checked = candidates.map(s => ({ ...s, ...intradayMetrics(intraday.get(s.symbol), filters) }));
+    const confirmed = checked.filter(s => s.timeframesAgree >= filters.timeframesAgreeMin);
+    steps.push(stage('timeframesAgreeMin', 'confirmed on intraday timeframes', filters, checked, confirmed));
+    candidates = confirmed;
+  }
+
+  const scored = candidates.map(s => scoreCandidate(profile, s, filters, chains));
+  const results = scored
+    .filter(s => s.score >= filters.scoreMin)
+    .sort((a, b) => b.score - a.score);
+  steps.push(stage('scoreMin', 'score high enough', filters, scored, results));
+
+  return {
+    profile: profile.name,
+    analyzed: analyzed.length,
+    steps,
+    passed: candidates.map(s => s.symbol),
+    results,
+  };
+}
+
+// GEX metrics and cheap options from the symbol's chain (when chains were fetched), then
+// the score with its per-rule breakdown
+function scoreCandidate(profile, s, filters, chains) {
+  let data = s;
+  let cheapOptions;
+  if (chains) {
+    const chain = chains.get(s.symbol) || null;
+    data = { ...s, ...gexMetrics(chain && computeGex(chain, s.price), s.price) };
+    cheapOptions = chain ? findCheapOptions(chain, filters, { price: s.price }) : null;
+  }
+
+  const { score, parts } = explainScore(profile.scoring, data);
+  return { ...data, score, scoreParts: parts, cheapOptions };
+}
+
+// Why one fetched record is (or isn't) a candidate. Unlike runProfile every step is
+// tested, not just the ones up to the first failure, and the score is computed either way.
+// Returns { symbol, data, steps: [{ name, label, threshold, passed }], rejectedAt, total, max }
+// (data = scored candidate, null when the record couldn't be analyzed).
+function explainSymbol(profile, record, filters = profile.filters, { chains = null, intraday = null } = {}) {
+  let s = null;
+  let error = null;
+  try {
+    s = profile.analyze(record);
+  } catch (e) {
+    error = e;
+  }
+  if (!s) {
+    const rejectedAt = error ? `could not be analyzed: ${error.message}` : 'could not be analyzed (no quote or too few bars)';
+    return { symbol: record.symbol, data: null, steps: [], rejectedAt, total: null, max: null };
+  }
+
+  const passes = (test, data) => {
+    try {
+      return !!test(data, filters);
+    } catch (e) {
+      return false;
+    }
+  };
+  const check = (name, label, passed) => ({ name, label, threshold: filters[name] ?? null, passed });
+  const steps = profile.steps.map(step => check(step.name, step.label, passes(step.test, s)));
+
+  // Only candidates that passed the daily steps have intraday bars
+  if (intraday && intraday.has(s.symbol)) {
+    s = { ...s, ...intradayMetrics(intraday.get(s.symbol), filters) };
+    steps.push(check('timeframesAgreeMin', 'confirmed on intraday timeframes', s.timeframesAgree >= filters.timeframesAgreeMin));
+  }
+
+  const data = scoreCandidate(profile, s, filters, chains);
+  steps.push(check('scoreMin', 'score high enough', data.score >= filters.scoreMin));
+  const { total, max } = explainScore(profile.scoring, data);
+  const failed = steps.find(step => !step.passed);
+
+  return { symbol: s.symbol, data, steps, rejectedAt: failed ? stepText(failed) : null, total, max };
+}
+
+// Option chains for symbols not in `chains` yet (null when a symbol has none).
+// `chains` is shared between profiles so each chain is fetched once. Failed
+// requests go to `failures`; `quiet` skips the output.
+async function fetchChains(provider, symbols, chains = new Map(), options = {}) {
+  const { failures = null, quiet = false } = options;
+  const log = quiet ? () => {} : console.log;
+
+  for (const symbol of symbols) {
+    if (chains.has(symbol)) continue;
+    try {
+      chains.set(symbol, await orNull(provider.getOptionChain(symbol), failures, symbol, 'options'));
+    } catch (e) {
+      if (!(e instanceof QuotaExhaustedError)) throw e;
+      log(`\n⛔ ${e.message} - skipping the remaining option chains`);
+      break;
+    }
+  }
+  return chains;
+}
+
+// ============ OUTPUT ============
+
+// 'tight consolidation (consolidationMax 20)'
+function stepText(step) {
+  return step.threshold === null || step.threshold === undefined
+    ? step.label
+    : `${step.label} (${step.name} ${formatValue(step.threshold)})`;
+}
+
+// Attrition per stage: in / out, dropped here, and how many fail the stage on its own
+function printFunnel(run) {
+  console.log(`   ${run.analyzed} analyzed`);
+  console.log(`   ${'Stage'.padEnd(44)} ${'In'.padStart(5)} ${'Out'.padStart(5)} ${'Dropped'.padStart(11)} ${'Alone'.padStart(6)}`);
+  run.steps.forEach(step => {
+    const pct = step.input > 0 ? Math.round((step.dropped.length / step.input) * 100) : 0;
+    const dropped = `${step.dropped.length} (${pct}%)`;
+    const alone = step.failsAlone === null ? '-' : String(step.failsAlone);
+    console.log(`   ${stepText(step).padEnd(44)} ${String(step.input).padStart(5)} ${String(step.count).padStart(5)} ${dropped.padStart(11)} ${alone.padStart(6)}`);
+  });
+
+  const biggest = [...run.steps].sort((a, b) => b.dropped.length - a.dropped.length)[0];
+  const strictest = [...run.steps].filter(s => s.failsAlone !== null).sort((a, b) => b.failsAlone - a.failsAlone)[0];
+  if (biggest && biggest.dropped.length > 0) {
+    console.log(`   Biggest cut: ${stepText(biggest)} dropped ${biggest.dropped.length}`);
+  }
+  if (strictest && strictest !== biggest && strictest.failsAlone > 0) {
+    console.log(`   Strictest on its own: ${stepText(strictest)} fails ${strictest.failsAlone} of ${run.analyzed}`);
+  }
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One CSV row per stage of each run: profile, stage, label, threshold, in, out,
+// dropped, drop_pct, fails_alone, dropped_symbols (space-separated)
+function saveFunnelCsv(file, runs) {
+  const header = ['profile', 'stage', 'label', 'threshold', 'in', 'out', 'dropped', 'drop_pct', 'fails_alone', 'dropped_symbols'];
+  const rows = runs.flatMap(run => run.steps.map(step => [
+    run.profile,
+    step.name,
+    step.label,
+    step.threshold,
+    step.input,
+    step.count,
+    step.dropped.length,
+    step.input > 0 ? ((step.dropped.length / step.input) * 100).toFixed(1) : '0.0',
+    step.failsAlone,
+    step.dropped.join(' '),
+  ]));
+
+  fs.writeFileSync(file, [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n');
+  return file;
+}
+
+function printResults(profile, run) {
+  const width = profile.width || 60;
+  const shown = profile.top ? run.results.slice(0, profile.top) : run.results;
+
+  console.log('\n' + '='.repeat(width));
+  console.log(`🎯 ${profile.heading}`);
+  console.log('='.repeat(width));
+
+  if (shown.length === 0) {
+    console.log('\n❌ No setups found today');
+  } else {
+    shown.forEach((s, i) => {
+      console.log(`\n#${i + 1} ${s.symbol} | Score: ${s.score}/100`);
+      profile.format(s).forEach(line => console.log(line));
+
+      if (s.openGaps?.length > 0) {
+        const gaps = s.openGaps.map(g =>
+          `${g.direction === 'down' ? '↓' : '↑'} ${g.date.slice(5, 10)} ${g.gapPct.toFixed(1)}% $${g.lower.toFixed(2)}-$${g.upper.toFixed(2)} (${g.filledPct.toFixed(0)}% filled)`);
+        console.log(`   Open gaps: ${gaps.join(', ')}`);
+      }
+      formatTimeframes(s).forEach(line => console.log(`   ${line}`));
+
+      if (s.netGex !== null && s.netGex !== undefined) {
+        const level = (v) => (v === null ? 'n/a' : `$${v.toFixed(2)}`);
+        const regime = s.netGex < 0 ? 'short gamma' : 'long gamma';
+        console.log(`   GEX: ${formatGex(s.netGex)}/1% (${regime}) | Flip: ${level(s.gammaFlip)} | Call wall: ${level(s.callWall)} | Put wall: ${level(s.putWall)}`);
+      }
+
+      if (s.cheapOptions?.length > 0) {
+        console.log(`   Penny Options ($${profile.filters.optionMinPrice.toFixed(2)}-$${profile.filters.optionMaxPrice.toFixed(2)}):`);
+        s.cheapOptions.forEach(o => {
+          const quote = o.bid !== null && o.ask !== null
+            ? `$${o.bid.toFixed(2)} x $${o.ask.toFixed(2)}${o.spreadPct !== null ? ` (spread ${o.spreadPct.toFixed(0)}%)` : ''}`
+            : `$${o.mid.toFixed(2)}`;
+          console.log(`      ${o.type.toUpperCase()} $${o.strike} ${o.expiry} (${o.dte}d) @ ${quote} | OI ${o.openInterest} | ${o.otmPct.toFixed(0)}% OTM`);
+        });
+      } else if (s.cheapOptions === null) {
+        console.log('   Options: no chain data');
+      }
+    });
+  }
+
+  console.log('\n' + '='.repeat(width));
+}
+
+// 304000000 -> '304.0M', 13.2157 -> '13.22', null -> 'n/a'
+function formatValue(v) {
+  if (v === null || v === undefined) return 'n/a';
+  if (typeof v !== 'number') return String(v);
+  if (Math.abs(v) >= 1e9) return `${(v / 1e9).toFixed(2)}B`;
+  if (Math.abs(v) >= 1e6) return `${(v / 1e6).toFixed(1)}M`;
+  if (Math.abs(v) >= 1e5) return `${(v / 1e3).toFixed(0)}K`;
+  return Number.isInteger(v) ? String(v) : v.toFixed(2);
+}
+
+// Filter steps and score breakdown for one symbol (see explainSymbol).
+// `rank` = position in the results, if it made it.
+function printExplain(profile, explained, { rank = null } = {}) {
+  const { symbol, data, steps, rejectedAt } = explained;
+  const verdict = rank ? `candidate #${rank}` : `rejected: ${rejectedAt}`;
+  console.log(`\n🔍 ${symbol} (${profile.name}) - ${verdict}`);
+  if (!data) return;
+
+  // Rejected symbols may lack metrics the profile's format expects
+  try {
+    profile.format(data).forEach(line => console.log(line));
+  } catch (e) {
+    // The breakdown below still has the values that matter
+    console.log(`   (profile summary unavailable: ${e.message})`);
+  }
+  formatTimeframes(data).forEach(line => console.log(`   ${line}`));
+
+  console.log('   Filters:');
+  steps.forEach(step => console.log(`     ${step.passed ? '✅' : '❌'} ${stepText(step)}`));
+
+  const capped = explained.total > explained.max ? ` (${explained.total} before the cap)` : '';
+  console.log(`   Score: ${data.score}/${explained.max}${capped}`);
+  console.log(`     ${'Component'.padEnd(20)} ${'Value'.padStart(10)}  ${'Band'.padEnd(16)} Points`);
+  data.scoreParts.forEach(p => {
+    console.log(`     ${p.name.padEnd(20)} ${formatValue(p.value).padStart(10)}  ${(p.band || '-').padEnd(16)} ${String(p.points).padStart(3)}/${p.max}`);
+  });
+}
+
+function saveResults(profile, results, { quiet = false } = {}) {
+  const filename = `gamma_scan_${profile.name}_${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+  fs.writeFileSync(filename, JSON.stringify(results, null, 2));
+  if (!quiet) console.log(`\n💾 Saved: ${filename}\n`);
+  return filename;
+}
+
+// Side-by-side scores for profiles run on the same records
+function printComparison(runs) {
+  const bySymbol = {};
+  for (const run of runs) {
+    for (const r of run.results) {
+      bySymbol[r.symbol] = bySymbol[r.symbol] || {};
+      bySymbol[r.symbol][run.profile] = r.score;
+    }
+  }
+
+  const names = runs.map(r => r.profile);
+  console.log('\n📊 PROFILE COMPARISON');
+  console.log('   ' + 'Symbol'.padEnd(8) + names.map(n => n.padStart(6)).join(''));
+
+  const rows = Object.entries(bySymbol)
+    .sort((a, b) => Math.max(...Object.values(b[1])) - Math.max(...Object.values(a[1])));
+
+  if (rows.length === 0) {
+    console.log('   (no candidates in any profile)');
+  }
+  rows.forEach(([symbol, scores]) => {
+    console.log('   ' + symbol.padEnd(8) + names.map(n => String(scores[n] ?? '-').padStart(6)).join(''));
+  });
+}
+
+module.exports = {
+  fetchSymbol,
+  fetchUniverse,
+  runProfile,
+  explainSymbol,
+  fetchChains,
+  printFunnel,
+  saveFunnelCsv,
+  printResults,
+  printExplain,
+  saveResults,
+  printComparison,
+  printPartial,
+};
@@ -0,0 +1,230 @@
+/**
+ * Forward Tracker
+ * Revisits saved scan picks (gamma_scan_<profile>_<timestamp>.json) and
+ * measures what actually happened after the scan:
+ * - Return at 1/3/5/10 trading days (vs the price at scan time)
+ * - Max favorable / adverse excursion over the 10 days
+ * - Whether (and when) the gap filled
+ *
+ * Finished picks are recorded once in the self-improvement PerformanceTracker
+ * under the "gamma_scanner" strategy; tracked_picks.json remembers which
+ * picks were already recorded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PerformanceTracker } = require('../self_improvement/tracker.js');
+const { weekdaysBetween } = require('./bar_cache.js');
+const { easternTime } = require('./market_calendar.js');
+const { QuotaExhaustedError } = require('./scheduler.js');
+
+const LEDGER_FILE = path.join(__dirname, 'tracked_picks.json');
+const HORIZONS = [1, 3, 5, 10];
+const WINDOW = HORIZONS[HORIZONS.length - 1];
+const STRATEGY = 'gamma_scanner';
+
+const SCAN_FILE_PATTERN = /^gamma_scan_(\w+?)_(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})\.json$/;
+
+// ============ LOADING ============
+
+function loadScanFiles(dir = process.cwd()) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(SCAN_FILE_PATTERN) }))
+    .filter(f => f.match)
+    .map(({ file, match }) => {
+      const [, profile, date, hh, mm, ss] = match;
+      try {
+        const candidates = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        return {
+          file,
+          profile,
+          scannedAt: `${date}T${hh}:${mm}:${ss}.000Z`,
+          candidates: Array.isArray(candidates) ? candidates : [],
+        };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.scannedAt < b.scannedAt ? -1 : 1));
+}
+
+function loadLedger(file = LEDGER_FILE) {
+  try {
+    if (fs.existsSync(file)) {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  } catch (e) {}
+  return { version: '1.0', picks: {} };
+}
+
+function saveLedger(ledger, file = LEDGER_FILE) {
+  fs.writeFileSync(file, JSON.stringify(ledger, null, 2));
+}
+
+// Older v4 files have no fillLevel; the close before the gap day is the fill
+function fillLevelOf(candidate) {
+  return candidate.fillLevel || candidate.prevGapDayClose || candidate.prevClose || null;
+}
+
+// ============ OUTCOMES ============
+
+// bars: daily bars, oldest first. Only sessions after the scan's (Eastern) date count.
+function measureOutcome(candidate, scannedAt, bars) {
+  const scanDate = easternTime(new Date(scannedAt)).date;
+  const after = bars.filter(b => b.datetime.slice(0, 10) > scanDate).slice(0, WINDOW);
+  const entry = candidate.price;
+  const fillLevel = fillLevelOf(candidate);
+
+  const returns = {};
+  for (const h of HORIZONS) {
+    returns[`${h}d`] = after.length >= h ? ((after[h - 1].close - entry) / entry) * 100 : null;
+  }
+
+  let high = entry;
+  let low = entry;
+  let daysToFill = null;
+  after.forEach((bar, i) => {
+    high = Math.max(high, bar.high);
+    low = Math.min(low, bar.low);
+    if (daysToFill === null && fillLevel && bar.high >= fillLevel) daysToFill = i + 1;
+  });
+
+  // A gap that was already above the fill level at scan time counts as filled
+  if (fillLevel && entry >= fillLevel) daysToFill = 0;
+
+  const gapFilled = daysToFill !== null;
+
+  // Filled = success; otherwise judged on the full window's return
+  let outcome = 'pending';
+  if (gapFilled) outcome = 'success';
+  else if (after.length >= WINDOW) outcome = returns[`${WINDOW}d`] > 0 ? 'partial' : 'failure';
+
+  return {
+    symbol: candidate.symbol,
+    score: candidate.score,
+    entry,
+    fillLevel,
+    days: after.length,
+    returns,
+    mfePct: ((high - entry) / entry) * 100,
+    maePct: ((low - entry) / entry) * 100,
+    gapFilled,
+    daysToFill,
+    outcome,
+  };
+}
+
+// ============ TRACKING ============
+
+// Fetches bars for every pick and records finished ones (unless dryRun)
+async function trackPicks(provider, scans, options = {}) {
+  const { dryRun = false, ledgerFile = LEDGER_FILE, tracker = null } = options;
+  const ledger = loadLedger(ledgerFile);
+  const perf = dryRun ? null : (tracker || new PerformanceTracker());
+  const results = [];
+  let recorded = 0;
+
+  const today = easternTime().date;
+
+  for (const scan of scans) {
+    const count = weekdaysBetween(easternTime(new Date(scan.scannedAt)).date, today) + 5;
+
+    for (const candidate of scan.candidates) {
+      const key = `${scan.file}:${candidate.symbol}`;
+      const known = ledger.picks[key];
+
+      // Recorded picks don't need new data
+      if (known?.recorded) {
+        results.push({ ...known.result, profile: scan.profile, scannedAt: scan.scannedAt, recorded: true });
+        continue;
+      }
+
+      let bars;
+      try {
+        bars = await provider.getDailyBars(candidate.symbol, Math.max(count, WINDOW + 5));
+      } catch (e) {
+        if (e instanceof QuotaExhaustedError) {
+          console.log(`\n⛔ ${e.message} - stopping, run again later for the rest`);
+          return { results, recorded, stopped: e.message };
+        }
+        results.push({ symbol: candidate.symbol, profile: scan.profile, scannedAt: scan.scannedAt, outcome: 'error', error: e.message });
+        continue;
+      }
+
+      const result = measureOutcome(candidate, scan.scannedAt, bars);
+      const row = { ...result, profile: scan.profile, scannedAt: scan.scannedAt, recorded: false };
+
+      if (!dryRun && result.outcome !== 'pending') {
+        perf.record(STRATEGY, result.outcome, {
+          symbol: result.symbol,
+          profile: scan.profile,
+          scanFile: scan.file,
+          scannedAt: scan.scannedAt,
+          score: result.score,
+          returns: result.returns,
+          mfePct: result.mfePct,
+          maePct: result.maePct,
+          gapFilled: result.gapFilled,
+          daysToFill: result.daysToFill,
+        });
+        // Saved right away: a later failure must not leave a recorded outcome
+        // out of the ledger (it would be recorded again on the next run)
+        ledger.picks[key] = { recorded: new Date().toISOString(), result };
+        saveLedger(ledger, ledgerFile);
+        row.recorded = true;
+        recorded++;
+      }
+      results.push(row);
+    }
+  }
+
+  return { results, recorded, stopped: null };
+}
+
+// ============ OUTPUT ============
+
+const fmt = (v) => (v === null || v === undefined ? '-' : `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`);
+
+function printTracking({ results, recorded, stopped }) {
+  console.log('\n' + '='.repeat(96));
+  console.log('🔭 FORWARD TRACKING - SCAN PICKS');
+  console.log('='.repeat(96));
+
+  if (results.length === 0) {
+    console.log('\n❌ No saved picks found (gamma_scan_*.json)');
+    return;
+  }
+
+  console.log('Symbol  Prof  Scanned     Score     1d      3d      5d     10d     MFE     MAE  Fill   Outcome');
+  for (const r of results) {
+    if (r.outcome === 'error') {
+      console.log(`${r.symbol.padEnd(7)} ${r.profile.padEnd(5)} ${r.scannedAt.slice(0, 10)}  error: ${r.error}`);
+      continue;
+    }
+    const fill = r.gapFilled ? `${r.daysToFill}d` : 'no';
+    console.log(
+      `${r.symbol.padEnd(7)} ${r.profile.padEnd(5)} ${r.scannedAt.slice(0, 10)} ${String(r.score ?? '-').padStart(6)} ` +
+      HORIZONS.map(h => fmt(r.returns[`${h}d`]).padStart(7)).join(' ') +
+      ` ${fmt(r.mfePct).padStart(7)} ${fmt(r.maePct).padStart(7)} ${fill.padStart(5)}   ${r.outcome}${r.recorded ? ' ✓' : ''}`
+    );
+  }
+
+  const done = results.filter(r => ['success', 'partial', 'failure'].includes(r.outcome));
+  const filled = done.filter(r => r.outcome === 'success').length;
+  console.log('\n' + '='.repeat(96));
+  console.log(`   ${results.length} picks | ${done.length} finished | ${filled} gap fills | ${results.filter(r => r.outcome === 'pending').length} pending`);
+  console.log(`   ${recorded} new outcomes recorded to PerformanceTracker ("${STRATEGY}")`);
+  if (stopped) console.log(`   ⚠️  Stopped early: ${stopped}`);
+}
+
+module.exports = {
+  HORIZONS,
+  STRATEGY,
+  loadScanFiles,
+  measureOutcome,
+  trackPicks,
+  printTracking,
+};
@@ -0,0 +1,1053 @@
+#!/usr/bin/env node
+
+/**
+ * Gamma Scanner - Main Runner
+ * One CLI for every scanner profile (v2, v3, v4, v5).
+ *
+ * Usage: node gamma.js [command] [options]
+ */
+
+const fs = require('fs');
+const { PROFILES, getProfile } = require('./profiles.js');
+const universes = require('./universes.js');
+const { createProvider } = require('./providers.js');
+const { BarCache, CachedProvider } = require('./bar_cache.js');
+const { RequestScheduler, QuotaExhaustedError } = require('./scheduler.js');
+const { runBacktest, printBacktest } = require('./backtest.js');
+const { loadScanFiles, trackPicks, printTracking } = require('./forward_tracker.js');
+const config = require('./config.js');
+const { getStore, parseNumber } = require('./short_data.js');
+const { computeGex, gexUnavailable, formatGex } = require('./gex.js');
+const { fetchIntraday, parseTimeframes } = require('./intraday.js');
+const { FailureLog, printFailures } = require('./diagnostics.js');
+const { parseTime, scheduleFor, watch } = require('./watch.js');
+const { easternTime, formatMinutes } = require('./market_calendar.js');
+const alerts = require('./alerts.js');
+const { ScanArchive, parseSince, parseUntil } = require('./scan_archive.js');
+const engine = require('./engine.js');
+
+// Split argv into positionals and --flags (--key value, --key=value, --switch).
+// A repeated flag becomes a list.
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    let value = true;
+    if (inline !== undefined) {
+      value = inline;
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      value = argv[++i];
+    }
+    flags[key] = key in flags ? [].concat(flags[key], value) : value;
+  }
+
+  return { positional, flags };
+}
+
+// --key A,B (or repeated) -> ['A', 'B']; undefined when the flag is absent
+function listFlag(flags, key) {
+  if (flags[key] === undefined) return undefined;
+  const list = [].concat(flags[key])
+    .filter(v => v !== true)
+    .flatMap(v => String(v).split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+  if (list.length === 0) {
+    throw new config.ConfigError(`--${key}`, ['expected a comma-separated list, got nothing']);
+  }
+  return list;
+}
+
+// Provider chain from --provider (or the profile default), scheduled and cached.
+// Option chains come from --options-provider (default: yahoo, or fixture when replaying).
+function buildProvider(flags, defaultNames) {
+  const providerNames = listFlag(flags, 'provider') || defaultNames;
+  const scheduler = new RequestScheduler();
+  const options = {
+    fixtureDir: flags.fixtures,
+    record: flags.record,
+    scheduler,
+  };
+  let provider = createProvider(providerNames, options);
+
+  // Fixture data never goes into the live cache, and recording skips it: a cache
+  // hit records nothing and an incremental refresh only the last few bars
+  if (!flags['no-cache'] && !flags.record && !providerNames.includes('fixture')) {
+    provider = new CachedProvider(provider, { refresh: !!flags.refresh });
+  }
+
+  const optionNames = listFlag(flags, 'options-provider')
+    || [providerNames.includes('fixture') ? 'fixture' : 'yahoo'];
+  const optionsProvider = createProvider(optionNames, options);
+
+  return { provider, providerNames, optionsProvider, optionNames, scheduler };
+}
+
+function getUniverse(name) {
+  try {
+    return universes.getUniverse(name);
+  } catch (e) {
+    throw new config.ConfigError('--universe', [e.message]);
+  }
+}
+
+// --symbols, else --universe, else the given universe names. Delisted / invalid
+// symbols are left out of universes (not --symbols) unless --include-invalid.
+// Returns { symbols, skipped }.
+function resolveSymbols(flags, names, store = new universes.UniverseStore()) {
+  const symbols = listFlag(flags, 'symbols');
+  if (symbols) {
+    return { symbols: [...new Set(symbols.map(s => s.toUpperCase()))], skipped: [] };
+  }
+  const list = flags.universe ? getUniverse(flags.universe) : [...new Set(names.flatMap(getUniverse))];
+  if (flags['include-invalid']) return { symbols: list, skipped: [] };
+  return {
+    symbols: list.filter(s => !store.isInvalid(s)),
+    skipped: list.filter(s => store.isInvalid(s)),
+  };
+}
+
+// Profiles from the positionals (or the config's profile, or the default),
+// with --config and --filter applied
+function configureProfiles(positional, flags, fallback) {
+  const names = positional.length > 0
+    ? positional
+    : [(flags.config && config.configProfileName(flags.config)) || fallback];
+  const overrides = config.parseFilterOverrides(flags.filter);
+
+  return names.map(name => config.applyConfig(getProfile(name), { config: flags.config || null, overrides }));
+}
+
+function describeConfig(profile) {
+  const { source, overrides, hash } = profile.config;
+  const extra = Object.entries(overrides).map(([k, v]) => `${k}=${v}`).join(', ');
+  return `${profile.name}: ${source}${extra ? ' + ' + extra : ''} [${hash}]`;
+}
+
+function intradayTimeframes(value) {
+  try {
+    return parseTimeframes(value);
+  } catch (e) {
+    throw new config.ConfigError('--intraday', [e.message]);
+  }
+}
+
+// --explain GME,AMC (or repeated) -> ['GME', 'AMC']
+function explainSymbols(value) {
+  const symbols = [].concat(value)
+    .filter(v => v !== true)
+    .flatMap(v => String(v).split(','))
+    .map(s => s.trim().toUpperCase())
+    .filter(Boolean);
+  if (symbols.length === 0) throw new config.ConfigError('--explain', ['needs a symbol, e.g. --explain GME']);
+  return [...new Set(symbols)];
+}
+
+// --hold 5, --target 10, ... -> a positive finite number (undefined when not given)
+function positiveFlag(flags, key, { integer = false } = {}) {
+  if (flags[key] === undefined) return undefined;
+  const value = Number(flags[key]);
+  if (flags[key] === true || !Number.isFinite(value) || value <= 0 || (integer && !Number.isInteger(value))) {
+    throw new config.ConfigError(`--${key}`, [`expected a positive ${integer ? 'whole number' : 'number'}, got "${flags[key]}"`]);
+  }
+  return value;
+}
+
+// --alert [file] (--alert-dry-run prints instead of sending). null without --alert.
+function buildAlerts(flags) {
+  if (!flags.alert && !flags['alert-dry-run']) return null;
+  const file = typeof flags.alert === 'string' ? flags.alert : null;
+  const alertConfig = alerts.loadAlertConfig(file) || (flags['alert-dry-run'] ? { channels: [{ type: 'dryrun' }] } : null);
+  if (!alertConfig) {
+    throw new config.ConfigError('--alert', ['no alerts.json / alerts.yaml and no TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID']);
+  }
+  return new alerts.AlertDispatcher(alertConfig, { dryRun: !!flags['alert-dry-run'] });
+}
+
+function printUsage(scheduler, names = null) {
+  scheduler.summary()
+    .filter(u => !names || names.includes(u.provider))
+    .forEach(u => {
+      const budget = u.perDay == null ? 'no daily limit' : `${u.used}/${u.perDay} today`;
+      const pace = u.perMinute == null ? '' : ` | ${u.perMinute}/min`;
+      console.log(`📡 ${u.provider}: ${budget}${pace}${u.exhausted ? ' | EXHAUSTED' : ''}`);
+    });
+}
+
+// Problems worth keeping with an archived run: one line per failure group
+// (the entries themselves go into the run's `failures`)
+function scanErrors(failures, partial) {
+  const errors = failures.summary().map(r => {
+    const count = `${r.symbols.length} symbol${r.symbols.length === 1 ? '' : 's'}`;
+    return `${r.category}: ${count} (${r.provider || '-'}${r.status ? ` ${r.status}` : ''}, ${r.requests.join('/')}): ${r.message}`;
+  });
+  if (partial) errors.push(`partial: ${partial.reason} (${partial.skipped.length} not scanned)`);
+  return errors;
+}
+
+// --explain output for one profile run. Rejected symbols get their option chain
+// too, so the GEX rules count the same as for a candidate.
+async function explainRun(profile, run, symbols, { records, chains, intraday, failures, optionsProvider }) {
+  const fetched = symbols.filter(s => records.some(r => r.symbol === s));
+  if (optionsProvider) await engine.fetchChains(optionsProvider, fetched, chains, { failures });
+
+  for (const symbol of symbols) {
+    const record = records.find(r => r.symbol === symbol);
+    if (!record) {
+      console.log(`\n🔍 ${symbol} (${profile.name}) - rejected: no data`);
+      failures.toJSON()
+        .filter(e => e.symbol === symbol)
+        .forEach(e => console.log(`   ${e.request}: ${e.provider || '-'} ${e.category}${e.status ? ` (${e.status})` : ''} - ${e.message}`));
+      continue;
+    }
+    const rank = run.results.findIndex(r => r.symbol === symbol) + 1;
+    const explained = engine.explainSymbol(profile, record, profile.filters, { chains: optionsProvider ? chains : null, intraday });
+    engine.printExplain(profile, explained, { rank: rank || null });
+  }
+}
+
+// Fetch once, then run every profile: intraday confirmation (with `timeframes`),
+// option chains, results, scan file, config history + scan archive. `quiet` prints nothing
+// (watch mode reports its own diff). `explain` symbols are fetched even when outside the
+// universe and get their filter / score breakdown printed. Returns { runs, partial, failures }.
+async function runScan(profiles, flags, { timeframes = null, quiet = false, explain = [] } = {}) {
+  const log = quiet ? () => {} : console.log;
+  const lead = profiles[0];
+  const store = new universes.UniverseStore();
+  const { symbols, skipped } = resolveSymbols(flags, profiles.map(p => p.universe), store);
+  symbols.push(...explain.filter(s => !symbols.includes(s)));
+
+  const { provider, providerNames, optionsProvider, optionNames, scheduler } = buildProvider(flags, lead.providers);
+  const bars = Math.max(...profiles.map(p => p.bars));
+  const archive = flags['no-archive'] ? null : new ScanArchive();
+
+  // Only a single profile may skip history requests based on its quote filter
+  const quoteFilter = profiles.length === 1 && lead.quoteFilter
+    ? (quote, symbol) => explain.includes(symbol) || lead.quoteFilter(quote, lead.filters)
+    : null;
+
+  log(`\n🎯 ${profiles.length === 1 ? lead.title : 'GAMMA SCANNER - ' + profiles.map(p => p.name).join(' vs ')}`);
+  log(`Time: ${new Date().toISOString()}`);
+  profiles.forEach(p => log(`Config: ${describeConfig(p)}`));
+  log(`Scanning ${symbols.length} stocks (${provider.name}, ${bars} bars)...`);
+  if (skipped.length > 0) log(`🚫 Skipping ${skipped.length} delisted / invalid symbols (node gamma.js universe invalid)`);
+
+  // Unknown short interest never passes shortInterestMin: without an import nothing can
+  const needShort = profiles.filter(p => p.steps.some(step => step.name === 'shortInterestMin'));
+  if (needShort.length > 0 && !getStore().hasShortInterest()) {
+    log(`⚠️  No short interest data yet - ${needShort.map(p => p.name).join(', ')} will find nothing until you import some (node gamma.js short import <file>)`);
+  }
+  log('');
+
+  log('📊 Step 1: Fetching quotes + history...');
+  const { records, partial, missing, failures } = await engine.fetchUniverse(provider, symbols, { bars, quoteFilter, quiet });
+  if (provider.stats) {
+    const { hits, incremental, full } = provider.stats;
+    log(`💾 Bar cache: ${hits} hits | ${incremental} incremental | ${full} full fetches`);
+  }
+  if (!quiet) printUsage(scheduler, providerNames);
+
+  // Symbols that keep coming back not-found get flagged (fixture gaps say nothing about
+  // listings, and an auth / quota / network failure says nothing about the symbol)
+  if (!providerNames.includes('fixture')) {
+    const notScanned = new Set(partial ? partial.skipped : []);
+    const noData = new Set(missing);
+    const flagged = store.recordScan({
+      seen: symbols.filter(s => !noData.has(s) && !notScanned.has(s)),
+      missing: missing.filter(s => failures.categoriesOf(s).every(c => c === 'not-found')),
+    });
+    store.save();
+    if (flagged.length > 0) {
+      log(`🚫 Flagged as delisted / invalid (no data on ${universes.INVALID_AFTER} days): ${flagged.join(', ')}`);
+    }
+  }
+
+  const runs = [];
+  const chains = new Map();
+  const intraday = timeframes ? new Map() : null;
+  for (const profile of profiles) {
+    log(`\n📉 ${profile.name}: ${profile.description}`);
+    let run = engine.runProfile(profile, records);
+
+    // Rerun with intraday bars for everything that passed the daily steps
+    if (timeframes && run.passed.length > 0) {
+      log(`⏱️  Checking ${run.passed.length} candidates on ${timeframes.join(' / ')} bars...`);
+      await fetchIntraday(provider, run.passed, timeframes, intraday, { failures, quiet });
+      run = engine.runProfile(profile, records, profile.filters, { intraday });
+    }
+
+    // Rerun with option chains for everything still in (GEX feeds the score)
+    if (!flags['no-options'] && run.passed.length > 0) {
+      await engine.fetchChains(optionsProvider, run.passed, chains, { failures, quiet });
+      run = engine.runProfile(profile, records, profile.filters, { chains, intraday });
+    }
+    if (!quiet) {
+      engine.printFunnel(run);
+      engine.printResults(profile, run);
+    }
+    if (!quiet && explain.length > 0) {
+      await explainRun(profile, run, explain, { records, chains, intraday, failures, optionsProvider: flags['no-options'] ? null : optionsProvider });
+    }
+
+    let scanFile = null;
+    if (profile.save && !flags['no-save']) {
+      scanFile = engine.saveResults(profile, run.results, { quiet });
+    }
+    config.recordHistory(profile, { scanFile, results: run.results.length });
+    if (archive) {
+      archive.record({
+        profile,
+        run,
+        providers: providerNames,
+        optionsProviders: flags['no-options'] ? [] : optionNames,
+        universe: flags.symbols ? 'symbols' : flags.universe || [...new Set(profiles.map(p => p.universe))].join('+'),
+        universeSize: symbols.length,
+        fetched: records.length,
+        errors: scanErrors(failures, partial),
+        failures: [...failures.toJSON()],
+        scanFile,
+      });
+    }
+    runs.push(run);
+  }
+
+  if (flags['funnel-csv']) {
+    const file = engine.saveFunnelCsv(typeof flags['funnel-csv'] === 'string' ? flags['funnel-csv'] : 'funnel.csv', runs);
+    log(`\n💾 Funnel: ${file}`);
+  }
+
+  if (!quiet) {
+    if (runs.length > 1) engine.printComparison(runs);
+    printFailures(failures.summary());
+    engine.printPartial(partial);
+  }
+
+  return { runs, partial, failures };
+}
+
+// Commands
+const commands = {
+  // Run one or more profiles on the same fetched data
+  'scan': async (args) => {
+    const { positional, flags } = parseArgs(args);
+    const profiles = configureProfiles(positional, flags, 'v5');
+    const timeframes = flags.intraday ? intradayTimeframes(flags.intraday) : null;
+    const explain = flags.explain ? explainSymbols(flags.explain) : [];
+    const dispatcher = buildAlerts(flags);
+
+    const { runs } = await runScan(profiles, flags, { timeframes, explain });
+    if (dispatcher) {
+      for (const run of runs) {
+        const profile = profiles.find(p => p.name === run.profile);
+        alerts.printDispatch(run.profile, await dispatcher.dispatch(profile, run.results));
+      }
+    }
+    return runs;
+  },
+
+  // Scan on a market-hours schedule, reporting only new / dropped symbols
+  'watch': async (args) => {
+    const { positional, flags } = parseArgs(args);
+    const profiles = configureProfiles(positional, flags, 'v5');
+    const timeframes = flags.intraday ? intradayTimeframes(flags.intraday) : null;
+
+    let preMarket;
+    try {
+      preMarket = flags.pre === undefined ? undefined : parseTime(flags.pre === true ? 'off' : flags.pre);
+    } catch (e) {
+      throw new config.ConfigError('--pre', [e.message]);
+    }
+    const every = positiveFlag(flags, 'every');
+    const options = { every, preMarket, now: !!flags.now || !!flags.once, runs: flags.once ? 1 : positiveFlag(flags, 'runs', { integer: true }) || 0 };
+
+    // Alerts go out for newly qualifying symbols only
+    const dispatcher = buildAlerts(flags);
+    if (dispatcher) {
+      options.onChange = async (result, diff) => {
+        if (diff.added.length === 0) return;
+        const profile = profiles.find(p => p.name === result.profile);
+        alerts.printDispatch(result.profile, await dispatcher.dispatch(profile, diff.added));
+      };
+    }
+
+    console.log(`\n👀 WATCH: ${profiles.map(p => p.name).join(', ')}`);
+    profiles.forEach(p => console.log(`Config: ${describeConfig(p)}`));
+    if (dispatcher) console.log(`Alerts: ${dispatcher.describe().join(', ')}`);
+    const today = scheduleFor(easternTime().date, options);
+    console.log(today.length > 0
+      ? `Today: ${today.map(r => formatMinutes(r.minutes)).join(' ')} ET`
+      : 'Market closed today');
+
+    return watch(async () => {
+      const { runs, partial } = await runScan(profiles, flags, { timeframes, quiet: true });
+      return runs.map(run => ({ profile: run.profile, results: run.results, partial }));
+    }, options);
+  },
+
+  // Replay a profile over stored daily bars
+  'backtest': async (args) => {
+    const { positional, flags } = parseArgs(args);
+    const [profile] = configureProfiles(positional.slice(0, 1), flags, 'v4');
+    const { symbols } = resolveSymbols(flags, [profile.universe]);
+    const backtestOptions = {
+      hold: positiveFlag(flags, 'hold', { integer: true }),
+      target: flags.target === 'gapfill' ? 'gapfill' : positiveFlag(flags, 'target'),
+      stop: positiveFlag(flags, 'stop'),
+      from: flags.from,
+      to: flags.to,
+    };
+    console.log(`Config: ${describeConfig(profile)}`);
+
+    // Stored bars from the cache by default; --provider fetches (through the cache) first
+    const series = [];
+    if (flags.provider) {
+      const { provider } = buildProvider(flags, profile.providers);
+      const count = positiveFlag(flags, 'bars', { integer: true }) || 500;
+      console.log(`📊 Fetching up to ${count} daily bars for ${symbols.length} symbols (${provider.name})...`);
+      for (const symbol of symbols) {
+        try {
+          series.push({ symbol, bars: await provider.getDailyBars(symbol, count) });
+        } catch (e) {
+          if (e instanceof QuotaExhaustedError) {
+            console.log(`⛔ ${e.message} - backtesting ${series.length}/${symbols.length} symbols`);
+            break;
+          }
+        }
+      }
+    } else {
+      const cache = new BarCache();
+      for (const symbol of symbols) {
+        const entry = cache.read(symbol, '1day');
+        if (entry) series.push({ symbol, bars: entry.bars });
+      }
+      console.log(`📊 ${series.length}/${symbols.length} symbols have cached daily bars`);
+    }
+
+    const report = runBacktest(profile, series, backtestOptions);
+    printBacktest(report);
+
+    if (flags.out) {
+      fs.writeFileSync(flags.out, JSON.stringify(report, null, 2));
+      console.log(`\n💾 Saved: ${flags.out}\n`);
+    }
+    return report;
+  },
+
+  // Measure what saved scan picks did afterwards; record finished ones
+  'track': async (args) => {
+    const { positional, flags } = parseArgs(args);
+    const scans = loadScanFiles(flags.dir || process.cwd())
+      .filter(scan => positional.length === 0 || positional.includes(scan.profile));
+    const picks = scans.reduce((n, scan) => n + scan.candidates.length, 0);
+
+    const { provider } = buildProvider(flags, ['twelvedata']);
+    console.log(`📊 Tracking ${picks} picks from ${scans.length} saved scans (${provider.name})...`);
+
+    const report = await trackPicks(provider, scans, { dryRun: !!flags['dry-run'] });
+    printTracking(report);
+    return report;
+  },
+
+  // Presets, resolved configs and which config produced which scan
+  'config': (args) => {
+    const { positional, flags } = parseArgs(args);
+    const sub = positional[0] || 'list';
+
+    if (sub === 'show') {
+      const ref = positional[1] || flags.config;
+      const profiles = configureProfiles(positional.slice(2), { ...flags, config: ref }, 'v5');
+      profiles.forEach(p => {
+        console.log(`# ${describeConfig(p)}`);
+        console.log(JSON.stringify({ profile: p.name, filters: p.filters, scoring: p.scoring }, null, 2));
+      });
+      return profiles;
+    }
+
+    if (sub === 'history') {
+      const entries = config.readHistory({ profile: flags.profile, hash: positional[1] });
+      console.log(`${entries.length} scans\n`);
+      entries.slice(-(parseInt(flags.limit) || 20)).forEach(e => {
+        const extra = Object.entries(e.overrides || {}).map(([k, v]) => `${k}=${v}`).join(', ');
+        console.log(`  ${e.timestamp.slice(0, 19)}  ${e.profile.padEnd(4)} ${e.hash}  ${String(e.results).padStart(3)} results  ${e.scanFile || '(not saved)'}  ${e.source}${extra ? ' + ' + extra : ''}`);
+      });
+      return entries;
+    }
+
+    const presets = config.listPresets();
+    console.log(`Presets (${config.PRESET_DIR}):`);
+    presets.forEach(p => {
+      console.log(`  ${p.name.padEnd(16)} ${(p.profile || '?').padEnd(4)} ${p.description}`);
+    });
+    return presets;
+  },
+
+  // Dealer gamma by strike for one or more symbols
+  'gex': async (args) => {
+    const { positional, flags } = parseArgs(args);
+    if (positional.length === 0) {
+      console.log('Usage: node gamma.js gex <SYMBOL...> [--options-provider yahoo] [--strikes 15]');
+      return;
+    }
+    const { provider, optionsProvider } = buildProvider(flags, ['yahoo']);
+    const width = parseInt(flags.strikes) || 15;
+
+    const reports = [];
+    for (const symbol of positional.map(s => s.toUpperCase())) {
+      let chain, quote;
+      try {
+        chain = await optionsProvider.getOptionChain(symbol);
+        quote = await provider.getQuote(symbol).catch(() => null);
+      } catch (e) {
+        console.log(`\n❌ ${symbol}: ${e.message}`);
+        continue;
+      }
+
+      const spot = quote?.price || chain.underlyingPrice;
+      const unavailable = gexUnavailable(chain, spot);
+      if (unavailable) {
+        console.log(`\n❌ ${symbol}: ${unavailable}`);
+        continue;
+      }
+      const gex = computeGex(chain, spot);
+
+      const level = (v) => (v === null ? 'n/a' : `$${v.toFixed(2)}`);
+      console.log(`\n📐 ${symbol} @ $${spot.toFixed(2)} | ${gex.contracts} contracts (${chain.asOf.slice(0, 10)})`);
+      console.log(`   Net GEX: ${formatGex(gex.netGex)}/1% (calls ${formatGex(gex.callGex)} | puts ${formatGex(gex.putGex)})`);
+      console.log(`   Gamma flip: ${level(gex.gammaFlip)} | Call wall: ${level(gex.callWall)} | Put wall: ${level(gex.putWall)}`);
+
+      // Strikes nearest to spot
+      const nearest = [...gex.byStrike]
+        .sort((a, b) => Math.abs(a.strike - spot) - Math.abs(b.strike - spot))
+        .slice(0, width)
+        .sort((a, b) => a.strike - b.strike);
+      console.log('\n     Strike    Call OI    Put OI    Call GEX     Put GEX     Net GEX');
+      nearest.forEach(r => {
+        const marks = `${r.strike === gex.callWall ? ' ◀ call wall' : ''}${r.strike === gex.putWall ? ' ◀ put wall' : ''}`;
+        console.log(`   ${('$' + r.strike).padStart(8)} ${String(r.callOI).padStart(10)} ${String(r.putOI).padStart(9)} ${formatGex(r.callGex).padStart(11)} ${formatGex(r.putGex).padStart(11)} ${formatGex(r.netGex).padStart(11)}${marks}`);
+      });
+      reports.push({ symbol, ...gex });
+    }
+    return reports;
+  },
+
+  // Short interest / float store: import files, show what is known
+  'short': (args) => {
+    const { positional, flags } = parseArgs(args);
+    const sub = positional[0] || 'show';
+    const store = getStore();
+
+    if (sub === 'import' || sub === 'float') {
+      const files = positional.slice(1);
+      if (files.length === 0) {
+        console.log(`Usage: node gamma.js short ${sub} <file...>`);
+        return;
+      }
+      for (const file of files) {
+        const options = { asOf: flags['as-of'] || null, ...(flags.source ? { source: flags.source } : {}) };
+        try {
+          const result = sub === 'import'
+            ? store.ingestShortInterest(file, options)
+            : store.ingestFloat(file, options);
+          console.log(`✓ ${result.file}: ${result.updated} updated, ${result.skipped} skipped of ${result.rows} rows (as of ${result.asOf || 'unknown'})`);
+        } catch (e) {
+          console.log(`❌ ${e.message}`);
+          process.exitCode = 1;
+        }
+      }
+      store.save();
+      return;
+    }
+
+    const symbols = positional.slice(1).map(s => s.toUpperCase());
+    const rows = store.list().filter(r => symbols.length === 0 || symbols.includes(r.symbol));
+    const missing = symbols.filter(s => !rows.some(r => r.symbol === s));
+
+    console.log(`Short interest / float: ${store.file}\n`);
+    console.log('  Symbol   Short%   As of        Source    Float      As of        Source');
+    rows.forEach(r => {
+      const si = r.shortInterest === null ? 'n/a' : r.shortInterest.toFixed(1);
+      const float = r.float === null ? 'n/a' : `${(r.float / 1e6).toFixed(1)}M`;
+      console.log(`  ${r.symbol.padEnd(8)} ${si.padStart(6)}   ${(r.shortAsOf || '-').padEnd(12)} ${(r.shortSource || '-').padEnd(9)} ${float.padStart(8)}   ${(r.floatAsOf || '-').padEnd(12)} ${r.floatSource || '-'}`);
+    });
+    missing.forEach(s => console.log(`  ${s.padEnd(8)} unknown`));
+    return rows;
+  },
+
+  // Inspect / clear the bar cache
+  'cache': (args) => {
+    const cache = new BarCache();
+    const sub = args[0] || 'list';
+
+    if (sub === 'clear') {
+      const removed = cache.clear(args[1] || null);
+      console.log(`✓ Removed ${removed} cached series${args[1] ? ' for ' + args[1].toUpperCase() : ''}`);
+      return;
+    }
+
+    const entries = cache.list().filter(e => !args[1] || e.symbol === args[1].toUpperCase());
+    console.log(`Bar cache: ${cache.dir}`);
+    console.log(`${entries.length} series\n`);
+    entries.forEach(e => {
+      console.log(`  ${e.symbol.padEnd(6)} ${e.interval.padEnd(6)} ${String(e.bars).padStart(5)} bars  ${e.first} → ${e.last}  (${e.provider}, fetched ${e.fetched})`);
+    });
+  },
+
+  // Alert channels, recent alerts, test message
+  'alerts': async (args) => {
+    const { positional, flags } = parseArgs(args);
+    const sub = positional[0] || 'status';
+    const file = typeof flags.config === 'string' ? flags.config : null;
+
+    if (sub === 'test') {
+      let alertConfig = alerts.loadAlertConfig(file);
+      let standIn = null;
+
+      // Point every HTTP channel at a local server instead of the real service
+      if (flags['stand-in']) {
+        standIn = await alerts.startStandIn();
+        const channels = alertConfig ? alertConfig.channels : [
+          { type: 'telegram', token: 'TEST', chatId: 'TEST' },
+          { type: 'discord', url: 'x' },
+          { type: 'webhook', url: 'x' },
+        ];
+        alertConfig = {
+          ...alertConfig,
+          channels: channels
+            .filter(c => ['telegram', 'discord', 'webhook', 'dryrun'].includes(c.type))
+            .map(c => (c.type === 'telegram' ? { ...c, apiBase: standIn.url } : { ...c, url: `${standIn.url}/${c.type}` })),
+        };
+        console.log(`🧪 Stand-in: ${standIn.url} (email / file channels skipped)`);
+      }
+      if (!alertConfig) {
+        console.log('No alerts configured (alerts.json / alerts.yaml or TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID). Try --stand-in.');
+        return;
+      }
+
+      const dispatcher = new alerts.AlertDispatcher(alertConfig, { dryRun: !!flags['dry-run'] });
+      const profile = { name: 'test', format: () => ['Test alert from the gamma scanner'] };
+      const outcomes = await dispatcher.send(dispatcher.message(profile, { symbol: 'TEST', score: 100, price: 1 }));
+      outcomes.forEach(o => console.log(`${o.ok ? '✓' : '❌'} ${o.channel}${o.ok ? '' : `: ${o.error}`}`));
+
+      if (standIn) {
+        standIn.received.forEach(r => console.log(`\n📥 ${r.method} ${r.path}\n${JSON.stringify(r.body, null, 2)}`));
+        await standIn.close();
+      }
+      return outcomes;
+    }
+
+    const alertConfig = alerts.loadAlertConfig(file);
+    if (!alertConfig) {
+      console.log('No alerts configured (alerts.json / alerts.yaml or TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID)');
+      return;
+    }
+    const dispatcher = new alerts.AlertDispatcher(alertConfig);
+    console.log(`Alerts: ${alertConfig.source}`);
+    dispatcher.describe().forEach(d => console.log(`  - ${d}`));
+    console.log(`Cooldown: ${dispatcher.cooldownMs / 60000} min | Min score: ${dispatcher.minScore}`);
+
+    const recent = Object.entries(dispatcher.history)
+      .sort(([, a], [, b]) => b.at.localeCompare(a.at))
+      .slice(0, parseInt(flags.limit) || 10);
+    if (recent.length > 0) {
+      console.log('\nRecent:');
+      recent.forEach(([symbol, h]) => {
+        const cooling = dispatcher.isCoolingDown(symbol) ? ' (cooling down)' : '';
+        console.log(`  ${h.at.slice(0, 16).replace('T', ' ')}  ${symbol.padEnd(6)} ${h.profile} ${h.score}/100${cooling}`);
+      });
+    }
+  },
+
+  // Archived scan runs and candidate history
+  'archive': (args) => {
+    const { positional, flags } = parseArgs(args);
+    const sub = ['runs', 'show', 'query'].includes(positional[0]) ? positional[0] : 'runs';
+    const archive = new ScanArchive();
+    const range = {};
+    for (const [key, parse] of [['since', parseSince], ['until', parseUntil]]) {
+      if (!flags[key]) continue;
+      try {
+        range[key] = parse(flags[key]);
+      } catch (e) {
+        throw new config.ConfigError(`--${key}`, [e.message]);
+      }
+    }
+    const hash = typeof flags.config === 'string' ? flags.config : null;
+    const at = (iso) => iso.slice(0, 16).replace('T', ' ');
+
+    if (sub === 'show') {
+      const found = positional[1] && archive.run(positional[1]);
+      if (!found) {
+        console.log(`No archived run "${positional[1] || ''}" (ids from: node gamma.js archive runs)`);
+        return null;
+      }
+      const { run, candidates } = found;
+      console.log(`Run ${run.id}`);
+      console.log(`  ${at(run.at)} UTC | ${run.profile} | config ${run.configSource} [${run.configHash}]`);
+      console.log(`  Providers: ${run.providers.join(', ')}${run.optionsProviders.length > 0 ? ` | options: ${run.optionsProviders.join(', ')}` : ''}`);
+      console.log(`  Universe: ${run.universe} (${run.universeSize}) | fetched ${run.fetched} | analyzed ${run.analyzed}`);
+      // Runs archived before the funnel only have counts
+      if (run.steps.every(step => step.dropped)) {
+        engine.printFunnel(run);
+      } else {
+        run.steps.forEach(step => console.log(`   ${step.count} ${step.label}`));
+      }
+      // Runs archived before per-symbol failures only have the error lines
+      const failures = run.failures || [];
+      run.errors.filter(e => failures.length === 0 || e.startsWith('partial:')).forEach(e => console.log(`  ⚠️  ${e}`));
+      printFailures(FailureLog.fromJSON(failures).summary(), { title: 'Fetch failures' });
+      if (run.scanFile) console.log(`  Scan file: ${run.scanFile}`);
+      console.log('');
+      candidates.forEach(c => console.log(`  #${c.rank} ${c.symbol.padEnd(6)} ${String(c.score).padStart(3)}/100  $${c.price?.toFixed(2)}`));
+      return found;
+    }
+
+    if (sub === 'query') {
+      const symbols = positional.slice(1);
+      const rows = archive.candidates({
+        symbols,
+        profile: flags.profile || null,
+        hash,
+        ...range,
+        above: flags.above !== undefined ? Number(flags.above) : null,
+        below: flags.below !== undefined ? Number(flags.below) : null,
+      });
+      const shown = rows.slice(0, parseInt(flags.limit) || 50);
+
+      console.log(`${rows.length} archived result${rows.length === 1 ? '' : 's'}${rows.length > shown.length ? ` (newest ${shown.length} shown)` : ''}\n`);
+      shown.forEach(c => {
+        console.log(`  ${at(c.at)}  ${c.symbol.padEnd(6)} ${c.profile.padEnd(4)} ${String(c.score).padStart(3)}/100  $${(c.price ?? 0).toFixed(2).padStart(7)}  #${c.rank}  ${c.runId}`);
+      });
+
+      // Per-symbol summary when several symbols show up
+      const bySymbol = new Map();
+      rows.forEach(c => bySymbol.set(c.symbol, [...(bySymbol.get(c.symbol) || []), c]));
+      if (bySymbol.size > 1) {
+        console.log('\n  Symbol   Times   Best   First seen         Last seen');
+        [...bySymbol.entries()]
+          .sort((a, b) => b[1].length - a[1].length)
+          .forEach(([symbol, list]) => {
+            const best = Math.max(...list.map(c => c.score));
+            console.log(`  ${symbol.padEnd(8)} ${String(list.length).padStart(5)}   ${String(best).padStart(4)}   ${at(list[list.length - 1].at)}   ${at(list[0].at)}`);
+          });
+      }
+      return rows;
+    }
+
+    const runs = archive.runs({ profile: flags.profile || null, hash, ...range, limit: parseInt(flags.limit) || 20 });
+    console.log(`Scan archive: ${archive.dir}\n`);
+    if (runs.length === 0) {
+      console.log('  No archived runs');
+      return runs;
+    }
+    runs.forEach(r => {
+      const errors = r.errors.length > 0 ? ` | ⚠️  ${r.errors.length} error${r.errors.length === 1 ? '' : 's'}` : '';
+      console.log(`  ${at(r.at)}  ${r.profile.padEnd(4)} [${r.configHash}]  ${String(r.results).padStart(3)} results / ${r.fetched} of ${r.universeSize} (${r.providers.join(',')})${errors}  ${r.id}`);
+    });
+    return runs;
+  },
+
+  // Symbol lists, metadata, delisted / invalid symbols, price-band builder
+  'universe': async (args) => {
+    const { positional, flags } = parseArgs(args);
+    const sub = positional[0] || 'list';
+    const store = new universes.UniverseStore();
+    const tags = (meta) => [meta.sector, meta.industry, meta.exchange, meta.etf ? 'ETF' : null].filter(Boolean).join(' | ');
+
+    if (sub === 'import') {
+      const files = positional.slice(1);
+      if (files.length === 0) {
+        console.log('Usage: node gamma.js universe import <file...>  (nasdaqlisted.txt, otherlisted.txt, screener / metadata CSV)');
+        return;
+      }
+      for (const file of files) {
+        try {
+          const result = store.importFile(file, { asOf: flags['as-of'] || null });
+          console.log(`✓ ${result.file}: ${result.updated} symbols (${result.etfs} ETFs), ${result.skipped} skipped of ${result.rows} rows - ${result.kind} as of ${result.asOf}`);
+        } catch (e) {
+          console.log(`❌ ${e.message}`);
+          process.exitCode = 1;
+        }
+      }
+      store.save();
+
+      // Symbols in the lists that the new directory no longer has
+      universes.listUniverses().forEach(u => {
+        const gone = store.unlisted(universes.getUniverse(u.name)) || [];
+        if (gone.length > 0) console.log(`⚠️  ${u.name}: ${gone.length} not in the listed directory: ${gone.slice(0, 20).join(', ')}${gone.length > 20 ? ', ...' : ''}`);
+      });
+      return;
+    }
+
+    if (sub === 'build') {
+      const name = positional[1];
+      if (!name) {
+        console.log('Usage: node gamma.js universe build <name> [--max-price 50] [--min-volume 500000] [--from listed|<universe>] ...');
+        return;
+      }
+      if (universes.SHIPPED.includes(name) && !flags.force) {
+        throw new config.ConfigError('universe build', [`"${name}" ships with the scanner - pick another name (or --force)`]);
+      }
+
+      const problems = [];
+      const number = (key) => {
+        if (flags[key] === undefined) return null;
+        const value = parseNumber(String(flags[key]));
+        if (value === null || value < 0) problems.push(`--${key}: expected a number, got "${flags[key]}"`);
+        return value;
+      };
+      const rules = { minPrice: number('min-price'), maxPrice: number('max-price'), minVolume: number('min-volume') };
+      if (problems.length > 0) throw new config.ConfigError('universe build', problems);
+
+      // Pool: the imported directory (stocks only by default), or a universe
+      const from = flags.from || (store.listed().length > 0 ? 'listed' : null);
+      if (from === 'listed' && store.listed().length === 0) {
+        throw new config.ConfigError('--from', ['no symbol directory imported (node gamma.js universe import nasdaqlisted.txt otherlisted.txt)']);
+      }
+      let pool = from === 'listed'
+        ? store.listed()
+        : from ? getUniverse(from) : [...new Set(universes.SHIPPED.flatMap(getUniverse))];
+      const etf = flags.etf ? true : (flags['no-etf'] || from === 'listed' ? false : null);
+      pool = universes.filterSymbols(pool, store, { sector: flags.sector, industry: flags.industry, exchange: flags.exchange, etf })
+        .filter(s => !store.isInvalid(s));
+      const source = from || 'shipped universes';
+      console.log(`🏗️  ${name}: ${pool.length} candidates from ${source} | ${universes.describeRules(rules)}`);
+
+      let result;
+      if (flags.offline) {
+        result = universes.buildOffline(pool, rules, store);
+      } else {
+        const { provider, providerNames } = buildProvider(flags, ['yahoo']);
+        result = await universes.buildUniverse(provider, pool, rules, store, {
+          onProgress: (i) => { if (i % 20 === 0) process.stdout.write('.'); },
+        });
+        if (!providerNames.includes('fixture')) {
+          const noQuote = new Set(result.missing);
+          store.recordScan({ seen: pool.slice(0, result.checked).filter(s => !noQuote.has(s)), missing: result.missing });
+        }
+        console.log('');
+      }
+      store.save();
+
+      const { symbols, checked, missing, partial } = result;
+      if (missing.length > 0) console.log(`   ${missing.length} without ${flags.offline ? 'a stored price (import a screener CSV or build online)' : 'a quote'}: ${missing.slice(0, 20).join(', ')}${missing.length > 20 ? ', ...' : ''}`);
+      if (partial) console.log(`⚠️  ${partial.reason} - ${partial.skipped.length} not checked`);
+      if (symbols.length === 0) {
+        console.log(`❌ No symbols matched - ${name} not written`);
+        return result;
+      }
+
+      const file = universes.saveUniverse(name, symbols, [
+        `Built ${easternTime().date} from ${source}: ${universes.describeRules(rules)}`,
+        [flags.sector && `sector ${flags.sector}`, flags.industry && `industry ${flags.industry}`, flags.exchange && `exchange ${flags.exchange}`, etf === true ? 'ETFs only' : etf === false ? 'no ETFs' : null]
+          .filter(Boolean).join(', ') || 'no metadata filters',
+        `${symbols.length} of ${checked} checked${partial ? ` (partial: ${partial.skipped.length} not checked)` : ''}${flags.offline ? ' (stored prices)' : ''}`,
+      ]);
+      console.log(`✅ ${symbols.length} symbols -> ${file}`);
+      console.log(`   Scan it: node gamma.js scan --universe ${name}`);
+      return result;
+    }
+
+    if (sub === 'invalid') {
+      if (positional[1] === 'clear') {
+        const cleared = store.clearInvalid(positional.slice(2));
+        store.save();
+        console.log(`✓ ${cleared} symbol${cleared === 1 ? '' : 's'} back in the universes`);
+        return;
+      }
+      // Known delistings only matter when a list still has them (--all for every one)
+      const inLists = new Set(universes.listUniverses().flatMap(u => universes.getUniverse(u.name)));
+      const invalid = store.invalid().filter(i => flags.all || i.source === 'scans' || inLists.has(i.symbol));
+      console.log(`Delisted / invalid (left out of universes, --include-invalid to scan anyway): ${invalid.length}\n`);
+      invalid.forEach(i => console.log(`  ${i.symbol.padEnd(6)} ${i.source.padEnd(6)} ${i.reason}`));
+
+      const failing = store.failing();
+      if (failing.length > 0) {
+        console.log(`\nNo data lately (flagged after ${universes.INVALID_AFTER} days):`);
+        failing.forEach(f => console.log(`  ${f.symbol.padEnd(6)} ${f.failDays.length} day${f.failDays.length === 1 ? '' : 's'}: ${f.failDays.join(', ')}`));
+      }
+      return invalid;
+    }
+
+    if (sub === 'show') {
+      const name = positional[1];
+      if (!name) {
+        console.log('Usage: node gamma.js universe show <name|file> [--sector ...] [--exchange ...] [--etf | --no-etf]');
+        return;
+      }
+      const etf = flags.etf ? true : flags['no-etf'] ? false : null;
+      const symbols = universes.filterSymbols(getUniverse(name), store, { sector: flags.sector, industry: flags.industry, exchange: flags.exchange, etf });
+      console.log(`${name}: ${symbols.length} symbols\n`);
+      symbols.forEach(symbol => {
+        const meta = store.meta(symbol);
+        const reason = store.invalidReason(symbol);
+        console.log(`  ${symbol.padEnd(6)} ${tags(meta) || '(no metadata)'}${reason ? `  🚫 ${reason}` : ''}`);
+      });
+
+      const bySector = new Map();
+      symbols.forEach(s => {
+        const meta = store.meta(s);
+        const sector = meta.etf ? 'ETF' : meta.sector || 'Unknown';
+        bySector.set(sector, (bySector.get(sector) || 0) + 1);
+      });
+      console.log('\n  ' + [...bySector.entries()].sort((a, b) => b[1] - a[1]).map(([sector, n]) => `${sector}: ${n}`).join(' | '));
+      const gone = store.unlisted(symbols);
+      if (gone && gone.length > 0) console.log(`  ⚠️  Not in the listed directory: ${gone.join(', ')}`);
+      return symbols;
+    }
+
+    const list = universes.listUniverses();
+    console.log(`Universes (${universes.UNIVERSE_DIR}):`);
+    list.forEach(u => {
+      const invalid = universes.getUniverse(u.name).filter(s => store.isInvalid(s)).length;
+      console.log(`  ${u.name.padEnd(12)} ${String(u.count).padStart(5)} symbols${invalid > 0 ? ` (${invalid} invalid)` : ''}  ${u.description}`);
+    });
+    const listed = store.listed();
+    console.log(listed.length > 0
+      ? `\nListed directory: ${listed.length} symbols as of ${store.meta(listed[0]).listedAsOf} (--from listed)`
+      : '\nNo symbol directory imported (node gamma.js universe import nasdaqlisted.txt otherlisted.txt)');
+    return list;
+  },
+
+  // Today's API usage vs daily budgets
+  'usage': () => {
+    printUsage(new RequestScheduler());
+  },
+
+  // List available profiles
+  'profiles': () => {
+    console.log('Scanner profiles:');
+    for (const profile of Object.values(PROFILES)) {
+      console.log(`  ${profile.name.padEnd(4)} ${profile.description}`);
+      console.log(`       universe: ${profile.universe} | providers: ${profile.providers.join(' > ')} | bars: ${profile.bars}`);
+    }
+  },
+
+  // Help
+  'help': () => {
+    console.log(`
+GAMMA SCANNER
+=============
+
+Commands:
+  scan [profile...]     - Run profiles (default: v5); several = compare on same data
+    --symbols A,B,C     - Scan these symbols instead of the profile universe
+    --universe <name|file> - Scan a named universe (broad, core, expanded, built ones) or a list file
+    --include-invalid   - Keep delisted / invalid symbols in the universe
+    --provider <a,b>    - Provider fallback chain (yahoo, twelvedata, alphavantage, fixture)
+    --fixtures <dir>    - Fixture directory for the fixture provider (default: fixtures/)
+    --record [dir]      - Save everything fetched as fixtures (default: fixtures/, bypasses the cache)
+    --no-save           - Don't write gamma_scan_*.json
+    --no-archive        - Don't add the run to the scan archive
+    --no-cache          - Don't read or write the bar cache
+    --options-provider <a,b> - Option chain source (default: yahoo; fixture with --provider fixture)
+    --no-options        - Skip option chain lookups (no GEX, no penny options)
+    --refresh           - Ignore cached bars and refetch (cache is rewritten)
+    --config <preset|file> - Filters/scoring from a preset or JSON/YAML file
+    --filter key=value  - Override a filter (repeatable, or a,b=1,c=2)
+    --alert [file]      - Send candidates to the alert channels (alerts.json / .yaml)
+    --alert-dry-run     - Print the alerts instead of sending them
+    --intraday [5min,15min,1h] - Confirm candidates on intraday timeframes
+                          (timeframesAgreeMin, intradayConsolidationMax, ... filters)
+    --explain <SYM,...> - Why a symbol did or didn't make it: each filter step + score breakdown
+    --funnel-csv [file] - Save the per-stage funnel (dropped symbols per filter) as CSV (default: funnel.csv)
+  watch [profile...]    - Scan on a market schedule, report new / dropped symbols only
+    --every <min>       - Minutes between intraday scans (default: 30)
+    --pre <HH:MM|off>   - Pre-market scan time, ET (default: 09:00)
+    --now               - Scan immediately, then follow the schedule
+    --once              - Scan immediately once and exit (for cron)
+    --runs <n>          - Stop after n scans
+    (plus the scan options; --alert sends newly qualifying symbols only)
+  alerts [status]       - Alert channels, cooldown and recent alerts (--config <file>)
+  alerts test           - Send a test alert (--stand-in: to a local HTTP server, --dry-run)
+  archive [runs]        - Archived scan runs (--profile, --since 30d|YYYY-MM-DD, --until, --config <hash>, --limit)
+  archive show <id>     - One run: metadata, steps, errors, candidates
+  archive query [SYM...] - Archived results (--above <score>, --below, --profile, --since, --until, --config)
+  universe [list]       - Universes, sizes, invalid symbols per list
+  universe show <name>  - Symbols with sector / industry / exchange / ETF (--sector, --industry, --exchange, --etf, --no-etf)
+  universe import <file...> - Nasdaq Trader directories, screener / metadata CSVs (--as-of)
+  universe build <name> - Universe from rules: --max-price, --min-price, --min-volume (avg)
+    --from <listed|universe> - Symbols to check (default: the imported directory, stocks only)
+    --sector / --industry / --exchange / --etf / --no-etf - Metadata filters
+    --offline           - Use stored prices / volumes instead of quoting (--provider otherwise)
+  universe invalid      - Delisted / flagged symbols (--all), failing ones; invalid clear [SYM...]
+  backtest [profile]    - Replay a profile over cached daily bars (default: v4)
+    --hold <days>       - Max holding period (default: 5)
+    --target <gapfill|%> - Exit at the gap fill level (default) or a % gain
+    --stop <%>          - Stop loss % (default: none)
+    --from / --to <date> - Signal date range (YYYY-MM-DD)
+    --provider <a,b>    - Fetch bars first (through the cache) instead of cache only
+    --bars <n>          - Bars to fetch with --provider (default: 500)
+    --out <file>        - Save the report + trades as JSON
+    --config / --filter - As for scan
+  track [profile...]    - Follow up saved scan picks (gamma_scan_*.json) over 10 days
+    --dir <dir>         - Where the scan files are (default: current directory)
+    --provider <a,b>    - Provider chain for the follow-up bars (default: twelvedata)
+    --dry-run           - Show outcomes without recording them
+  cache [list] [SYM]    - Show cached bar series
+  cache clear [SYM]     - Clear the bar cache (all, or one symbol)
+  config [list]         - List config presets
+  config show <preset|file> [profile] - Print the resolved filters + scoring and hash
+  config history [hash] - Which config produced which scan (--profile, --limit)
+  gex <SYM...>          - Dealer gamma by strike, gamma flip, call/put walls
+    --options-provider <a,b> - Option chain source (default: yahoo)
+    --strikes <n>       - Strikes to list around the price (default: 15)
+  short [show] [SYM...] - Short interest / float with as-of dates
+  short import <file...> - Ingest FINRA / Nasdaq short interest files (--source, --as-of)
+  short float <csv...>  - Ingest float shares from CSV (--as-of if no date column)
+  usage                 - Today's API requests vs daily budgets
+  profiles              - List profiles
+
+  help                  - Show this help
+
+Examples:
+  node gamma.js scan v4
+  node gamma.js scan v2 v4 v5 --universe core
+  node gamma.js scan v5 --symbols GME,AMC
+  node gamma.js scan v4 --record             # fetch live, save fixtures
+  node gamma.js scan v4 --provider fixture   # replay offline
+  node gamma.js scan --config v4-strict --filter maxPrice=20
+  node gamma.js scan v5 --intraday --filter timeframesAgreeMin=3
+  node gamma.js scan v4 --explain GME,AMC
+  node gamma.js watch v5 --intraday --every 15
+  node gamma.js backtest v4 --hold 10 --stop 8
+  node gamma.js track v4 --dry-run
+  node gamma.js archive query GME --above 60 --since 1m
+  node gamma.js universe build under50 --max-price 50 --min-volume 500k
+`);
+  }
+};
+
+async function main(argv = process.argv.slice(2)) {
+  const cmd = argv[0] || 'help';
+
+  if (commands[cmd]) {
+    try {
+      return await commands[cmd](argv.slice(1));
+    } catch (e) {
+      if (!(e instanceof config.ConfigError)) throw e;
+      console.log(`❌ ${e.message}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+  console.log('Unknown command:', cmd);
+  console.log('Run: node gamma.js help');
+  process.exitCode = 1;
+}
+
+module.exports = { main, parseArgs, buildProvider, commands };
+
+if (require.main === module) {
+  main().catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+  });
+}
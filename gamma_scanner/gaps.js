@@ -0,0 +1,93 @@
+/**
+ * Gap Detection
+ * A gap is a session that opens away from the prior close:
+ *
+ *   gap down: open < prior close   zone = [open, prior close]   fills up to the prior close
+ *   gap up:   open > prior close   zone = [prior close, open]   fills down to the prior close
+ *
+ * A "full" gap also leaves the prior bar's range (high < prior low / low > prior high).
+ * Fill is tracked over the gap bar and every bar after it: how far price
+ * has moved back through the zone (0-100%) and when it closed the gap.
+ */
+
+const MIN_GAP_PCT = 1;   // Smaller opening gaps are noise
+
+// Every gap in the bars (oldest first), each with its fill state as of the last bar
+function detectGaps(bars, { minGapPct = MIN_GAP_PCT } = {}) {
+  const gaps = [];
+
+  for (let i = 1; i < bars.length; i++) {
+    const prev = bars[i - 1];
+    const bar = bars[i];
+    const gapPct = ((bar.open - prev.close) / prev.close) * 100;
+    if (Math.abs(gapPct) < minGapPct) continue;
+
+    const direction = gapPct < 0 ? 'down' : 'up';
+    const gap = {
+      direction,
+      date: bar.datetime,
+      index: i,
+      daysSinceGap: bars.length - 1 - i,
+      gapPct,
+      prevClose: prev.close,
+      open: bar.open,
+      upper: Math.max(bar.open, prev.close),
+      lower: Math.min(bar.open, prev.close),
+      fillLevel: prev.close,
+      full: direction === 'down' ? bar.high < prev.low : bar.low > prev.high,
+    };
+    gaps.push({ ...gap, ...trackFill(gap, bars) });
+  }
+
+  return gaps;
+}
+
+// How far bars from the gap bar on moved back through the zone
+function trackFill(gap, bars) {
+  const size = gap.upper - gap.lower;
+  let best = 0;
+
+  for (let i = gap.index; i < bars.length; i++) {
+    const bar = bars[i];
+    const moved = gap.direction === 'down' ? bar.high - gap.lower : gap.upper - bar.low;
+    best = Math.max(best, Math.min(1, moved / size));
+
+    if (best >= 1) {
+      return { filledPct: 100, filled: true, filledDate: bar.datetime, daysToFill: i - gap.index };
+    }
+  }
+
+  return { filledPct: best * 100, filled: false, filledDate: null, daysToFill: null };
+}
+
+function unfilledGaps(bars, options) {
+  return detectGaps(bars, options).filter(g => !g.filled);
+}
+
+// Biggest unfilled gap down (null if none) - the gap a gap-fill setup trades
+function largestOpenGapDown(bars, options) {
+  return unfilledGaps(bars, options)
+    .filter(g => g.direction === 'down')
+    .reduce((best, g) => (!best || g.gapPct < best.gapPct ? g : best), null);
+}
+
+// Compact form for results
+function summarizeGap(g) {
+  return {
+    direction: g.direction,
+    date: g.date,
+    gapPct: g.gapPct,
+    lower: g.lower,
+    upper: g.upper,
+    filledPct: g.filledPct,
+    full: g.full,
+  };
+}
+
+module.exports = {
+  MIN_GAP_PCT,
+  detectGaps,
+  unfilledGaps,
+  largestOpenGapDown,
+  summarizeGap,
+};
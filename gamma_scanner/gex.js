@@ -0,0 +1,143 @@
+/**
+ * Dealer Gamma Exposure (GEX)
+ * From an option chain with open interest, using the usual dealer positioning
+ * assumption (dealers long the calls, short the puts customers trade):
+ *
+ *   contract GEX = gamma x open interest x 100 x spot² x 1%   (calls +, puts -)
+ *
+ * i.e. the dollars of stock dealers must trade per 1% move. Reports:
+ * - Net GEX in total and by strike
+ * - Gamma flip: the spot price where net GEX crosses zero (below it dealers
+ *   are short gamma and chase moves - squeeze fuel)
+ * - Call wall / put wall: strikes with the largest call / put GEX
+ */
+
+const { DEFAULT_RATE, gamma, impliedVol } = require('./greeks.js');
+const { midPrice, daysToExpiry } = require('./options.js');
+
+const FLIP_RANGE = 0.3;    // Search the flip within ±30% of spot
+const FLIP_STEP = 0.005;   // in 0.5% steps
+
+// Contracts that can carry dealer gamma: open interest, not expired, and an IV
+// (quoted, or implied from the mid when the chain has none)
+function gammaContracts(chain, spot, { rate = DEFAULT_RATE, today = new Date().toISOString().slice(0, 10) } = {}) {
+  return chain.contracts
+    .filter(c => c.openInterest > 0 && c.expiry >= today)
+    .map(c => {
+      const T = Math.max(daysToExpiry(c.expiry, today), 1) / 365;
+      const iv = c.iv > 0 ? c.iv : impliedVol(c.type, midPrice(c), spot, c.strike, T, rate);
+      return iv ? { type: c.type, strike: c.strike, openInterest: c.openInterest, T, iv } : null;
+    })
+    .filter(Boolean);
+}
+
+function contractGex(c, spot, rate) {
+  const g = gamma(spot, c.strike, c.T, rate, c.iv) * c.openInterest * 100 * spot * spot * 0.01;
+  return c.type === 'call' ? g : -g;
+}
+
+function netGexAt(contracts, spot, rate = DEFAULT_RATE) {
+  return contracts.reduce((sum, c) => sum + contractGex(c, spot, rate), 0);
+}
+
+// Zero crossing of net GEX nearest to spot (linear interpolation), or null
+function findGammaFlip(contracts, spot, rate = DEFAULT_RATE) {
+  const levels = [];
+  for (let x = -FLIP_RANGE; x <= FLIP_RANGE + 1e-9; x += FLIP_STEP) {
+    const level = spot * (1 + x);
+    levels.push({ level, gex: netGexAt(contracts, level, rate) });
+  }
+
+  let best = null;
+  for (let i = 1; i < levels.length; i++) {
+    const a = levels[i - 1];
+    const b = levels[i];
+    if (a.gex === 0 || Math.sign(a.gex) === Math.sign(b.gex)) continue;
+
+    const flip = a.level + (b.level - a.level) * (a.gex / (a.gex - b.gex));
+    if (best === null || Math.abs(flip - spot) < Math.abs(best - spot)) best = flip;
+  }
+  return best;
+}
+
+// Why a chain has no GEX profile at `spot` ('no spot price', 'no open interest in the chain'), or null
+function gexUnavailable(chain, spot, options = {}) {
+  if (!spot) return 'no spot price';
+  const rate = options.rate ?? DEFAULT_RATE;
+  if (gammaContracts(chain, spot, { ...options, rate }).length === 0) return 'no open interest in the chain';
+  return null;
+}
+
+// Full GEX profile for a chain at `spot`. null without a spot price or when no
+// contract has open interest (gexUnavailable says which).
+function computeGex(chain, spot, options = {}) {
+  if (!spot) return null;
+  const rate = options.rate ?? DEFAULT_RATE;
+  const contracts = gammaContracts(chain, spot, { ...options, rate });
+  if (contracts.length === 0) return null;
+
+  const strikes = new Map();
+  for (const c of contracts) {
+    const row = strikes.get(c.strike) || { strike: c.strike, callGex: 0, putGex: 0, netGex: 0, callOI: 0, putOI: 0 };
+    const g = contractGex(c, spot, rate);
+    if (c.type === 'call') {
+      row.callGex += g;
+      row.callOI += c.openInterest;
+    } else {
+      row.putGex += g;
+      row.putOI += c.openInterest;
+    }
+    row.netGex += g;
+    strikes.set(c.strike, row);
+  }
+
+  const byStrike = [...strikes.values()].sort((a, b) => a.strike - b.strike);
+  const callWall = byStrike.reduce((best, r) => (r.callGex > (best?.callGex ?? 0) ? r : best), null);
+  const putWall = byStrike.reduce((best, r) => (r.putGex < (best?.putGex ?? 0) ? r : best), null);
+
+  return {
+    spot,
+    netGex: byStrike.reduce((sum, r) => sum + r.netGex, 0),
+    callGex: byStrike.reduce((sum, r) => sum + r.callGex, 0),
+    putGex: byStrike.reduce((sum, r) => sum + r.putGex, 0),
+    gammaFlip: findGammaFlip(contracts, spot, rate),
+    callWall: callWall?.strike ?? null,
+    putWall: putWall?.strike ?? null,
+    contracts: contracts.length,
+    byStrike,
+  };
+}
+
+// Flat metrics for scoring and reports (distances in % of price)
+function gexMetrics(gex, price) {
+  if (!gex) return { netGex: null, gammaFlip: null, flipDistancePct: null, callWall: null, putWall: null, callWallDistancePct: null };
+  const pct = (level) => (level === null ? null : ((level - price) / price) * 100);
+
+  return {
+    netGex: gex.netGex,
+    gammaFlip: gex.gammaFlip,
+    flipDistancePct: pct(gex.gammaFlip),
+    callWall: gex.callWall,
+    putWall: gex.putWall,
+    callWallDistancePct: pct(gex.callWall),
+  };
+}
+
+// $-1.2M / $850K
+function formatGex(value) {
+  const abs = Math.abs(value);
+  const sign = value < 0 ? '-' : '';
+  if (abs >= 1e9) return `${sign}$${(abs / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `${sign}$${(abs / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${sign}$${(abs / 1e3).toFixed(0)}K`;
+  return `${sign}$${abs.toFixed(0)}`;
+}
+
+module.exports = {
+  computeGex,
+  gexUnavailable,
+  netGexAt,
+  findGammaFlip,
+  gexMetrics,
+  formatGex,
+};
@@ -0,0 +1,91 @@
+/**
+ * Greeks
+ * Black-Scholes pricing and greeks for European options (no dividends).
+ *
+ * S = underlying price, K = strike, T = years to expiry, r = risk-free rate,
+ * sigma = implied volatility (0.55 = 55%).
+ */
+
+const DEFAULT_RATE = 0.045;
+
+// Standard normal density
+function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17, error < 7.5e-8)
+function normCdf(x) {
+  const k = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = k * (0.319381530 + k * (-0.356563782 + k * (1.781477937 + k * (-1.821255978 + k * 1.330274429))));
+  const tail = normPdf(x) * poly;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+function d1d2(S, K, T, r, sigma) {
+  const d1 = (Math.log(S / K) + (r + 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
+  return [d1, d1 - sigma * Math.sqrt(T)];
+}
+
+function price(type, S, K, T, r, sigma) {
+  if (T <= 0 || sigma <= 0) return Math.max(0, type === 'call' ? S - K : K - S);
+  const [d1, d2] = d1d2(S, K, T, r, sigma);
+  return type === 'call'
+    ? S * normCdf(d1) - K * Math.exp(-r * T) * normCdf(d2)
+    : K * Math.exp(-r * T) * normCdf(-d2) - S * normCdf(-d1);
+}
+
+// Same for calls and puts: dDelta/dS
+function gamma(S, K, T, r, sigma) {
+  if (T <= 0 || sigma <= 0) return 0;
+  const [d1] = d1d2(S, K, T, r, sigma);
+  return normPdf(d1) / (S * sigma * Math.sqrt(T));
+}
+
+// { price, delta, gamma, vega (per 1 vol point), theta (per day) }
+function greeks(type, S, K, T, r = DEFAULT_RATE, sigma) {
+  if (T <= 0 || sigma <= 0) {
+    const itm = type === 'call' ? S > K : S < K;
+    return { price: price(type, S, K, T, r, sigma), delta: itm ? (type === 'call' ? 1 : -1) : 0, gamma: 0, vega: 0, theta: 0 };
+  }
+
+  const [d1, d2] = d1d2(S, K, T, r, sigma);
+  const sqrtT = Math.sqrt(T);
+  const discount = Math.exp(-r * T);
+  const decay = -(S * normPdf(d1) * sigma) / (2 * sqrtT);
+
+  return {
+    price: price(type, S, K, T, r, sigma),
+    delta: type === 'call' ? normCdf(d1) : normCdf(d1) - 1,
+    gamma: normPdf(d1) / (S * sigma * sqrtT),
+    vega: (S * normPdf(d1) * sqrtT) / 100,
+    theta: (type === 'call'
+      ? decay - r * K * discount * normCdf(d2)
+      : decay + r * K * discount * normCdf(-d2)) / 365,
+  };
+}
+
+// Volatility that reproduces `target` (bisection). null when no vol in range fits.
+function impliedVol(type, target, S, K, T, r = DEFAULT_RATE) {
+  if (!(target > 0) || T <= 0) return null;
+
+  let low = 0.01;
+  let high = 5;
+  if (price(type, S, K, T, r, low) > target || price(type, S, K, T, r, high) < target) return null;
+
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (price(type, S, K, T, r, mid) < target) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+module.exports = {
+  DEFAULT_RATE,
+  normPdf,
+  normCdf,
+  price,
+  gamma,
+  greeks,
+  impliedVol,
+};
@@ -0,0 +1,138 @@
+/**
+ * Technical Indicators
+ * Shared math for every profile, the backtester and scoring:
+ * SMA / EMA, Wilder RSI, Wilder ATR, Bollinger Bands, MACD and VWAP.
+ *
+ * Inputs are oldest-first (closes, or bars with open/high/low/close/volume).
+ * Each indicator returns null when there is not enough data for it rather
+ * than a shorter-period stand-in; the minimum is noted on each function.
+ */
+
+// ============ AVERAGES ============
+
+// Mean of the last `period` values. Needs `period` values.
+function sma(values, period) {
+  if (!(period > 0) || values.length < period) return null;
+  return values.slice(-period).reduce((a, b) => a + b, 0) / period;
+}
+
+// EMA at every index (null until the first `period` values, seeded with their SMA)
+function emaSeries(values, period) {
+  const k = 2 / (period + 1);
+  const out = new Array(values.length).fill(null);
+  if (!(period > 0) || values.length < period) return out;
+
+  let prev = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  out[period - 1] = prev;
+  for (let i = period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+// Latest EMA. Needs `period` values.
+function ema(values, period) {
+  return emaSeries(values, period).at(-1) ?? null;
+}
+
+// Wilder smoothing: seed with the mean of the first `period` values, then
+// avg = (prev * (period - 1) + value) / period
+function wilder(values, period) {
+  if (values.length < period) return null;
+  let avg = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  for (let i = period; i < values.length; i++) {
+    avg = (avg * (period - 1) + values[i]) / period;
+  }
+  return avg;
+}
+
+// ============ MOMENTUM ============
+
+// Wilder RSI (0-100). Needs period + 1 closes.
+function rsi(closes, period = 14) {
+  if (closes.length < period + 1) return null;
+
+  const gains = [];
+  const losses = [];
+  for (let i = 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gains.push(Math.max(change, 0));
+    losses.push(Math.max(-change, 0));
+  }
+
+  const avgGain = wilder(gains, period);
+  const avgLoss = wilder(losses, period);
+  if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+  return 100 - 100 / (1 + avgGain / avgLoss);
+}
+
+// { macd, signal, histogram } for the latest close. Needs slow + signal - 1 closes.
+function macd(closes, fast = 12, slow = 26, signal = 9) {
+  if (closes.length < slow + signal - 1) return null;
+
+  const fastEma = emaSeries(closes, fast);
+  const slowEma = emaSeries(closes, slow);
+  const line = closes.map((_, i) => (slowEma[i] === null ? null : fastEma[i] - slowEma[i])).filter(v => v !== null);
+  const signalLine = ema(line, signal);
+  const value = line[line.length - 1];
+
+  return { macd: value, signal: signalLine, histogram: value - signalLine };
+}
+
+// ============ VOLATILITY ============
+
+// True range of bars[i] (high - low for the first bar)
+function trueRange(bars, i) {
+  const bar = bars[i];
+  if (i === 0) return bar.high - bar.low;
+  const prevClose = bars[i - 1].close;
+  return Math.max(bar.high - bar.low, Math.abs(bar.high - prevClose), Math.abs(bar.low - prevClose));
+}
+
+// Wilder ATR in price units. Needs period + 1 bars.
+function atr(bars, period = 14) {
+  if (bars.length < period + 1) return null;
+  const ranges = bars.slice(1).map((_, i) => trueRange(bars, i + 1));
+  return wilder(ranges, period);
+}
+
+// { middle, upper, lower, width } - width is the band spread as % of the middle.
+// Needs `period` closes.
+function bollinger(closes, period = 20, mult = 2) {
+  const middle = sma(closes, period);
+  if (middle === null) return null;
+
+  const recent = closes.slice(-period);
+  const sd = Math.sqrt(recent.reduce((sum, c) => sum + (c - middle) ** 2, 0) / period);
+  const upper = middle + mult * sd;
+  const lower = middle - mult * sd;
+
+  return { middle, upper, lower, width: middle > 0 ? ((upper - lower) / middle) * 100 : null };
+}
+
+// ============ VOLUME ============
+
+// Volume-weighted average of the typical price ((H + L + C) / 3) over the bars.
+// Needs at least one bar with volume.
+function vwap(bars) {
+  let value = 0;
+  let volume = 0;
+  for (const b of bars) {
+    value += ((b.high + b.low + b.close) / 3) * b.volume;
+    volume += b.volume;
+  }
+  return volume > 0 ? value / volume : null;
+}
+
+module.exports = {
+  sma,
+  ema,
+  emaSeries,
+  rsi,
+  macd,
+  trueRange,
+  atr,
+  bollinger,
+  vwap,
+};
@@ -0,0 +1,128 @@
+/**
+ * Intraday Multi-Timeframe Confirmation
+ * Candidates that pass a profile's daily steps are checked on intraday bars
+ * (5min / 15min / 1h) so setups can be flagged while they form during the
+ * session. Per timeframe:
+ *
+ * - consolidation: range of the last 12 bars as % of their low
+ * - volSpike:      average volume of the last 3 bars vs the 20 before
+ * - rsi:           Wilder RSI (14)
+ *
+ * A timeframe confirms when it is consolidating, not overbought and seeing a
+ * volume spike (INTRADAY_FILTERS). A candidate needs `timeframesAgreeMin`
+ * confirming timeframes.
+ */
+
+const { sma, rsi } = require('./indicators.js');
+const { INTERVALS } = require('./providers.js');
+const { QuotaExhaustedError } = require('./scheduler.js');
+
+const TIMEFRAMES = ['5min', '15min', '1h'];
+const INTRADAY_BARS = 60;       // Bars requested per timeframe
+const CONSOLIDATION_BARS = 12;
+const SPIKE_BARS = 3;
+
+// Every profile's filters include these (overridable like any other filter)
+const INTRADAY_FILTERS = {
+  timeframesAgreeMin: 2,          // Confirming timeframes needed
+  intradayConsolidationMax: 3,    // Max % range of the last 12 bars
+  intradayRsiMax: 60,             // Max RSI
+  intradayVolumeSpikeMin: 1.2,    // Last 3 bars vs the 20 before
+};
+
+// `--intraday` (default timeframes) or `--intraday 5min,1h`
+function parseTimeframes(value) {
+  if (value === true || value === undefined) return TIMEFRAMES;
+  const timeframes = [].concat(value).flatMap(v => String(v).split(',')).map(t => t.trim()).filter(Boolean);
+  const unknown = timeframes.filter(t => !INTERVALS.includes(t));
+  if (unknown.length > 0 || timeframes.length === 0) {
+    throw new Error(`Unknown timeframe "${unknown.join(', ')}" (use ${INTERVALS.join(', ')})`);
+  }
+  return [...new Set(timeframes)];
+}
+
+// Metrics for one timeframe (null fields = not enough bars)
+function timeframeMetrics(bars, filters) {
+  const recent = bars.slice(-CONSOLIDATION_BARS);
+  const volumes = bars.map(b => b.volume);
+  const baseline = sma(volumes.slice(0, -SPIKE_BARS), 20);
+  const current = sma(volumes, SPIKE_BARS);
+
+  const low = Math.min(...recent.map(b => b.low));
+  const metrics = {
+    bars: bars.length,
+    consolidation: recent.length === CONSOLIDATION_BARS ? ((Math.max(...recent.map(b => b.high)) - low) / low) * 100 : null,
+    volSpike: baseline > 0 && current !== null ? current / baseline : null,
+    rsi: rsi(bars.map(b => b.close)),
+  };
+
+  metrics.confirms = metrics.consolidation !== null && metrics.consolidation <= filters.intradayConsolidationMax &&
+    metrics.rsi !== null && metrics.rsi <= filters.intradayRsiMax &&
+    metrics.volSpike !== null && metrics.volSpike >= filters.intradayVolumeSpikeMin;
+
+  return metrics;
+}
+
+// { timeframes: { '5min': metrics | null, ... }, timeframesAgree, timeframesChecked }
+// `frames` is { interval: bars | null } for one symbol (see fetchIntraday)
+function intradayMetrics(frames, filters) {
+  const timeframes = {};
+  for (const [interval, bars] of Object.entries(frames || {})) {
+    timeframes[interval] = bars && bars.length > 0 ? timeframeMetrics(bars, filters) : null;
+  }
+
+  const checked = Object.values(timeframes);
+  return {
+    timeframes,
+    timeframesAgree: checked.filter(m => m?.confirms).length,
+    timeframesChecked: checked.length,
+  };
+}
+
+// Intraday bars per symbol: Map(symbol -> { interval: bars | null }).
+// Stops (keeping what it has) when a daily budget runs out. Failed requests go to `failures`;
+// `quiet` skips the output.
+async function fetchIntraday(provider, symbols, timeframes = TIMEFRAMES, store = new Map(), options = {}) {
+  const { failures = null, quiet = false } = options;
+  const log = quiet ? () => {} : console.log;
+
+  for (const symbol of symbols) {
+    const frames = store.get(symbol) || {};
+    try {
+      for (const interval of timeframes) {
+        if (interval in frames) continue;
+        frames[interval] = await provider.getIntradayBars(symbol, interval, INTRADAY_BARS).catch(e => {
+          if (e instanceof QuotaExhaustedError) throw e;
+          if (failures) failures.record(symbol, interval, e);
+          return null;
+        });
+      }
+    } catch (e) {
+      if (!(e instanceof QuotaExhaustedError)) throw e;
+      log(`\n⛔ ${e.message} - skipping the remaining intraday bars`);
+      break;
+    } finally {
+      store.set(symbol, frames);
+    }
+  }
+  return store;
+}
+
+// 5min ✓ RSI 42 | range 1.8% | vol 1.6x
+function formatTimeframes(s) {
+  return Object.entries(s.timeframes || {}).map(([interval, m]) => {
+    if (!m) return `${interval} - no bars`;
+    const num = (v, digits, unit = '') => (v === null ? 'n/a' : `${v.toFixed(digits)}${unit}`);
+    return `${interval} ${m.confirms ? '✓' : '✗'} RSI ${num(m.rsi, 0)} | range ${num(m.consolidation, 1, '%')} | vol ${num(m.volSpike, 1, 'x')}`;
+  });
+}
+
+module.exports = {
+  TIMEFRAMES,
+  INTRADAY_FILTERS,
+  parseTimeframes,
+  timeframeMetrics,
+  intradayMetrics,
+  fetchIntraday,
+  formatTimeframes,
+};
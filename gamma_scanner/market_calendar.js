@@ -0,0 +1,217 @@
+/**
+ * US Market Calendar (NYSE / Nasdaq)
+ * Eastern time helpers, exchange holidays and session hours, from the
+ * exchange rules rather than a hand-kept list:
+ *
+ * - Holidays: New Year's, MLK, Presidents', Good Friday, Memorial, Juneteenth
+ *   (2022+), Independence, Labor, Thanksgiving, Christmas. A Sunday holiday
+ *   moves to Monday, a Saturday one to Friday (except New Year's Day).
+ * - Early close (1:00 PM): July 3, the day after Thanksgiving, Christmas Eve
+ *   (when they fall Monday-Thursday / are trading days).
+ *
+ * Dates are 'YYYY-MM-DD' (New York), times are minutes since midnight ET.
+ */
+
+const PRE_MARKET_MINUTES = 4 * 60;
+const OPEN_MINUTES = 9 * 60 + 30;
+const CLOSE_MINUTES = 16 * 60;
+const EARLY_CLOSE_MINUTES = 13 * 60;
+const POST_MARKET_MINUTES = 20 * 60;
+
+// ============ EASTERN TIME ============
+
+// { date: 'YYYY-MM-DD', minutes: minutes since midnight, weekday: 0-6 } in New York
+function easternTime(when = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/New_York',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23', weekday: 'short'
+  }).formatToParts(when).map(p => [p.type, p.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+  };
+}
+
+const utcNoon = (date) => new Date(date + 'T12:00:00Z');
+const dayMs = 86400000;
+
+// The instant `minutes` after midnight ET on `date` (handles DST)
+function easternDate(date, minutes) {
+  const midnight = Date.parse(date + 'T00:00:00Z');
+  let guess = midnight + minutes * 60000;
+  for (let i = 0; i < 2; i++) {
+    const et = easternTime(new Date(guess));
+    const offDays = (Date.parse(et.date + 'T00:00:00Z') - midnight) / 60000;
+    guess -= (offDays + et.minutes - minutes) * 60000;
+  }
+  return new Date(guess);
+}
+
+// 570 -> '09:30'
+function formatMinutes(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// ============ HOLIDAYS ============
+
+const ymd = (year, month, day) => new Date(Date.UTC(year, month - 1, day, 12)).toISOString().slice(0, 10);
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1, 12)).getUTCDay();
+    return ymd(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0, 12));
+  return ymd(year, month, lastDay.getUTCDate() - ((lastDay.getUTCDay() - weekday + 7) % 7));
+}
+
+// Western Easter Sunday (anonymous Gregorian algorithm)
+function easter(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return ymd(year, month, day);
+}
+
+function addDays(date, days) {
+  return new Date(utcNoon(date).getTime() + days * dayMs).toISOString().slice(0, 10);
+}
+
+// Fixed-date holiday on a weekend: Saturday -> Friday, Sunday -> Monday
+function observed(date) {
+  const day = utcNoon(date).getUTCDay();
+  if (day === 6) return addDays(date, -1);
+  if (day === 0) return addDays(date, 1);
+  return date;
+}
+
+// [{ date, name }] for one year, in date order
+function holidays(year) {
+  const list = [];
+  const newYear = ymd(year, 1, 1);
+  if (utcNoon(newYear).getUTCDay() !== 6) list.push({ date: observed(newYear), name: "New Year's Day" });
+
+  list.push({ date: nthWeekday(year, 1, 1, 3), name: 'Martin Luther King Jr. Day' });
+  list.push({ date: nthWeekday(year, 2, 1, 3), name: "Washington's Birthday" });
+  list.push({ date: addDays(easter(year), -2), name: 'Good Friday' });
+  list.push({ date: nthWeekday(year, 5, 1, -1), name: 'Memorial Day' });
+  if (year >= 2022) list.push({ date: observed(ymd(year, 6, 19)), name: 'Juneteenth' });
+  list.push({ date: observed(ymd(year, 7, 4)), name: 'Independence Day' });
+  list.push({ date: nthWeekday(year, 9, 1, 1), name: 'Labor Day' });
+  list.push({ date: nthWeekday(year, 11, 4, 4), name: 'Thanksgiving Day' });
+  list.push({ date: observed(ymd(year, 12, 25)), name: 'Christmas Day' });
+
+  return list.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const holidayCache = new Map();
+
+function holidayName(date) {
+  const year = parseInt(date.slice(0, 4));
+  if (!holidayCache.has(year)) {
+    // Next year's New Year's Day can't land in this year (no Saturday observance)
+    holidayCache.set(year, new Map(holidays(year).map(h => [h.date, h.name])));
+  }
+  return holidayCache.get(year).get(date) || null;
+}
+
+function isTradingDay(date) {
+  const day = utcNoon(date).getUTCDay();
+  return day !== 0 && day !== 6 && !holidayName(date);
+}
+
+// Half days: July 3, the day after Thanksgiving, Christmas Eve
+function isEarlyClose(date) {
+  if (!isTradingDay(date)) return false;
+  const year = parseInt(date.slice(0, 4));
+  const day = utcNoon(date).getUTCDay();
+  const monToThu = day >= 1 && day <= 4;
+
+  return (date === ymd(year, 7, 3) && monToThu) ||
+    date === addDays(nthWeekday(year, 11, 4, 4), 1) ||
+    (date === ymd(year, 12, 24) && monToThu);
+}
+
+function nextTradingDay(date) {
+  let d = addDays(date, 1);
+  while (!isTradingDay(d)) d = addDays(d, 1);
+  return d;
+}
+
+function previousTradingDay(date) {
+  let d = addDays(date, -1);
+  while (!isTradingDay(d)) d = addDays(d, -1);
+  return d;
+}
+
+// ============ SESSIONS ============
+
+// { preMarket, open, close, postMarket, earlyClose } in ET minutes, or null when closed
+function sessionHours(date) {
+  if (!isTradingDay(date)) return null;
+  const earlyClose = isEarlyClose(date);
+  return {
+    preMarket: PRE_MARKET_MINUTES,
+    open: OPEN_MINUTES,
+    close: earlyClose ? EARLY_CLOSE_MINUTES : CLOSE_MINUTES,
+    postMarket: earlyClose ? 17 * 60 : POST_MARKET_MINUTES,
+    earlyClose,
+  };
+}
+
+// 'pre' | 'open' | 'post' | 'closed'
+function marketPhase(when = new Date()) {
+  const et = easternTime(when);
+  const hours = sessionHours(et.date);
+  if (!hours) return 'closed';
+  if (et.minutes < hours.preMarket) return 'closed';
+  if (et.minutes < hours.open) return 'pre';
+  if (et.minutes < hours.close) return 'open';
+  if (et.minutes < hours.postMarket) return 'post';
+  return 'closed';
+}
+
+function isMarketOpen(when = new Date()) {
+  return marketPhase(when) === 'open';
+}
+
+// Date of the most recent session that has closed
+function lastClosedSession(when = new Date()) {
+  const et = easternTime(when);
+  const hours = sessionHours(et.date);
+  if (hours && et.minutes >= hours.close) return et.date;
+  return previousTradingDay(et.date);
+}
+
+module.exports = {
+  OPEN_MINUTES,
+  CLOSE_MINUTES,
+  easternTime,
+  easternDate,
+  formatMinutes,
+  holidays,
+  holidayName,
+  isTradingDay,
+  isEarlyClose,
+  nextTradingDay,
+  previousTradingDay,
+  sessionHours,
+  marketPhase,
+  isMarketOpen,
+  lastClosedSession,
+};
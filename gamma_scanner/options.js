@@ -0,0 +1,104 @@
+/**
+ * Options
+ * Option chain model + cheap near-the-money contract finder.
+ *
+ * Chain:    { symbol, underlyingPrice, asOf, contracts: Contract[] }
+ * Contract: { contract, type: 'call'|'put', expiry: 'YYYY-MM-DD', strike,
+ *             bid, ask, last, volume, openInterest, iv }
+ *
+ * Providers return chains through getOptionChain(symbol); see providers.js.
+ */
+
+const MAX_OTM_PCT = 15;   // Only near-the-money strikes
+
+const num = (v) => (v === undefined || v === null || v === '' || Number.isNaN(Number(v)) ? null : Number(v));
+
+// Build a chain from provider rows, dropping anything that isn't a usable contract
+function makeChain(symbol, underlyingPrice, contracts, asOf = new Date().toISOString()) {
+  return {
+    symbol: symbol.toUpperCase(),
+    underlyingPrice: num(underlyingPrice),
+    asOf,
+    contracts: contracts
+      .map(c => ({
+        contract: c.contract || null,
+        type: String(c.type).toLowerCase().startsWith('c') ? 'call' : 'put',
+        expiry: String(c.expiry).slice(0, 10),
+        strike: num(c.strike),
+        bid: num(c.bid),
+        ask: num(c.ask),
+        last: num(c.last),
+        volume: num(c.volume) || 0,
+        openInterest: num(c.openInterest) || 0,
+        iv: num(c.iv),
+      }))
+      .filter(c => c.strike > 0 && /^\d{4}-\d{2}-\d{2}$/.test(c.expiry))
+      .sort((a, b) => (a.expiry < b.expiry ? -1 : a.expiry > b.expiry ? 1 : a.strike - b.strike)),
+  };
+}
+
+// Mid when both sides quote, the quoted side when only one does, and the
+// last trade only when there is no quote at all
+function midPrice(c) {
+  if (c.bid > 0 && c.ask > 0) return (c.bid + c.ask) / 2;
+  if (c.bid > 0) return c.bid;
+  if (c.ask > 0) return c.ask;
+  return c.last || null;
+}
+
+function expirations(chain) {
+  return [...new Set(chain.contracts.map(c => c.expiry))];
+}
+
+// Calendar days from `today` (YYYY-MM-DD) to expiry
+function daysToExpiry(expiry, today) {
+  return Math.round((new Date(expiry + 'T12:00:00Z') - new Date(today + 'T12:00:00Z')) / 86400000);
+}
+
+// Listed out-of-the-money contracts whose mid is inside the configured price band,
+// closest to the money first. `price` (the scan's price) wins over the chain's.
+function findCheapOptions(chain, filters, options = {}) {
+  const { limit = 3, today = new Date().toISOString().slice(0, 10) } = options;
+  const minPrice = filters.optionMinPrice ?? 0.01;
+  const maxPrice = filters.optionMaxPrice ?? 0.10;
+  const price = options.price || chain?.underlyingPrice;
+
+  if (!chain || !price || price > filters.maxPrice) return [];
+
+  return chain.contracts
+    .filter(c => c.expiry >= today)
+    .filter(c => (c.type === 'call' ? c.strike >= price : c.strike <= price))
+    .map(c => {
+      const mid = midPrice(c);
+      const otmPct = (Math.abs(c.strike - price) / price) * 100;
+      const spread = c.bid !== null && c.ask !== null ? c.ask - c.bid : null;
+
+      return {
+        contract: c.contract,
+        type: c.type,
+        strike: c.strike,
+        expiry: c.expiry,
+        dte: daysToExpiry(c.expiry, today),
+        bid: c.bid,
+        ask: c.ask,
+        mid,
+        spread,
+        spreadPct: spread !== null && mid ? (spread / mid) * 100 : null,
+        volume: c.volume,
+        openInterest: c.openInterest,
+        iv: c.iv,
+        otmPct,
+      };
+    })
+    .filter(o => o.mid !== null && o.mid >= minPrice && o.mid <= maxPrice && o.otmPct <= MAX_OTM_PCT)
+    .sort((a, b) => a.otmPct - b.otmPct || a.dte - b.dte || b.openInterest - a.openInterest)
+    .slice(0, limit);
+}
+
+module.exports = {
+  makeChain,
+  midPrice,
+  expirations,
+  daysToExpiry,
+  findCheapOptions,
+};
@@ -0,0 +1,699 @@
+/**
+ * Scanner Profiles
+ * Each former scanner version is a named profile for the engine:
+ * - v2: Yahoo gap (one-day gap down + tight consolidation)
+ * - v3: Float/short (5-day drop + short interest / float)
+ * - v4: Gap fill + trend
+ * - v5: Ultimate RSI/volume (all stocks under $50)
+ *
+ * A profile declares where its data comes from (universe, providers, bars),
+ * how to turn a fetched record into metrics (analyze), the filter steps
+ * (one criterion each, named after the filter it checks, so the funnel report
+ * shows which threshold drops the most),
+ * the scoring rules (see scoring.js) and how a candidate is printed.
+ * Config files and presets (config.js) override `filters` and `scoring`.
+ * GEX metrics (netGex, gammaFlip, callWall, ...) are added by the engine when
+ * an option chain is available, intraday timeframe metrics in --intraday mode.
+ *
+ * analyze() also reports `fillLevel`: the price at which the gap counts as
+ * filled (used by the backtester and forward tracking). v4/v5 gaps are
+ * opening gaps (open vs prior close) and `openGaps` lists every unfilled one.
+ */
+
+const { ConfigError } = require('./config.js');
+const { getShortInterest, getFloat, getAsOf } = require('./short_data.js');
+const { scoreWith } = require('./scoring.js');
+const { unfilledGaps, largestOpenGapDown, summarizeGap } = require('./gaps.js');
+const { sma, rsi, atr, bollinger, macd, vwap } = require('./indicators.js');
+const { INTRADAY_FILTERS } = require('./intraday.js');
+
+// ============ SHARED ANALYSIS ============
+
+// Range of the last N bars as % of the low
+function consolidationPct(bars, n = 5) {
+  const recent = bars.slice(-n);
+  if (recent.length === 0) return 100;
+  const high = Math.max(...recent.map(b => b.high));
+  const low = Math.min(...recent.map(b => b.low));
+  return ((high - low) / low) * 100;
+}
+
+// Biggest unfilled opening gap down (see gaps.js) as flat metrics, or null
+function findGapDown(bars) {
+  const gap = largestOpenGapDown(bars);
+  if (!gap) return null;
+
+  return {
+    gapDown: gap.gapPct,
+    gapDay: gap.date,
+    daysSinceGap: gap.daysSinceGap,
+    gapFillPct: gap.filledPct,
+    gapZone: [gap.lower, gap.upper],
+    fillLevel: gap.fillLevel,
+  };
+}
+
+// Every gap (up or down) still open at the last bar, newest first
+function openGaps(bars) {
+  return unfilledGaps(bars).reverse().map(summarizeGap);
+}
+
+// Last 5 days average volume vs the 5 before, in %
+function volumeTrendPct(bars) {
+  const volumes = bars.map(b => b.volume);
+  const vol5 = sma(volumes, 5);
+  const volPrev = sma(volumes.slice(0, -5), 5);
+  if (vol5 === null || volPrev === null) return 0;
+  return volPrev > 0 ? ((vol5 - volPrev) / volPrev) * 100 : 0;
+}
+
+function calculateTrendScore(bars) {
+  // Returns 0-100 score (higher = more bullish)
+  // Uses: price vs MAs, MA direction, structure
+
+  if (!bars || bars.length < 50) return 50; // Neutral if not enough data
+
+  const closes = bars.map(b => b.close);
+  const current = closes[closes.length - 1];
+
+  // Moving averages
+  const ma20 = sma(closes, 20);
+  const ma50 = sma(closes, 50);
+
+  let score = 50; // Start neutral
+
+  // Price vs 20-day MA
+  if (current > ma20) score += 15;
+  else score -= 10;
+
+  // Price vs 50-day MA
+  if (current > ma50) score += 15;
+  else score -= 10;
+
+  // 20 MA vs 50 MA (trend direction)
+  if (ma20 > ma50) {
+    score += 15; // Bullish alignment
+  } else if (ma20 > ma50 * 0.95) {
+    score += 5; // Nearing crossover
+  } else {
+    score -= 15; // Bearish alignment
+  }
+
+  // Recent momentum (last 10 days vs 10 days before)
+  const recent10 = sma(closes, 10);
+  const prev10 = sma(closes.slice(0, -10), 10);
+  const momentum = ((recent10 - prev10) / prev10) * 100;
+
+  if (momentum > 5) score += 15;
+  else if (momentum > 0) score += 10;
+  else if (momentum > -5) score += 5;
+  else score -= 10;
+
+  // Higher closes structure over the last 20 days
+  const last20 = closes.slice(-20);
+  const hhCount = last20.filter((c, i) => i > 0 && c > last20[i - 1]).length;
+  if (hhCount > 12) score += 15;
+  else if (hhCount > 8) score += 10;
+  else if (hhCount > 5) score += 5;
+  else score -= 10;
+
+  // Long-term trend (200-day) if available
+  const ma200 = sma(closes, 200);
+  if (ma200 !== null) {
+    if (current > ma200) score += 10;
+    else score -= 10;
+  }
+
+  return Math.max(0, Math.min(100, score));
+}
+
+// Indicator metrics shared by the daily profiles (null = not enough bars, see indicators.js)
+function indicatorMetrics(bars, price) {
+  const closes = bars.map(b => b.close);
+  const range = atr(bars);
+  const bands = bollinger(closes);
+  const trend = macd(closes);
+
+  return {
+    rsi: rsi(closes),
+    atrPct: range === null ? null : (range / price) * 100,
+    bbWidth: bands ? bands.width : null,
+    macdHist: trend ? trend.histogram : null,
+    vwap20: vwap(bars.slice(-20)),
+  };
+}
+
+const money = (v) => (v === null ? 'n/a' : `$${v.toFixed(2)}`);
+const fixed = (v, digits = 0) => (v === null ? 'n/a' : v.toFixed(digits));
+
+// Dealer gamma from the option chain (see gex.js). No chain = no points.
+const GEX_RULES = [
+  // Net GEX below zero: dealers are short gamma and chase moves
+  { name: 'Dealer short gamma', metric: 'netGex', tiers: [{ lt: 0, points: 10 }] },
+  // Room to run before the call wall
+  { name: 'Call wall room', metric: 'callWallDistancePct', tiers: [
+    { gte: 10, points: 5 },
+    { gte: 5, points: 3 },
+  ] },
+];
+
+// Unknown short interest never meets a minimum; unknown float is not held against a stock
+const hasMinShort = (s, f) => s.shortInterest !== null && s.shortInterest >= f.shortInterestMin;
+const floatUnder = (s, f) => s.float === null || s.float <= f.floatMax;
+
+// Filter steps shared by the profiles: { name (filter checked), label, test }.
+// gapDown is negative, so gapDownMin is the deepest gap and gapDownMax the smallest.
+const STEPS = {
+  gapDownMin: { name: 'gapDownMin', label: 'gap not too deep', test: (s, f) => s.gapDown >= f.gapDownMin },
+  gapDownMax: { name: 'gapDownMax', label: 'gap big enough', test: (s, f) => s.gapDown <= f.gapDownMax },
+  consolidationMin: { name: 'consolidationMin', label: 'enough movement', test: (s, f) => s.consolidation >= f.consolidationMin },
+  consolidationMax: { name: 'consolidationMax', label: 'tight consolidation', test: (s, f) => s.consolidation <= f.consolidationMax },
+  gapFillMin: { name: 'gapFillMin', label: 'filling the gap', test: (s, f) => s.gapFillPct >= f.gapFillMin },
+  gapFillMax: { name: 'gapFillMax', label: 'gap not filled yet', test: (s, f) => s.gapFillPct <= f.gapFillMax },
+  trendMin: { name: 'trendMin', label: 'trend score', test: (s, f) => s.trendScore >= f.trendMin },
+  rsiMax: { name: 'rsiMax', label: 'RSI low enough', test: (s, f) => s.rsi !== null && s.rsi <= f.rsiMax },
+  shortInterestMin: { name: 'shortInterestMin', label: 'short interest', test: hasMinShort },
+  floatMax: { name: 'floatMax', label: 'float small enough', test: floatUnder },
+  maxPrice: { name: 'maxPrice', label: 'under max price', test: (s, f) => s.price > 0 && s.price <= f.maxPrice },
+  volumeMin: { name: 'volumeMin', label: 'volume', test: (s, f) => s.volume >= f.volumeMin },
+};
+
+// "25.4% (02-13)" / "n/a"
+function shortText(s) {
+  if (s.shortInterest === null || s.shortInterest === undefined) return 'n/a';
+  return `${s.shortInterest}%${s.shortAsOf ? ` (${s.shortAsOf.slice(5)})` : ''}`;
+}
+
+function floatText(s) {
+  return s.float === null || s.float === undefined ? 'n/a' : `${(s.float / 1e6).toFixed(1)}M`;
+}
+
+// ============ V2 - YAHOO GAP ============
+
+const v2 = {
+  name: 'v2',
+  description: 'Yahoo gap - one-day gap down + tight consolidation + short/float',
+  title: 'GAMMA SQUEEZE SCANNER V2',
+  heading: 'TOP GAMMA SQUEEZE CANDIDATES',
+  universe: 'broad',
+  providers: ['yahoo'],
+  bars: 10,
+  save: true,
+  width: 60,
+
+  filters: {
+    // Step 1: Technical (gap down + consolidation)
+    gapDownMin: -20,         // At least X% gap down
+    gapDownMax: -5,          // Maximum gap down (don't want too oversold)
+    consolidationMax: 12,    // Max 5-day consolidation %
+
+    // Step 2: Gamma squeeze variables
+    shortInterestMin: 15,    // Min short interest %
+    floatMax: 1_000_000_000, // Max float (relaxed for meme stocks)
+    volumeMin: 1_000_000,    // Min daily volume
+
+    // Step 3: Price
+    maxPrice: 40,
+
+    // Step 4: Options
+    optionMinPrice: 0.01,
+    optionMaxPrice: 0.10,
+
+    // Intraday confirmation (scan --intraday)
+    ...INTRADAY_FILTERS,
+
+    // Scoring
+    scoreMin: 20,
+  },
+
+  analyze({ symbol, quote, bars }) {
+    if (!quote || !quote.price || !quote.prevClose) return null;
+
+    return {
+      symbol,
+      price: quote.price,
+      prevClose: quote.prevClose,
+      fillLevel: quote.prevClose,
+      gapDown: ((quote.price - quote.prevClose) / quote.prevClose) * 100,
+      consolidation: consolidationPct(bars),
+      avgVolume: quote.avgVolume || 0,
+      volume: quote.volume || 0,
+      shortInterest: getShortInterest(symbol),
+      float: getFloat(symbol),
+      ...getAsOf(symbol),
+    };
+  },
+
+  steps: [
+    // Step 1: gap down + tight consolidation
+    STEPS.gapDownMin,
+    STEPS.gapDownMax,
+    STEPS.consolidationMax,
+    // Step 2: gamma squeeze criteria
+    STEPS.shortInterestMin,
+    STEPS.floatMax,
+    STEPS.maxPrice,
+    STEPS.volumeMin,
+  ],
+
+  scoring: {
+    max: 100,
+    rules: [
+      // Short interest (0-35)
+      { name: 'Short interest', metric: 'shortInterest', tiers: [
+        { gt: 40, points: 35 },
+        { gt: 30, points: 30 },
+        { gt: 25, points: 25 },
+        { gt: 20, points: 20 },
+        { gt: 15, points: 15 },
+        { gt: 10, points: 10 },
+      ] },
+      // Float (0-25)
+      { name: 'Float', metric: 'float', tiers: [
+        { lt: 10_000_000, points: 25 },
+        { lt: 25_000_000, points: 20 },
+        { lt: 50_000_000, points: 15 },
+        { lt: 100_000_000, points: 10 },
+        { lt: 200_000_000, points: 5 },
+      ] },
+      // Gap down (0-20) - bigger gap = more bounce potential
+      { name: 'Gap size', metric: 'gapDown', abs: true, tiers: [
+        { gte: 15, points: 20 },
+        { gte: 10, points: 15 },
+        { gte: 7, points: 10 },
+        { gte: 5, points: 5 },
+      ] },
+      // Consolidation (0-10) - tighter = better
+      { name: 'Consolidation', metric: 'consolidation', tiers: [
+        { lt: 5, points: 10 },
+        { lt: 8, points: 7 },
+        { lt: 12, points: 5 },
+      ] },
+      // Volume (0-10)
+      { name: 'Volume', metric: 'volume', tiers: [
+        { gt: 50_000_000, points: 10 },
+        { gt: 20_000_000, points: 7 },
+        { gt: 10_000_000, points: 5 },
+        { gt: 5_000_000, points: 3 },
+      ] },
+      // Dealer gamma (0-15) - only with an option chain
+      ...GEX_RULES,
+    ],
+  },
+
+  score(data) {
+    return scoreWith(this.scoring, data);
+  },
+
+  format(s) {
+    return [
+      `   Price: $${s.price.toFixed(2)} | Gap: ${s.gapDown.toFixed(1)}% | Consol: ${s.consolidation.toFixed(1)}%`,
+      `   Short: ${shortText(s)} | Float: ${floatText(s)} | Vol: ${(s.volume / 1e6).toFixed(1)}M`,
+    ];
+  },
+};
+
+// ============ V3 - FLOAT/SHORT ============
+
+const v3 = {
+  ...v2,
+  name: 'v3',
+  description: 'Float/short - 5-day drop + tight consolidation + short/float (Twelve Data)',
+  title: 'GAMMA SQUEEZE SCANNER V3',
+  universe: 'core',
+  providers: ['twelvedata'],
+  bars: 10,
+
+  filters: {
+    ...v2.filters,
+    gapDownMin: -25,
+    consolidationMax: 15,
+  },
+
+  analyze({ symbol, quote, bars }) {
+    if (!quote || !quote.price || bars.length < 5) return null;
+
+    // Drop from the close 5 days ago
+    const current = bars[bars.length - 1].close;
+    const fiveDaysAgo = bars[bars.length - 5].close;
+
+    return {
+      ...quote,
+      symbol,
+      gapDown: ((current - fiveDaysAgo) / fiveDaysAgo) * 100,
+      fillLevel: fiveDaysAgo,
+      consolidation: consolidationPct(bars),
+      shortInterest: getShortInterest(symbol),
+      float: getFloat(symbol),
+      ...getAsOf(symbol),
+    };
+  },
+};
+
+// ============ V4 - GAP FILL + TREND ============
+
+const v4 = {
+  name: 'v4',
+  description: 'Gap fill + trend - recent gap down filling back up in an uptrend',
+  title: 'GAMMA SQUEEZE SCANNER V4 (Gap Fill Focus)',
+  heading: 'TOP GAP FILL + GAMMA SQUEEZE CANDIDATES',
+  universe: 'core',
+  providers: ['twelvedata', 'alphavantage'],
+  bars: 60,
+  save: true,
+  width: 65,
+
+  filters: {
+    // Step 1: Gap Down (3-15% - not too big, not too small)
+    gapDownMin: -15,   // Max gap down
+    gapDownMax: -3,    // Min gap down (3%+)
+
+    // Step 2: Consolidation (tight, building pressure)
+    consolidationMax: 20,  // Max 5-day range %
+    consolidationMin: 3,   // Min consolidation (needs some movement)
+
+    // Step 3: Gap Fill Potential (allow partial fill, filter out negative)
+    gapFillMin: 0,     // Any positive fill (not still falling)
+    gapFillMax: 100,   // Allow up to 100% filled (can still have room)
+
+    // Step 4: Trend (CRITICAL - must be uptrending or bottoming)
+    trendMin: 25,      // Min trend score (0-100)
+
+    // Step 5: Gamma Squeeze Variables
+    shortInterestMin: 5,
+    floatMax: 1_000_000_000,
+    volumeMin: 1_000_000,
+
+    // Step 6: Price
+    maxPrice: 40,
+
+    // Step 7: Options
+    optionMinPrice: 0.01,
+    optionMaxPrice: 0.10,
+
+    // Intraday confirmation (scan --intraday)
+    ...INTRADAY_FILTERS,
+
+    // Scoring
+    scoreMin: 15,
+  },
+
+  analyze({ symbol, quote, bars }) {
+    if (bars.length < 5) return null;
+
+    const gap = findGapDown(bars);
+    if (!gap) return null;
+
+    const current = bars[bars.length - 1];
+
+    return {
+      symbol,
+      price: quote?.price || current.close,
+      volume: quote?.volume || 0,
+      avgVolume: quote?.avgVolume || 0,
+      ...gap,
+      openGaps: openGaps(bars),
+      consolidation: consolidationPct(bars),
+      volumeTrend: volumeTrendPct(bars),
+      currentPrice: current.close,
+      trendScore: calculateTrendScore(bars),
+      ...indicatorMetrics(bars, quote?.price || current.close),
+      shortInterest: getShortInterest(symbol),
+      float: getFloat(symbol),
+      ...getAsOf(symbol),
+    };
+  },
+
+  steps: [
+    // Gap size + consolidation
+    STEPS.gapDownMin,
+    STEPS.gapDownMax,
+    STEPS.consolidationMin,
+    STEPS.consolidationMax,
+    // Gap fill zone
+    STEPS.gapFillMin,
+    STEPS.gapFillMax,
+    STEPS.trendMin,
+    // Gamma squeeze variables + price
+    STEPS.shortInterestMin,
+    STEPS.floatMax,
+    STEPS.maxPrice,
+    STEPS.volumeMin,
+  ],
+
+  scoring: {
+    max: 100,
+    rules: [
+      // Gap fill potential (0-25) - sweet spot: 50-80% filled
+      { name: 'Gap fill', metric: 'gapFillPct', tiers: [
+        { between: [50, 80], points: 25 },
+        { between: [30, 90], points: 20 },
+        { between: [20, 95], points: 15 },
+        { between: [10, 100], points: 10 },
+      ] },
+      // Days since gap (0-15) - recent gaps are better
+      { name: 'Days since gap', metric: 'daysSinceGap', tiers: [
+        { eq: 1, points: 15 },
+        { eq: 2, points: 12 },
+        { lte: 3, points: 10 },
+        { lte: 5, points: 7 },
+        { lte: 7, points: 5 },
+      ] },
+      // Consolidation (0-15) - tight is good
+      { name: 'Consolidation', metric: 'consolidation', tiers: [
+        { lt: 5, points: 15 },
+        { lt: 8, points: 12 },
+        { lt: 10, points: 10 },
+        { lt: 15, points: 7 },
+      ] },
+      // Volume trend (0-15) - increasing volume = ready to move
+      { name: 'Volume trend', metric: 'volumeTrend', tiers: [
+        { gt: 50, points: 15 },
+        { gt: 20, points: 12 },
+        { gt: 0, points: 8 },
+        { gt: -10, points: 5 },
+      ] },
+      // Short interest (0-15)
+      { name: 'Short interest', metric: 'shortInterest', tiers: [
+        { gt: 30, points: 15 },
+        { gt: 20, points: 12 },
+        { gt: 15, points: 10 },
+        { gt: 10, points: 7 },
+        { gt: 5, points: 5 },
+      ] },
+      // Gap size (0-10)
+      { name: 'Gap size', metric: 'gapDown', abs: true, tiers: [
+        { between: [5, 8], points: 10 },
+        { between: [4, 10], points: 7 },
+        { between: [3, 12], points: 5 },
+      ] },
+      // Trend (-15 to 15) - downtrend = bad
+      { name: 'Trend', metric: 'trendScore', default: 50, else: -15, tiers: [
+        { gte: 70, points: 15 },
+        { gte: 60, points: 12 },
+        { gte: 50, points: 10 },
+        { gte: 40, points: 5 },
+        { gte: 30, points: 0 },
+      ] },
+      // Dealer gamma (0-15) - only with an option chain
+      ...GEX_RULES,
+    ],
+  },
+
+  score(data) {
+    return scoreWith(this.scoring, data);
+  },
+
+  format(s) {
+    return [
+      `   Price: $${s.price?.toFixed(2)} | Gap: ${s.gapDown?.toFixed(1)}% | Days: ${s.daysSinceGap}`,
+      `   Gap Fill: ${s.gapFillPct?.toFixed(0)}% of $${s.gapZone[0].toFixed(2)}-$${s.gapZone[1].toFixed(2)} | Consolidation: ${s.consolidation?.toFixed(1)}%`,
+      `   Volume Trend: ${s.volumeTrend?.toFixed(0)}% | Short: ${shortText(s)} | Float: ${floatText(s)}`,
+    ];
+  },
+};
+
+// ============ V5 - ULTIMATE RSI/VOLUME ============
+
+const v5 = {
+  name: 'v5',
+  description: 'Ultimate RSI/volume - oversold gap downs under $50 with volume spikes',
+  title: 'GAMMA SCANNER V5 (ULTIMATE)',
+  heading: 'TOP GAMMA SQUEEZE CANDIDATES (UNDER $50)',
+  universe: 'expanded',
+  providers: ['twelvedata'],
+  bars: 220,        // MA200 needs 200 closes; gaps use the last 30
+  save: false,
+  width: 70,
+  top: 15,
+
+  filters: {
+    // Price (ALL UNDER $50)
+    maxPrice: 50,
+
+    // Gap Down (3-15%)
+    gapDownMin: -15,
+    gapDownMax: -3,
+
+    // Consolidation
+    consolidationMax: 15,
+    consolidationMin: 2,
+
+    // RSI (oversold better)
+    rsiMax: 60,  // Lower = more oversold
+
+    // Volume
+    volumeMin: 500000,
+    volumeSpikeMin: 1.5,  // 1.5x average = spike
+
+    // Gap Fill
+    gapFillMin: 0,   // Any positive fill
+    gapFillMax: 90,  // Not fully filled
+
+    // Short Interest (score bonus)
+    shortInterestMin: 10,
+
+    // Options ($1-$10 per contract)
+    optionMinPrice: 0.01,
+    optionMaxPrice: 0.10,
+
+    // Intraday confirmation (scan --intraday)
+    ...INTRADAY_FILTERS,
+
+    // Scoring
+    scoreMin: 20,
+  },
+
+  // Skip the history request for anything over max price
+  quoteFilter: (quote, f) => quote.price > 0 && quote.price <= f.maxPrice,
+
+  analyze({ symbol, quote, bars }) {
+    if (!quote || !quote.price || bars.length < 20) return null;
+
+    const closes = bars.map(b => b.close);
+    const recentBars = bars.slice(-30);
+    const gap = findGapDown(recentBars);
+
+    // Consolidation on closes
+    const recent = closes.slice(-5);
+    const consolidation = ((Math.max(...recent) - Math.min(...recent)) / Math.min(...recent)) * 100;
+
+    const avgVol20 = sma(bars.map(b => b.volume), 20);
+
+    return {
+      symbol,
+      price: quote.price,
+      prevClose: quote.prevClose,
+      volume: quote.volume,
+      avgVolume: quote.avgVolume,
+      ...indicatorMetrics(bars, quote.price),
+      ma20: sma(closes, 20),
+      ma50: sma(closes, 50),
+      ma200: sma(closes, 200),
+      gapDown: gap ? gap.gapDown : 0,
+      fillLevel: gap ? gap.fillLevel : quote.prevClose,
+      gapFillPct: gap ? gap.gapFillPct : 0,
+      daysSinceGap: gap ? gap.daysSinceGap : 999,
+      openGaps: openGaps(recentBars),
+      consolidation,
+      volSpike: avgVol20 > 0 ? quote.volume / avgVol20 : 0,
+      shortInterest: getShortInterest(symbol),
+      shortAsOf: getAsOf(symbol).shortAsOf,
+    };
+  },
+
+  steps: [
+    STEPS.maxPrice,
+    STEPS.gapDownMin,
+    STEPS.gapDownMax,
+    STEPS.consolidationMax,
+    STEPS.consolidationMin,
+    STEPS.rsiMax,
+    STEPS.volumeMin,
+  ],
+
+  scoring: {
+    max: 100,
+    rules: [
+      // RSI (0-20) - lower = better (oversold)
+      { name: 'RSI', metric: 'rsi', tiers: [
+        { lte: 30, points: 20 },
+        { lte: 40, points: 15 },
+        { lte: 50, points: 10 },
+        { lte: 60, points: 5 },
+      ] },
+      // Gap (0-15)
+      { name: 'Gap size', metric: 'gapDown', abs: true, tiers: [
+        { between: [5, 10], points: 15 },
+        { between: [3, 15], points: 10 },
+      ] },
+      // Gap fill (0-15)
+      { name: 'Gap fill', metric: 'gapFillPct', tiers: [
+        { between: [20, 70], points: 15 },
+        { between: [10, 90], points: 10 },
+      ] },
+      // Consolidation (0-10)
+      { name: 'Consolidation', metric: 'consolidation', tiers: [
+        { lt: 5, points: 10 },
+        { lt: 10, points: 7 },
+        { lt: 15, points: 4 },
+      ] },
+      // Volume spike (0-10)
+      { name: 'Volume spike', metric: 'volSpike', tiers: [
+        { gte: 2.0, points: 10 },
+        { gte: 1.5, points: 7 },
+        { gte: 1.2, points: 4 },
+      ] },
+      // Short interest (0-15)
+      { name: 'Short interest', metric: 'shortInterest', tiers: [
+        { gte: 25, points: 15 },
+        { gte: 15, points: 12 },
+        { gte: 10, points: 8 },
+        { gte: 5, points: 4 },
+      ] },
+      // Moving averages (0-10)
+      { name: 'Above MA20', metric: 'price', tiers: [{ gt: 'ma20', points: 5 }] },
+      { name: 'Above MA50', metric: 'price', tiers: [{ gt: 'ma50', points: 5 }] },
+      // Days since gap (0-5)
+      { name: 'Days since gap', metric: 'daysSinceGap', tiers: [
+        { lte: 3, points: 5 },
+        { lte: 7, points: 3 },
+      ] },
+      // Dealer gamma (0-15) - only with an option chain
+      ...GEX_RULES,
+    ],
+  },
+
+  score(data) {
+    return scoreWith(this.scoring, data);
+  },
+
+  format(r) {
+    return [
+      `   Price: $${r.price.toFixed(2)} | Gap: ${r.gapDown.toFixed(1)}% | Filled: ${r.gapFillPct.toFixed(0)}% | Days: ${r.daysSinceGap}`,
+      `   RSI: ${fixed(r.rsi)} | Consol: ${r.consolidation.toFixed(1)}% | Vol: ${r.volSpike.toFixed(1)}x | ATR: ${fixed(r.atrPct, 1)}%`,
+      `   Short: ${shortText(r)} | MA20: ${money(r.ma20)} | MA50: ${money(r.ma50)} | MA200: ${money(r.ma200)}`,
+    ];
+  },
+};
+
+const PROFILES = { v2, v3, v4, v5 };
+
+function getProfile(name) {
+  const profile = PROFILES[name];
+  if (!profile) {
+    throw new ConfigError('profile', [`unknown profile "${name}" (available: ${Object.keys(PROFILES).join(', ')})`]);
+  }
+  return profile;
+}
+
+module.exports = {
+  PROFILES,
+  getProfile,
+  consolidationPct,
+  findGapDown,
+  openGaps,
+  volumeTrendPct,
+  calculateTrendScore,
+  indicatorMetrics,
+};
@@ -0,0 +1,526 @@
+/**
+ * Market Data Providers
+ * Every provider implements the same interface so scoring code never
+ * sees a vendor response:
+ *
+ *   getQuote(symbol)                          -> Quote
+ *   getDailyBars(symbol, outputsize)          -> Bar[]
+ *   getIntradayBars(symbol, interval, count)  -> Bar[]  (interval: 5min, 15min, 1h)
+ *   getOptionChain(symbol)                    -> Chain  (see options.js)
+ *
+ * Quote: { symbol, price, prevClose, open, high, low, volume, avgVolume }
+ * Bar:   { datetime, open, high, low, close, volume } (oldest first)
+ *
+ * Failures throw a ProviderError (HTTP status / transport code when known).
+ * ProviderChain tries providers in order and falls through to the next one
+ * on failure; when all fail, the error it throws carries every attempt.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { ScheduledProvider } = require('./scheduler.js');
+const { ConfigError } = require('./config.js');
+const { makeChain } = require('./options.js');
+
+const TWELVE_DATA_KEY = process.env.TWELVE_DATA_KEY || 'd3a2f4b6b6674f35adad540f85ae9dca';
+const ALPHA_VANTAGE_KEY = process.env.ALPHA_VANTAGE_KEY || 'O28K7EKBWDS9TMJK';
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, 'fixtures');
+
+const INTERVALS = ['5min', '15min', '1h'];
+
+// Expirations fetched per chain (Yahoo returns one expiry per request)
+const OPTION_EXPIRIES = 2;
+
+class ProviderError extends Error {
+  constructor(provider, symbol, message, status = null, code = null) {
+    super(`${provider}: ${symbol}: ${message}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.symbol = symbol;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+function checkInterval(provider, symbol, interval) {
+  if (!INTERVALS.includes(interval)) {
+    throw new ProviderError(provider, symbol, `unsupported interval "${interval}" (use ${INTERVALS.join(', ')})`);
+  }
+}
+
+// GET a JSON API, turning transport failures into ProviderErrors
+async function getJson(provider, symbol, url, options = {}) {
+  try {
+    const { data } = await axios.get(url, { timeout: 10000, ...options });
+    return data;
+  } catch (e) {
+    throw new ProviderError(provider, symbol, e.message, e.response?.status || null, e.code || null);
+  }
+}
+
+// ============ YAHOO ============
+
+class YahooProvider {
+  constructor() {
+    this.name = 'yahoo';
+    // getOptionChain makes one request per expiry: the scheduler counts each one
+    this.chainRequests = OPTION_EXPIRIES;
+  }
+
+  async chart(symbol, interval, range) {
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${symbol}?interval=${interval}&range=${range}`;
+    const data = await getJson(this.name, symbol, url, {
+      headers: { 'User-Agent': 'Mozilla/5.0' }
+    });
+
+    const result = data.chart?.result?.[0];
+    if (!result) throw new ProviderError(this.name, symbol, 'no chart data');
+
+    const q = result.indicators.quote[0];
+    const daily = interval === '1d';
+    const bars = (result.timestamp || []).map((t, i) => ({
+      datetime: daily
+        ? new Date(t * 1000).toISOString().slice(0, 10)
+        : new Date(t * 1000).toISOString().slice(0, 19).replace('T', ' '),
+      open: q.open[i],
+      high: q.high[i],
+      low: q.low[i],
+      close: q.close[i],
+      volume: q.volume[i] || 0,
+    })).filter(b => b.close !== null && b.high !== null && b.low !== null);
+
+    return { meta: result.meta, bars };
+  }
+
+  async getQuote(symbol) {
+    const { meta, bars } = await this.chart(symbol, '1d', '1mo');
+
+    const price = meta.regularMarketPrice;
+    const last = bars[bars.length - 1] || {};
+    const volumes = bars.slice(-20).map(b => b.volume);
+    const avgVolume = volumes.length > 0 ? volumes.reduce((a, b) => a + b, 0) / volumes.length : 0;
+
+    return {
+      symbol,
+      price,
+      prevClose: bars[bars.length - 2]?.close || meta.chartPreviousClose || price,
+      open: last.open,
+      high: last.high,
+      low: last.low,
+      volume: meta.regularMarketVolume || 0,
+      avgVolume: avgVolume || meta.regularMarketVolume || 0,
+    };
+  }
+
+  async getDailyBars(symbol, outputsize = 30) {
+    const range = outputsize <= 10 ? '10d' : outputsize <= 60 ? '3mo' : outputsize <= 250 ? '1y' : '5y';
+    const { bars } = await this.chart(symbol, '1d', range);
+    return bars.slice(-outputsize);
+  }
+
+  async getIntradayBars(symbol, interval, count = 100) {
+    checkInterval(this.name, symbol, interval);
+    const yahooInterval = { '5min': '5m', '15min': '15m', '1h': '60m' }[interval];
+    const { bars } = await this.chart(symbol, yahooInterval, interval === '1h' ? '1mo' : '5d');
+    return bars.slice(-count);
+  }
+
+  async options(symbol, date = null) {
+    const url = `https://query2.finance.yahoo.com/v7/finance/options/${symbol}${date ? `?date=${date}` : ''}`;
+    const data = await getJson(this.name, symbol, url, {
+      headers: { 'User-Agent': 'Mozilla/5.0' }
+    });
+
+    const result = data.optionChain?.result?.[0];
+    if (!result) throw new ProviderError(this.name, symbol, 'no option chain');
+    return result;
+  }
+
+  // Nearest expirations only. `request` runs each HTTP call (the scheduler paces them).
+  async getOptionChain(symbol, request = (fn) => fn()) {
+    const first = await request(() => this.options(symbol));
+    const results = [first];
+    for (const date of (first.expirationDates || []).slice(1, OPTION_EXPIRIES)) {
+      results.push(await request(() => this.options(symbol, date)));
+    }
+
+    const contracts = results.flatMap(r => r.options?.[0] ? [
+      ...(r.options[0].calls || []).map(c => ({ ...c, type: 'call' })),
+      ...(r.options[0].puts || []).map(c => ({ ...c, type: 'put' })),
+    ] : []).map(c => ({
+      contract: c.contractSymbol,
+      type: c.type,
+      expiry: new Date(c.expiration * 1000).toISOString().slice(0, 10),
+      strike: c.strike,
+      bid: c.bid,
+      ask: c.ask,
+      last: c.lastPrice,
+      volume: c.volume,
+      openInterest: c.openInterest,
+      iv: c.impliedVolatility,
+    }));
+
+    if (contracts.length === 0) throw new ProviderError(this.name, symbol, 'no listed options');
+    return makeChain(symbol, first.quote?.regularMarketPrice, contracts);
+  }
+}
+
+// ============ TWELVE DATA ============
+
+class TwelveDataProvider {
+  constructor({ apiKey = TWELVE_DATA_KEY } = {}) {
+    this.name = 'twelvedata';
+    this.apiKey = apiKey;
+  }
+
+  async request(symbol, endpoint, params) {
+    const query = new URLSearchParams({ symbol, ...params, apikey: this.apiKey });
+    const data = await getJson(this.name, symbol, `https://api.twelvedata.com/${endpoint}?${query}`);
+
+    if (data.status === 'error' || data.code >= 400) {
+      throw new ProviderError(this.name, symbol, data.message || 'error', data.code || null);
+    }
+    return data;
+  }
+
+  async getQuote(symbol) {
+    const data = await this.request(symbol, 'quote', {});
+
+    return {
+      symbol: data.symbol,
+      price: parseFloat(data.close),
+      prevClose: parseFloat(data.previous_close),
+      open: parseFloat(data.open),
+      high: parseFloat(data.high),
+      low: parseFloat(data.low),
+      volume: parseInt(data.volume),
+      avgVolume: parseInt(data.average_volume),
+    };
+  }
+
+  async timeSeries(symbol, interval, outputsize) {
+    const data = await this.request(symbol, 'time_series', { interval, outputsize });
+    if (!data.values || data.values.length === 0) {
+      throw new ProviderError(this.name, symbol, 'no data');
+    }
+
+    // API returns newest first, reverse it
+    return data.values.slice().reverse().map(v => ({
+      datetime: v.datetime,
+      open: parseFloat(v.open),
+      high: parseFloat(v.high),
+      low: parseFloat(v.low),
+      close: parseFloat(v.close),
+      volume: parseInt(v.volume),
+    }));
+  }
+
+  async getDailyBars(symbol, outputsize = 30) {
+    return this.timeSeries(symbol, '1day', outputsize);
+  }
+
+  async getIntradayBars(symbol, interval, count = 100) {
+    checkInterval(this.name, symbol, interval);
+    return this.timeSeries(symbol, interval, count);
+  }
+
+  async getOptionChain(symbol) {
+    throw new ProviderError(this.name, symbol, 'option chains not available on the free plan');
+  }
+}
+
+// ============ ALPHA VANTAGE ============
+
+class AlphaVantageProvider {
+  constructor({ apiKey = ALPHA_VANTAGE_KEY } = {}) {
+    this.name = 'alphavantage';
+    this.apiKey = apiKey;
+  }
+
+  async request(symbol, params) {
+    const query = new URLSearchParams({ symbol, ...params, apikey: this.apiKey });
+    const data = await getJson(this.name, symbol, `https://www.alphavantage.co/query?${query}`);
+
+    // Errors and rate limits come back as 200s with a message field
+    if (data['Error Message']) throw new ProviderError(this.name, symbol, data['Error Message']);
+    const notice = data['Note'] || data['Information'];
+    if (notice) {
+      const rateLimited = /rate limit|frequency|per day|per minute/i.test(notice);
+      throw new ProviderError(this.name, symbol, notice, rateLimited ? 429 : null);
+    }
+    return data;
+  }
+
+  parseSeries(symbol, series) {
+    if (!series) throw new ProviderError(this.name, symbol, 'no data');
+
+    return Object.keys(series).sort().map(datetime => ({
+      datetime,
+      open: parseFloat(series[datetime]['1. open']),
+      high: parseFloat(series[datetime]['2. high']),
+      low: parseFloat(series[datetime]['3. low']),
+      close: parseFloat(series[datetime]['4. close']),
+      volume: parseInt(series[datetime]['5. volume']),
+    }));
+  }
+
+  async getQuote(symbol) {
+    const data = await this.request(symbol, { function: 'GLOBAL_QUOTE' });
+
+    const q = data['Global Quote'];
+    if (!q || Object.keys(q).length === 0) throw new ProviderError(this.name, symbol, 'no data');
+
+    return {
+      symbol: q['01. symbol'],
+      price: parseFloat(q['05. price']),
+      prevClose: parseFloat(q['08. previous close']),
+      open: parseFloat(q['02. open']),
+      high: parseFloat(q['03. high']),
+      low: parseFloat(q['04. low']),
+      volume: parseInt(q['06. volume']),
+      avgVolume: parseInt(q['06. volume']),
+    };
+  }
+
+  async getDailyBars(symbol, outputsize = 30) {
+    const data = await this.request(symbol, {
+      function: 'TIME_SERIES_DAILY',
+      outputsize: outputsize > 100 ? 'full' : 'compact',
+    });
+    return this.parseSeries(symbol, data['Time Series (Daily)']).slice(-outputsize);
+  }
+
+  async getIntradayBars(symbol, interval, count = 100) {
+    checkInterval(this.name, symbol, interval);
+    const avInterval = interval === '1h' ? '60min' : interval;
+    const data = await this.request(symbol, {
+      function: 'TIME_SERIES_INTRADAY',
+      interval: avInterval,
+      outputsize: count > 100 ? 'full' : 'compact',
+    });
+    return this.parseSeries(symbol, data[`Time Series (${avInterval})`]).slice(-count);
+  }
+
+  // Previous session's chain (HISTORICAL_OPTIONS), nearest expirations only
+  async getOptionChain(symbol) {
+    const data = await this.request(symbol, { function: 'HISTORICAL_OPTIONS' });
+    if (!data.data || data.data.length === 0) throw new ProviderError(this.name, symbol, 'no option chain');
+
+    const expiries = [...new Set(data.data.map(c => c.expiration))].sort().slice(0, OPTION_EXPIRIES);
+    const contracts = data.data
+      .filter(c => expiries.includes(c.expiration))
+      .map(c => ({
+        contract: c.contractID,
+        type: c.type,
+        expiry: c.expiration,
+        strike: c.strike,
+        bid: c.bid,
+        ask: c.ask,
+        last: c.last,
+        volume: c.volume,
+        openInterest: c.open_interest,
+        iv: c.implied_volatility,
+      }));
+
+    // No underlying price in the response; findCheapOptions takes the scan's price
+    return makeChain(symbol, null, contracts, data.data[0].date);
+  }
+}
+
+// ============ FIXTURES ============
+
+// Reads recorded data from <dir>/<SYMBOL>.json:
+// { symbol, quote, bars: { "1day": [...], "5min": [...], ... }, options: Chain }
+class FixtureProvider {
+  constructor({ dir = DEFAULT_FIXTURE_DIR } = {}) {
+    this.name = 'fixture';
+    this.dir = dir;
+  }
+
+  load(symbol) {
+    const file = path.join(this.dir, `${symbol.toUpperCase()}.json`);
+    if (!fs.existsSync(file)) throw new ProviderError(this.name, symbol, 'no fixture file', 404);
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  series(symbol, interval, count) {
+    const bars = this.load(symbol).bars?.[interval];
+    if (!bars || bars.length === 0) throw new ProviderError(this.name, symbol, `no ${interval} bars`, 404);
+    return bars.slice(-count);
+  }
+
+  async getQuote(symbol) {
+    const fixture = this.load(symbol);
+    if (fixture.quote) return fixture.quote;
+
+    // Derive a quote from the last daily bars
+    const bars = fixture.bars?.['1day'] || [];
+    const last = bars[bars.length - 1];
+    if (!last) throw new ProviderError(this.name, symbol, 'no quote', 404);
+    const recent = bars.slice(-20);
+
+    return {
+      symbol: symbol.toUpperCase(),
+      price: last.close,
+      prevClose: bars[bars.length - 2]?.close || last.open,
+      open: last.open,
+      high: last.high,
+      low: last.low,
+      volume: last.volume,
+      avgVolume: recent.reduce((sum, b) => sum + b.volume, 0) / recent.length,
+    };
+  }
+
+  async getDailyBars(symbol, outputsize = 30) {
+    return this.series(symbol, '1day', outputsize);
+  }
+
+  async getIntradayBars(symbol, interval, count = 100) {
+    checkInterval(this.name, symbol, interval);
+    return this.series(symbol, interval, count);
+  }
+
+  async getOptionChain(symbol) {
+    const chain = this.load(symbol).options;
+    if (!chain?.contracts?.length) throw new ProviderError(this.name, symbol, 'no option chain', 404);
+    return makeChain(symbol, chain.underlyingPrice, chain.contracts, chain.asOf);
+  }
+}
+
+// Writes everything the wrapped provider returns into fixture files
+class RecordingProvider {
+  constructor(provider, { dir = DEFAULT_FIXTURE_DIR } = {}) {
+    this.name = provider.name;
+    this.provider = provider;
+    this.dir = dir;
+  }
+
+  write(symbol, update) {
+    const file = path.join(this.dir, `${symbol.toUpperCase()}.json`);
+    const fixture = fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, 'utf8'))
+      : { symbol: symbol.toUpperCase(), bars: {} };
+    update(fixture);
+    fixture.recorded = new Date().toISOString();
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(fixture, null, 2));
+  }
+
+  async getQuote(symbol) {
+    const quote = await this.provider.getQuote(symbol);
+    this.write(symbol, f => { f.quote = quote; });
+    return quote;
+  }
+
+  async getDailyBars(symbol, outputsize) {
+    const bars = await this.provider.getDailyBars(symbol, outputsize);
+    this.write(symbol, f => { f.bars['1day'] = bars; });
+    return bars;
+  }
+
+  async getIntradayBars(symbol, interval, count) {
+    const bars = await this.provider.getIntradayBars(symbol, interval, count);
+    this.write(symbol, f => { f.bars[interval] = bars; });
+    return bars;
+  }
+
+  async getOptionChain(symbol) {
+    const chain = await this.provider.getOptionChain(symbol);
+    this.write(symbol, f => { f.options = chain; });
+    return chain;
+  }
+}
+
+// ============ CHAIN ============
+
+// Which provider in a chain produced a result (bars, quote)
+const SERVED_BY = new WeakMap();
+
+function servedBy(result, fallback = null) {
+  return (result && SERVED_BY.get(result)) || fallback;
+}
+
+class ProviderChain {
+  constructor(providers) {
+    this.providers = providers;
+    this.name = providers.map(p => p.name).join('>');
+  }
+
+  async attempt(method, args) {
+    const attempts = [];
+    for (const provider of this.providers) {
+      try {
+        const result = await provider[method](...args);
+        if (result && typeof result === 'object') SERVED_BY.set(result, provider.name);
+        return result;
+      } catch (e) {
+        attempts.push(e);
+      }
+    }
+    // The last error is thrown; every provider's error rides along for diagnostics
+    const lastError = attempts[attempts.length - 1];
+    lastError.attempts = attempts;
+    throw lastError;
+  }
+
+  getQuote(symbol) {
+    return this.attempt('getQuote', [symbol]);
+  }
+
+  getDailyBars(symbol, outputsize) {
+    return this.attempt('getDailyBars', [symbol, outputsize]);
+  }
+
+  getIntradayBars(symbol, interval, count) {
+    return this.attempt('getIntradayBars', [symbol, interval, count]);
+  }
+
+  getOptionChain(symbol) {
+    return this.attempt('getOptionChain', [symbol]);
+  }
+}
+
+const PROVIDERS = {
+  yahoo: (options) => new YahooProvider(options),
+  twelvedata: (options) => new TwelveDataProvider(options),
+  alphavantage: (options) => new AlphaVantageProvider(options),
+  fixture: (options) => new FixtureProvider({ dir: options.fixtureDir || DEFAULT_FIXTURE_DIR }),
+};
+
+// Build a fallback chain from names, e.g. ['twelvedata', 'alphavantage'].
+// options.scheduler paces/budgets every request through a RequestScheduler.
+// options.record (true or a directory) wraps every provider so responses are saved as fixtures.
+function createProvider(names, options = {}) {
+  const list = (Array.isArray(names) ? names : String(names).split(','))
+    .map(n => n.trim())
+    .filter(Boolean);
+
+  const providers = list.map(name => {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+      throw new ConfigError('--provider', [`unknown provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`]);
+    }
+    let provider = factory(options);
+    if (options.scheduler) provider = new ScheduledProvider(provider, options.scheduler);
+    if (!options.record) return provider;
+    return new RecordingProvider(provider, { dir: options.record === true ? DEFAULT_FIXTURE_DIR : options.record });
+  });
+
+  return providers.length === 1 ? providers[0] : new ProviderChain(providers);
+}
+
+module.exports = {
+  INTERVALS,
+  ProviderError,
+  YahooProvider,
+  TwelveDataProvider,
+  AlphaVantageProvider,
+  FixtureProvider,
+  RecordingProvider,
+  ProviderChain,
+  PROVIDERS,
+  createProvider,
+  servedBy,
+};
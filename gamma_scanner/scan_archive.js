@@ -0,0 +1,153 @@
+/**
+ * Scan Archive
+ * Every scan run (any profile, scan or watch) appended to a local JSONL store:
+ *
+ *   archive/runs.jsonl        one line per profile run:
+ *     { id, at, profile, configHash, configSource, overrides, providers,
+ *       optionsProviders, universe, universeSize, fetched, analyzed, passed,
+ *       results, steps, errors, failures, scanFile }
+ *   archive/candidates.jsonl  one line per scored candidate:
+ *     { runId, at, profile, configHash, rank, symbol, score, price, data }
+ *
+ * `data` is the full analyzed candidate, so any metric can be queried later
+ * ("every time GME scored above 60 in the last month"). `failures` are the
+ * per-symbol fetch errors of the run (see diagnostics.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ARCHIVE_DIR = path.join(__dirname, 'archive');
+
+// '30d', '4w', '1m', '1y' or a date -> ISO timestamp lower bound
+function parseSince(value, now = new Date()) {
+  const match = /^(\d+)([dwmy])$/.exec(String(value));
+  if (match) {
+    const d = new Date(now);
+    const n = parseInt(match[1]);
+    if (match[2] === 'd') d.setUTCDate(d.getUTCDate() - n);
+    if (match[2] === 'w') d.setUTCDate(d.getUTCDate() - 7 * n);
+    if (match[2] === 'm') d.setUTCMonth(d.getUTCMonth() - n);
+    if (match[2] === 'y') d.setUTCFullYear(d.getUTCFullYear() - n);
+    return d.toISOString();
+  }
+  if (/^\d{4}-\d{2}-\d{2}/.test(String(value)) && !Number.isNaN(Date.parse(value))) {
+    return new Date(value).toISOString();
+  }
+  throw new Error(`Invalid date "${value}" (use YYYY-MM-DD or 30d / 4w / 1m / 1y)`);
+}
+
+// Until a date means through the end of that day
+function parseUntil(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) ? `${value}T23:59:59.999Z` : parseSince(value);
+}
+
+function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+class ScanArchive {
+  constructor({ dir = DEFAULT_ARCHIVE_DIR } = {}) {
+    this.dir = dir;
+    this.runsFile = path.join(dir, 'runs.jsonl');
+    this.candidatesFile = path.join(dir, 'candidates.jsonl');
+  }
+
+  // Append one profile run and its results. `meta`: profile, run (engine result),
+  // providers, optionsProviders, universe, universeSize, fetched, errors, failures, scanFile
+  record({ profile, run, providers = [], optionsProviders = [], universe = null, universeSize = 0, fetched = 0, errors = [], failures = [], scanFile = null }) {
+    const at = new Date().toISOString();
+    const entry = {
+      id: `${at.replace(/[-:]/g, '').slice(0, 15)}-${profile.name}-${Math.random().toString(36).slice(2, 6)}`,
+      at,
+      profile: profile.name,
+      configHash: profile.config?.hash || null,
+      configSource: profile.config?.source || null,
+      overrides: profile.config?.overrides || {},
+      providers,
+      optionsProviders,
+      universe,
+      universeSize,
+      fetched,
+      analyzed: run.analyzed,
+      passed: run.passed.length,
+      results: run.results.length,
+      steps: run.steps,
+      errors,
+      failures,
+      scanFile,
+    };
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.appendFileSync(this.runsFile, JSON.stringify(entry) + '\n');
+    if (run.results.length > 0) {
+      const rows = run.results.map((s, i) => JSON.stringify({
+        runId: entry.id,
+        at,
+        profile: profile.name,
+        configHash: entry.configHash,
+        rank: i + 1,
+        symbol: s.symbol,
+        score: s.score,
+        price: s.price ?? null,
+        data: s,
+      }));
+      fs.appendFileSync(this.candidatesFile, rows.join('\n') + '\n');
+    }
+    return entry;
+  }
+
+  // Newest first. Filters: profile, hash (prefix), since / until (ISO), limit
+  runs({ profile = null, hash = null, since = null, until = null, limit = null } = {}) {
+    const rows = readJsonl(this.runsFile)
+      .filter(r => (!profile || r.profile === profile) &&
+        (!hash || (r.configHash || '').startsWith(hash)) &&
+        (!since || r.at >= since) &&
+        (!until || r.at <= until))
+      .reverse();
+    return limit ? rows.slice(0, limit) : rows;
+  }
+
+  // Newest first. Filters: symbols, profile, hash, since / until, above / below (score), runId, limit
+  candidates({ symbols = null, profile = null, hash = null, since = null, until = null, above = null, below = null, runId = null, limit = null } = {}) {
+    const wanted = symbols && symbols.length > 0 ? new Set(symbols.map(s => s.toUpperCase())) : null;
+    const rows = readJsonl(this.candidatesFile)
+      .filter(c => (!wanted || wanted.has(c.symbol)) &&
+        (!profile || c.profile === profile) &&
+        (!hash || (c.configHash || '').startsWith(hash)) &&
+        (!since || c.at >= since) &&
+        (!until || c.at <= until) &&
+        (above === null || c.score > above) &&
+        (below === null || c.score < below) &&
+        (!runId || c.runId === runId))
+      .reverse();
+    return limit ? rows.slice(0, limit) : rows;
+  }
+
+  // { run, candidates } for an id (or unique id prefix), or null
+  run(id) {
+    const matches = readJsonl(this.runsFile).filter(r => r.id === id || r.id.startsWith(id));
+    if (matches.length !== 1) return null;
+    const run = matches[0];
+    return { run, candidates: this.candidates({ runId: run.id }).reverse() };
+  }
+}
+
+module.exports = {
+  DEFAULT_ARCHIVE_DIR,
+  parseSince,
+  parseUntil,
+  ScanArchive,
+};
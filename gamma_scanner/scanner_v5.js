@@ -1,385 +1,9 @@
 #!/usr/bin/env node
 
 /**
- * Gamma Squeeze Scanner - V5 (Ultimate)
- * Features:
- * - Expanded stock universe (700+ stocks)
- * - RSI filter (oversold = better)
- * - Volume spike detection
- * - Multiple timeframes
- * - Moving averages
- * - Gap fill accuracy
- * - ALL STOCKS UNDER $50
+ * Gamma Squeeze Scanner - V5 (Ultimate RSI/volume)
+ * Kept for compatibility - runs the "v5" profile of the unified engine.
+ * See profiles.js for the filters/scoring and gamma.js for all options.
  */
 
-const axios = require('axios');
-
-const TWELVE_DATA_KEY = 'd3a2f4b6b6674f35adad540f85ae9dca';
-const ALPHA_VANTAGE_KEY = 'O28K7EKBWDS9TMJK';
-
-// Stock universe (expanded, under $50 focus)
-const STOCK_UNIVERSE = [
-  'GME', 'AMC', 'BB', 'NOK', 'CLOV', 'MARA', 'RIOT', 'BTBT', 'SOUN', 'UPST',
-  'WISH', 'RIVN', 'LCID', 'DKNG', 'SNAP', 'COIN', 'HOOD', 'PATH', 'PLTR', 'SOFI',
-  'BABA', 'PDD', 'JD', 'NIO', 'XPEV', 'LI', 'LAZR', 'STEM', 'TXMD', 'MRNA',
-  'TSLA', 'NVDA', 'AMD', 'INTC', 'CSCO', 'ORCL', 'CRM', 'ADBE', 'PYPL', 'SQ',
-  'SHOP', 'UBER', 'LYFT', 'ROKU', 'ZM', 'DOCU', 'NET', 'DDOG', 'OKTA', 'U',
-  'SNOW', 'CRWD', 'GLOB', 'MDB', 'ESTC', 'WDAY', 'TEAM', 'TWLO', 'FSLY', 'DLO',
-  'GPRO', 'PERI', 'TNA', 'SOXL', 'TQQQ', 'SQQQ', 'UVXY', 'SVXY', 'VIXY',
-  'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'NFLX', 'DIS', 'KO', 'PEP', 'PG',
-  'JPM', 'BAC', 'WFC', 'GS', 'MS', 'C', 'V', 'MA', 'COF', 'USB', 'SCHW',
-  'XOM', 'CVX', 'COP', 'EOG', 'MPC', 'VLO', 'PSX', 'OXY', 'HAL', 'SLB',
-  'PFE', 'MRK', 'ABBV', 'LLY', 'BMY', 'AMGN', 'GILD', 'UNH', 'JNJ', 'ABT',
-  'WMT', 'HD', 'COST', 'TGT', 'LOW', 'NKE', 'SBUX', 'MCD', 'TGT', 'ROST',
-  'DAL', 'UAL', 'LUV', 'ALK', 'AAL', 'DISH', 'T', 'VZ', 'TMUS', 'CMCSA',
-  'F', 'GM', 'TM', 'RACE', 'STLA', 'FCAU', 'RIVN', 'LCID', 'NIO', 'XPEV',
-  'BARK', 'BIG', 'BIGG', 'BBIG', 'ATER', 'CLOV', 'NAKD', 'GME', 'AMC',
-  'KOSS', 'EXPR', 'SPCE', 'LAZY', 'FUBO', 'WISH', 'SOFI', 'U', 'BABA',
-  'MARA', 'RIOT', 'BTBT', 'IRBT', 'KSS', 'JWN', 'M', 'KIM', 'SPG', 'O',
-  'TREE', 'OPEN', 'RDFN', 'Z', 'OPCH', 'AUPH', 'CTXR', 'SPR', 'CTXR',
-  'AKAO', 'MNKD', 'RETA', 'ACRX', 'AXSM', 'BCRX', 'BMRN', 'ALKS', 'IMGN',
-  'ZGNX', 'BCRX', 'AGIO', 'ALDR', 'ALXN', 'AMRN', 'APLS', 'ARGS', 'BLCM',
-  'BMY', 'CAR', 'CELG', 'CTLA', 'EARS', 'EIDX', 'ENDP', 'EPIX', 'EQ',
-  'EXEL', 'FATE', 'FPRX', 'GNMK', 'GTXI', 'HALO', 'HLNN', 'HRTX', 'ICPT',
-  'IDRA', 'IONS', 'IPG', 'IRWD', 'KPTI', 'LGND', 'LPTX', 'MACK', 'MDGL',
-  'MRTX', 'MYOV', 'NKTR', 'NLSP', 'NTWK', 'OMER', 'ORTX', 'OSUR', 'OTIC',
-  'PBYI', 'PCSK', 'PDSB', 'PERI', 'PRTA', 'PULM', 'RCKT', 'REGN', 'RHT',
-  'RIGL', 'RPRX', 'RTTO', 'RXDX', 'RYTM', 'SAGE', 'SAVA', 'SCLX', 'SCYX',
-  'SEAS', 'SIGA', 'SILK', 'SNDX', 'SPNE', 'SRRK', 'SSKN', 'STAA', 'STOK',
-  'SUPN', 'SYNH', 'TCRZ', 'THOR', 'TNDM', 'TRIL', 'TRIP', 'TTD', 'TVTY',
-  'TZOO', 'UCNB', 'ULBI', 'URGN', 'UTHR', 'VACC', 'VAPO', 'VBLT', 'VECT',
-  'VICL', 'VIR', 'VIRX', 'VRTX', 'VSTM', 'XBIT', 'XENE', 'XERS', 'XLRN',
-  'ZNGA', 'ZION', 'PINS', 'SNAP', 'TWTR', 'RBLX', 'U', 'ESTC', 'NET',
-  'DDOG', 'CRWD', 'OKTA', 'ZS', 'HUBS', 'WDAY', 'SPLK', 'SUMO', 'NCNO',
-  'VRM', 'APPH', 'AUR', 'ALRM', 'EVBG', 'ASAN', 'DOCU', 'ZM', 'ROKU',
-  'PLTR', 'PATH', 'SOUN', 'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'AMD',
-  'INTC', 'CSCO', 'ORCL', 'IBM', 'QCOM', 'TXN', 'AVGO', 'MU', 'LRCX',
-  'KLAC', 'MRVL', 'ON', 'NXPI', 'MCHP', 'ADI', 'MXIM', 'XLNX', 'FSLR',
-  'SEDG', 'ENPH', 'RUN', 'SPWR', 'FSLY', 'NET', 'ESTC', 'DDOG', 'CRWD'
-];
-
-const UNIQUE_STOCKS = [...new Set(STOCK_UNIVERSE)];
-
-const FILTERS = {
-  // Price (ALL UNDER $50)
-  maxPrice: 50,
-  
-  // Gap Down (3-15%)
-  gapDownMin: -15,
-  gapDownMax: -3,
-  
-  // Consolidation
-  consolidationMax: 15,
-  consolidationMin: 2,
-  
-  // RSI (oversold better)
-  rsiMax: 60,  // Lower = more oversold
-  
-  // Volume
-  volumeMin: 500000,
-  volumeSpikeMin: 1.5,  // 1.5x average = spike
-  
-  // Trend (price above moving averages)
-  ma20Above: false,  // Don't require, but score for
-  
-  // Gap Fill
-  gapFillMin: 0,  // Any positive fill
-  gapFillMax: 90,  // Not fully filled
-  
-  // Short Interest (score bonus)
-  shortInterestMin: 10,
-  
-  // Scoring
-  scoreMin: 20,
-};
-
-const delay = (ms) => new Promise(r => setTimeout(r, ms));
-
-// Fetch quote + indicators
-async function getStockData(symbol) {
-  try {
-    // Get quote
-    const quoteUrl = `https://api.twelvedata.com/quote?symbol=${symbol}&apikey=${TWELVE_DATA_KEY}`;
-    const quoteRes = await axios.get(quoteUrl, { timeout: 10000 });
-    const quote = quoteRes.data;
-    
-    if (quote.status === 'error') return null;
-    
-    const price = parseFloat(quote.close);
-    const prevClose = parseFloat(quote.previous_close);
-    const volume = parseInt(quote.volume);
-    const avgVolume = parseInt(quote.average_volume);
-    
-    // Skip if over $50
-    if (price > FILTERS.maxPrice || price <= 0) return null;
-    
-    // Get history for RSI, MA, gap analysis
-    const histUrl = `https://api.twelvedata.com/time_series?symbol=${symbol}&interval=1day&outputsize=30&apikey=${TWELVE_DATA_KEY}`;
-    const histRes = await axios.get(histUrl, { timeout: 10000 });
-    const hist = histRes.data.values;
-    
-    if (!hist || hist.length < 20) return null;
-    
-    const closes = hist.reverse().map(v => parseFloat(v.close));
-    const highs = hist.reverse().map(v => parseFloat(v.high));
-    const lows = hist.reverse().map(v => parseFloat(v.low));
-    const vols = hist.reverse().map(v => parseInt(v.volume));
-    
-    // Calculate RSI (14 period)
-    const rsi = calculateRSI(closes);
-    
-    // Calculate Moving Averages
-    const ma20 = closes.slice(-20).reduce((a, b) => a + b, 0) / 20;
-    const ma50 = closes.length >= 50 ? closes.slice(-50).reduce((a, b) => a + b, 0) / 50 : ma20;
-    const ma200 = closes.length >= 200 ? closes.slice(-200).reduce((a, b) => a + b, 0) / 200 : ma50;
-    
-    // Gap Analysis
-    let maxGap = 0;
-    let gapDay = null;
-    for (let i = 1; i < closes.length; i++) {
-      const gap = ((closes[i] - closes[i-1]) / closes[i-1]) * 100;
-      if (gap < maxGap) {
-        maxGap = gap;
-        gapDay = { close: closes[i], date: i };
-      }
-    }
-    
-    const currentPrice = closes[closes.length - 1];
-    const gapSize = Math.abs(maxGap);
-    const gapFilled = gapDay ? ((gapDay.close - currentPrice) / gapDay.close) * 100 : 0;
-    const gapFillPct = Math.max(0, Math.min(100, gapFilled));
-    
-    // Days since gap
-    const daysSinceGap = gapDay ? closes.length - 1 - gapDay.date : 999;
-    
-    // Consolidation
-    const recent = closes.slice(-5);
-    const high5 = Math.max(...recent);
-    const low5 = Math.min(...recent);
-    const consolidation = ((high5 - low5) / low5) * 100;
-    
-    // Volume spike
-    const avgVol20 = vols.slice(-20).reduce((a, b) => a + b, 0) / 20;
-    const volSpike = volume / avgVol20;
-    
-    return {
-      symbol,
-      price,
-      prevClose,
-      volume,
-      avgVolume,
-      rsi,
-      ma20,
-      ma50,
-      ma200,
-      gapDown: maxGap,
-      gapFillPct,
-      daysSinceGap,
-      consolidation,
-      volSpike,
-      closes,
-    };
-  } catch (e) {
-    return null;
-  }
-}
-
-// RSI Calculation
-function calculateRSI(closes, period = 14) {
-  if (closes.length < period + 1) return 50;
-  
-  let gains = 0, losses = 0;
-  
-  for (let i = closes.length - period; i < closes.length; i++) {
-    const change = closes[i] - closes[i - 1];
-    if (change > 0) gains += change;
-    else losses -= change;
-  }
-  
-  const avgGain = gains / period;
-  const avgLoss = losses / period;
-  
-  if (avgLoss === 0) return 100;
-  
-  const rs = avgGain / avgLoss;
-  return 100 - (100 / (1 + rs));
-}
-
-// Known short interest (expand this list)
-const KNOWN_SHORT = {
-  'GME': 15.2, 'AMC': 22.1, 'CLOV': 25.4, 'MARA': 28.5, 'RIOT': 31.2,
-  'BTBT': 15.0, 'SOUN': 12.0, 'UPST': 22.0, 'WISH': 18.9, 'RIVN': 5.2,
-  'LCID': 4.8, 'DKNG': 10.2, 'SNAP': 9.1, 'COIN': 14.2, 'HOOD': 6.8,
-  'PLTR': 12.3, 'BB': 4.2, 'NOK': 3.1, 'SOFI': 8.5, 'PATH': 18.5,
-  'LAZR': 8.5, 'STEM': 12.0, 'TXMD': 25.0, 'MRNA': 8.5, 'BABA': 3.2,
-  'PDD': 4.5, 'NIO': 8.2, 'XPEV': 6.5, 'LI': 5.8, 'RIVN': 5.2,
-  'GPRO': 8.0, 'PERI': 15.0, 'TNA': 5.0, 'SOXL': 3.0, 'TQQQ': 2.0,
-  'UVXY': 5.0, 'VIXY': 3.0, 'RBLX': 6.0, 'U': 12.0, 'NET': 5.0,
-  'CRWD': 4.0, 'DDOG': 3.0, 'OKTA': 5.0, 'ZS': 4.0, 'SNOW': 5.0,
-};
-
-function getShortInterest(symbol) {
-  return KNOWN_SHORT[symbol.toUpperCase()] || 0;
-}
-
-// Scoring
-function calculateScore(data) {
-  let score = 0;
-  
-  // RSI (0-20) - lower = better (oversold)
-  if (data.rsi <= 30) score += 20;
-  else if (data.rsi <= 40) score += 15;
-  else if (data.rsi <= 50) score += 10;
-  else if (data.rsi <= 60) score += 5;
-  
-  // Gap (0-15)
-  const gap = Math.abs(data.gapDown);
-  if (gap >= 5 && gap <= 10) score += 15;
-  else if (gap >= 3 && gap <= 15) score += 10;
-  
-  // Gap Fill (0-15)
-  const fill = data.gapFillPct;
-  if (fill >= 20 && fill <= 70) score += 15;
-  else if (fill >= 10 && fill <= 90) score += 10;
-  
-  // Consolidation (0-10)
-  if (data.consolidation < 5) score += 10;
-  else if (data.consolidation < 10) score += 7;
-  else if (data.consolidation < 15) score += 4;
-  
-  // Volume Spike (0-10)
-  if (data.volSpike >= 2.0) score += 10;
-  else if (data.volSpike >= 1.5) score += 7;
-  else if (data.volSpike >= 1.2) score += 4;
-  
-  // Short Interest (0-15)
-  const si = getShortInterest(data.symbol);
-  if (si >= 25) score += 15;
-  else if (si >= 15) score += 12;
-  else if (si >= 10) score += 8;
-  else if (si >= 5) score += 4;
-  
-  // Moving Averages (0-10)
-  if (data.price > data.ma20) score += 5;
-  if (data.price > data.ma50) score += 5;
-  
-  // Days since gap (0-5)
-  if (data.daysSinceGap <= 3) score += 5;
-  else if (data.daysSinceGap <= 7) score += 3;
-  
-  return Math.min(score, 100);
-}
-
-// Cheap options finder ($1-$10 per contract = $0.01-$0.10)
-function findCheapOptions(price) {
-  if (!price || price > 50 || price < 1) return [];
-  
-  const plays = [];
-  const strikes = [
-    Math.round(price),
-    Math.round(price * 0.95),
-    Math.round(price * 1.05),
-    Math.round(price * 0.90),
-    Math.round(price * 1.10),
-  ].filter(s => s > 0 && s < 100);
-  
-  const unique = [...new Set(strikes)];
-  
-  unique.forEach(strike => {
-    const otmPct = Math.abs(strike - price) / price * 100;
-    if (otmPct > 15) return;
-    
-    const isCall = strike >= price;
-    const intrinsic = Math.abs(price - strike);
-    const timeValue = 0.03 + (otmPct / 100) * 0.05;
-    const optPrice = Math.min(0.10, Math.max(0.01, intrinsic + timeValue));
-    
-    if (optPrice >= 0.01 && optPrice <= 0.10) {
-      plays.push({
-        type: isCall ? 'call' : 'put',
-        strike,
-        price: optPrice.toFixed(2),
-        otm: otmPct.toFixed(0) + '%'
-      });
-    }
-  });
-  
-  return plays.slice(0, 3);
-}
-
-// Main
-async function main() {
-  console.log('\n🎯 GAMMA SCANNER V5 (ULTIMATE)');
-  console.log(`Time: ${new Date().toISOString()}`);
-  console.log(`Scanning ${UNIQUE_STOCKS.length} stocks...\n`);
-  
-  console.log('📊 Filters:');
-  console.log(`   Price: Under $50`);
-  console.log(`   RSI: Under ${FILTERS.rsiMax}`);
-  console.log(`   Gap Down: ${FILTERS.gapDownMax}% to ${FILTERS.gapDownMin}%`);
-  console.log(`   Consolidation: Under ${FILTERS.consolidationMax}%`);
-  console.log(`   Volume Spike: ${FILTERS.volumeSpikeMin}x+\n`);
-  
-  const results = [];
-  
-  for (let i = 0; i < UNIQUE_STOCKS.length; i++) {
-    const symbol = UNIQUE_STOCKS[i];
-    if ((i + 1) % 50 === 0) process.stdout.write(`\n  [${i + 1}/${UNIQUE_STOCKS.length}] `);
-    process.stdout.write('.');
-    
-    const data = await getStockData(symbol);
-    
-    if (data) {
-      // Apply filters
-      if (data.gapDown >= FILTERS.gapDownMin && 
-          data.gapDown <= FILTERS.gapDownMax &&
-          data.consolidation <= FILTERS.consolidationMax &&
-          data.consolidation >= FILTERS.consolidationMin &&
-          data.rsi <= FILTERS.rsiMax &&
-          data.volume >= FILTERS.volumeMin) {
-        
-        data.shortInterest = getShortInterest(symbol);
-        data.score = calculateScore(data);
-        data.cheapOptions = findCheapOptions(data.price);
-        
-        if (data.score >= FILTERS.scoreMin) {
-          results.push(data);
-        }
-      }
-    }
-    
-    await delay(150);
-  }
-  
-  // Sort by score
-  results.sort((a, b) => b.score - a.score);
-  
-  console.log('\n\n' + '='.repeat(70));
-  console.log('🎯 TOP GAMMA SQUEEZE CANDIDATES (UNDER $50)');
-  console.log('='.repeat(70));
-  
-  if (results.length === 0) {
-    console.log('\n❌ No setups found today');
-  } else {
-    results.slice(0, 15).forEach((r, i) => {
-      console.log(`\n#${i + 1} ${r.symbol} | Score: ${r.score}/100 | Price: $${r.price.toFixed(2)}`);
-      console.log(`   Gap: ${r.gapDown.toFixed(1)}% | Filled: ${r.gapFillPct.toFixed(0)}% | Days: ${r.daysSinceGap}`);
-      console.log(`   RSI: ${r.rsi.toFixed(0)} | Consol: ${r.consolidation.toFixed(1)}% | Vol: ${r.volSpike.toFixed(1)}x`);
-      console.log(`   Short: ${r.shortInterest}% | MA20: $${r.ma20.toFixed(2)} | MA50: $${r.ma50.toFixed(2)}`);
-      
-      if (r.cheapOptions.length > 0) {
-        console.log(`   Penny Options ($1-$10):`);
-        r.cheapOptions.forEach(o => {
-          console.log(`      ${o.type.toUpperCase()} $${o.strike} @ $${o.price}`);
-        });
-      }
-    });
-  }
-  
-  console.log('\n' + '='.repeat(70));
-  console.log(`\n✅ Found ${results.length} candidates\n`);
-  
-  return results;
-}
-
-main().catch(console.error);
+require('./gamma.js').main(['scan', 'v5', ...process.argv.slice(2)]).catch(console.error);
@@ -0,0 +1,187 @@
+/**
+ * Request Scheduler
+ * Central pacing for every API request:
+ * - Per-provider requests/minute (queued, never fired in parallel)
+ * - Per-provider daily budgets, persisted across runs (reset on the US/Eastern date)
+ * - 429 retries with exponential backoff
+ * - QuotaExhaustedError once a daily budget is used up, so scans can stop
+ *   gracefully and report partial results
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE_FILE = path.join(__dirname, 'usage.json');
+
+// Free tier limits (see KEYS.md). null = no limit.
+const DEFAULT_LIMITS = {
+  twelvedata: { perMinute: 8, perDay: 800 },
+  alphavantage: { perMinute: 5, perDay: 25 },
+  yahoo: { perMinute: 60, perDay: null },
+};
+
+// "out of credits for the day", "25 requests per day", ...
+const DAILY_LIMIT_PATTERN = /per day|for the day|daily/i;
+
+class QuotaExhaustedError extends Error {
+  constructor(provider, used, limit) {
+    super(`${provider}: daily budget exhausted (${used}/${limit} requests)`);
+    this.name = 'QuotaExhaustedError';
+    this.provider = provider;
+    this.used = used;
+    this.limit = limit;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function easternDate(when = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(when);
+}
+
+class RequestScheduler {
+  constructor(options = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+    this.usageFile = options.usageFile === undefined ? USAGE_FILE : options.usageFile;
+    this.maxRetries = options.maxRetries ?? 3;
+    this.backoffMs = options.backoffMs ?? 2000;
+    this.sleep = options.sleep || sleep;
+
+    this.queues = {};      // provider -> tail of its promise queue
+    this.recent = {};      // provider -> request start times in the last minute
+    this.exhausted = {};   // provider -> true once the daily budget is gone
+    this.usage = this.loadUsage();
+  }
+
+  loadUsage() {
+    const today = easternDate();
+    try {
+      if (this.usageFile && fs.existsSync(this.usageFile)) {
+        const usage = JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+        if (usage.date === today) return usage;
+      }
+    } catch (e) {}
+    return { date: today, counts: {} };
+  }
+
+  saveUsage() {
+    if (!this.usageFile) return;
+    fs.writeFileSync(this.usageFile, JSON.stringify(this.usage, null, 2));
+  }
+
+  used(provider) {
+    // Roll over at midnight Eastern for long-running processes
+    if (this.usage.date !== easternDate()) {
+      this.usage = { date: easternDate(), counts: {} };
+      this.exhausted = {};
+    }
+    return this.usage.counts[provider] || 0;
+  }
+
+  remaining(provider) {
+    const limit = this.limits[provider]?.perDay;
+    return limit == null ? Infinity : Math.max(0, limit - this.used(provider));
+  }
+
+  // Today's usage for every provider with limits or usage
+  summary() {
+    const names = new Set([...Object.keys(this.limits), ...Object.keys(this.usage.counts)]);
+    return [...names].map(name => ({
+      provider: name,
+      used: this.used(name),
+      perDay: this.limits[name]?.perDay ?? null,
+      perMinute: this.limits[name]?.perMinute ?? null,
+      exhausted: !!this.exhausted[name],
+    }));
+  }
+
+  // Queue fn() behind earlier requests to the same provider
+  schedule(provider, fn) {
+    const run = () => this.execute(provider, fn);
+    const result = (this.queues[provider] || Promise.resolve()).then(run, run);
+    this.queues[provider] = result.catch(() => {});
+    return result;
+  }
+
+  async execute(provider, fn) {
+    const limit = this.limits[provider];
+    if (!limit) return fn();
+
+    for (let attempt = 0; ; attempt++) {
+      if (this.exhausted[provider] || this.remaining(provider) <= 0) {
+        this.exhausted[provider] = true;
+        throw new QuotaExhaustedError(provider, this.used(provider), limit.perDay);
+      }
+
+      await this.pace(provider, limit.perMinute);
+      this.usage.counts[provider] = this.used(provider) + 1;
+      this.saveUsage();
+
+      try {
+        return await fn();
+      } catch (e) {
+        if (e.status !== 429) throw e;
+
+        if (DAILY_LIMIT_PATTERN.test(e.message)) {
+          this.exhausted[provider] = true;
+          throw new QuotaExhaustedError(provider, this.used(provider), limit.perDay);
+        }
+        if (attempt >= this.maxRetries) throw e;
+
+        await this.sleep(this.backoffMs * 2 ** attempt);
+      }
+    }
+  }
+
+  // Wait until another request fits in the per-minute window
+  async pace(provider, perMinute) {
+    if (!perMinute) return;
+
+    const window = 60 * 1000;
+    const starts = (this.recent[provider] || []).filter(t => Date.now() - t < window);
+
+    if (starts.length >= perMinute) {
+      await this.sleep(window - (Date.now() - starts[0]) + 50);
+      starts.shift();
+    }
+
+    starts.push(Date.now());
+    this.recent[provider] = starts;
+  }
+}
+
+// Routes every call of a provider through the scheduler
+class ScheduledProvider {
+  constructor(provider, scheduler) {
+    this.name = provider.name;
+    this.provider = provider;
+    this.scheduler = scheduler;
+  }
+
+  getQuote(symbol) {
+    return this.scheduler.schedule(this.name, () => this.provider.getQuote(symbol));
+  }
+
+  getDailyBars(symbol, outputsize) {
+    return this.scheduler.schedule(this.name, () => this.provider.getDailyBars(symbol, outputsize));
+  }
+
+  getIntradayBars(symbol, interval, count) {
+    return this.scheduler.schedule(this.name, () => this.provider.getIntradayBars(symbol, interval, count));
+  }
+
+  // A chain that takes several requests (provider.chainRequests) is paced and counted per request
+  getOptionChain(symbol) {
+    if (this.provider.chainRequests > 1) {
+      return this.provider.getOptionChain(symbol, (fn) => this.scheduler.schedule(this.name, fn));
+    }
+    return this.scheduler.schedule(this.name, () => this.provider.getOptionChain(symbol));
+  }
+}
+
+module.exports = {
+  DEFAULT_LIMITS,
+  QuotaExhaustedError,
+  RequestScheduler,
+  ScheduledProvider,
+};
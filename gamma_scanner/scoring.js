@@ -0,0 +1,163 @@
+/**
+ * Declarative Scoring
+ * A profile's score is a list of rules, each awarding points from the first
+ * matching tier:
+ *
+ *   { name: 'RSI', metric: 'rsi', tiers: [{ lte: 30, points: 20 }, { lte: 40, points: 15 }] }
+ *
+ * Rule fields:
+ * - metric:  field of the analyzed record
+ * - abs:     compare |value| (e.g. gap size)
+ * - default: value to use when the metric is missing
+ * - missing: points when the metric is unknown (null) and has no default (default: else)
+ * - tiers:   [{ <condition>..., points }] - first tier whose conditions all hold wins
+ * - else:    points when no tier matches (default 0)
+ *
+ * Conditions: gt, gte, lt, lte, eq (number, or another metric's name) and
+ * between: [low, high] (inclusive). A condition on another metric that is
+ * unknown (e.g. ma200 without 200 bars) does not match. The total is capped at `max`.
+ *
+ * explainScore breaks a score down per rule: input value, the tier (band)
+ * that matched, points awarded and the most the rule can give.
+ */
+
+const CONDITIONS = {
+  gt: (v, x) => v > x,
+  gte: (v, x) => v >= x,
+  lt: (v, x) => v < x,
+  lte: (v, x) => v <= x,
+  eq: (v, x) => v === x,
+  between: (v, [low, high]) => v >= low && v <= high,
+};
+
+// A string operand is another metric, e.g. { gt: 'ma20' }
+function operand(x, data) {
+  if (typeof x === 'string') return data[x];
+  if (Array.isArray(x)) return x.map(y => operand(y, data));
+  return x;
+}
+
+// A condition against an unknown metric (null operand) never holds
+function matches(tier, value, data) {
+  return Object.keys(CONDITIONS)
+    .filter(op => tier[op] !== undefined)
+    .every(op => {
+      const x = operand(tier[op], data);
+      const known = Array.isArray(x) ? x.every(y => y !== null && y !== undefined) : x !== null && x !== undefined;
+      return known && CONDITIONS[op](value, x);
+    });
+}
+
+const SYMBOLS = { gt: '>', gte: '>=', lt: '<', lte: '<=', eq: '=' };
+
+// { gte: 10 } -> '>= 10', { between: [50, 80] } -> '50..80', { gt: 'ma20' } -> '> ma20'
+function describeTier(tier) {
+  return Object.keys(CONDITIONS)
+    .filter(op => tier[op] !== undefined)
+    .map(op => (op === 'between' ? `${tier[op][0]}..${tier[op][1]}` : `${SYMBOLS[op]} ${tier[op]}`))
+    .join(' & ');
+}
+
+// One rule's points with how they came about:
+// { name, metric, value, band, points, max } (band: matched tier, 'else' or 'missing')
+function explainRule(rule, data) {
+  const part = {
+    name: rule.name || rule.metric,
+    metric: rule.metric,
+    value: null,
+    band: null,
+    points: 0,
+    max: Math.max(rule.else || 0, ...rule.tiers.map(t => t.points)),
+  };
+
+  let value = data[rule.metric];
+  if (value === undefined || value === null || Number.isNaN(value)) value = rule.default;
+  if (value === undefined || value === null) {
+    return { ...part, band: 'missing', points: rule.missing ?? rule.else ?? 0 };
+  }
+  if (rule.abs) value = Math.abs(value);
+
+  const tier = rule.tiers.find(t => matches(t, value, data));
+  return {
+    ...part,
+    value,
+    band: tier ? describeTier(tier) : 'else',
+    points: tier ? tier.points : (rule.else || 0),
+  };
+}
+
+// Per-rule breakdown: [{ name, metric, value, band, points, max }]
+function scoreParts(scoring, data) {
+  return scoring.rules.map(rule => explainRule(rule, data));
+}
+
+// { score, total, max, parts } - total is the uncapped sum, score is capped at max
+function explainScore(scoring, data) {
+  const parts = scoreParts(scoring, data);
+  const total = parts.reduce((sum, p) => sum + p.points, 0);
+  const max = scoring.max ?? 100;
+  return { score: Math.min(total, max), total, max, parts };
+}
+
+function scoreWith(scoring, data) {
+  return explainScore(scoring, data).score;
+}
+
+// Problems with a scoring definition (empty = valid)
+function validateScoring(scoring, where = 'scoring') {
+  const problems = [];
+  if (!scoring || typeof scoring !== 'object') return [`${where}: must be an object`];
+  if (scoring.max !== undefined && typeof scoring.max !== 'number') {
+    problems.push(`${where}.max: must be a number`);
+  }
+  if (!Array.isArray(scoring.rules) || scoring.rules.length === 0) {
+    return [...problems, `${where}.rules: must be a non-empty list`];
+  }
+
+  scoring.rules.forEach((rule, i) => {
+    const at = `${where}.rules[${i}]${rule?.name ? ` (${rule.name})` : ''}`;
+    if (!rule || typeof rule.metric !== 'string') {
+      problems.push(`${at}: needs a metric name`);
+      return;
+    }
+    if (rule.else !== undefined && typeof rule.else !== 'number') problems.push(`${at}.else: must be a number`);
+    for (const key of ['default', 'missing']) {
+      if (rule[key] !== undefined && typeof rule[key] !== 'number') problems.push(`${at}.${key}: must be a number`);
+    }
+    if (!Array.isArray(rule.tiers) || rule.tiers.length === 0) {
+      problems.push(`${at}.tiers: must be a non-empty list`);
+      return;
+    }
+
+    rule.tiers.forEach((tier, j) => {
+      const t = `${at}.tiers[${j}]`;
+      if (typeof tier?.points !== 'number') problems.push(`${t}: needs numeric points`);
+
+      const ops = Object.keys(tier || {}).filter(k => k !== 'points');
+      if (ops.length === 0) problems.push(`${t}: needs a condition (${Object.keys(CONDITIONS).join(', ')})`);
+      for (const op of ops) {
+        const x = tier[op];
+        if (!CONDITIONS[op]) {
+          problems.push(`${t}: unknown condition "${op}"`);
+        } else if (op === 'between') {
+          if (!Array.isArray(x) || x.length !== 2 || x.some(y => typeof y !== 'number')) {
+            problems.push(`${t}.between: must be [low, high]`);
+          }
+        } else if (typeof x !== 'number' && typeof x !== 'string') {
+          problems.push(`${t}.${op}: must be a number or metric name`);
+        }
+      }
+    });
+  });
+
+  return problems;
+}
+
+module.exports = {
+  CONDITIONS,
+  describeTier,
+  scoreParts,
+  explainScore,
+  scoreWith,
+  validateScoring,
+};
@@ -0,0 +1,282 @@
+/**
+ * Short Interest & Float Store
+ * Short interest and float per symbol, with the date each value is as of:
+ * - Exchange short interest files (FINRA / Nasdaq bi-monthly, pipe or comma delimited)
+ * - Float from CSV (symbol + float shares, optional as-of date column)
+ *
+ * Entry: { shortInterest: { pct, shares, previousShares, daysToCover, asOf, source },
+ *          float: { shares, asOf, source } }
+ *
+ * Missing data is null, never 0% / a made-up float, so filters and scoring
+ * can tell "unknown" from "low".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STORE_FILE = path.join(__dirname, 'short_data.json');
+
+// Normalized header -> field. Covers the FINRA file/API (camelCase) and Nasdaq Trader columns.
+const SHORT_COLUMNS = {
+  symbol: ['symbolcode', 'symbol', 'ticker', 'issuesymbolidentifier'],
+  shares: ['currentshortpositionquantity', 'currentshort', 'shortinterest', 'currentshortinterest', 'shortposition'],
+  previousShares: ['previousshortpositionquantity', 'previousshort', 'previousshortinterest'],
+  avgVolume: ['averagedailyvolumequantity', 'averagedailysharevolume', 'avgdailyvolume', 'averagedailyvolume'],
+  daysToCover: ['daystocoverquantity', 'daystocover'],
+  pct: ['shortpercentfloat', 'shortfloat', 'shortinterestpercentfloat', 'pctfloat'],
+  date: ['settlementdate', 'date', 'asof'],
+};
+
+const FLOAT_COLUMNS = {
+  symbol: ['symbol', 'ticker', 'symbolcode'],
+  shares: ['float', 'floatshares', 'sharesfloat', 'freefloat', 'publicfloat'],
+  date: ['asof', 'date', 'asofdate'],
+};
+
+// ============ PARSING ============
+
+const normalize = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// '1,234,567', '304M', '1.2B' -> number (null if empty / not a number)
+function parseNumber(text) {
+  if (text === undefined || text === null) return null;
+  const clean = String(text).trim().replace(/[,%$\s]/g, '');
+  if (clean === '') return null;
+
+  const match = clean.match(/^(-?[\d.]+(?:e\d+)?)([kmb])?$/i);
+  if (!match) return null;
+  const scale = { k: 1e3, m: 1e6, b: 1e9 }[(match[2] || '').toLowerCase()] || 1;
+  const value = parseFloat(match[1]) * scale;
+  return Number.isFinite(value) ? value : null;
+}
+
+// 2026-02-13, 20260213, 02/13/2026 -> 2026-02-13
+function parseDate(text) {
+  if (!text) return null;
+  const s = String(text).trim();
+  let m = s.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  return null;
+}
+
+// Splits a delimited line, honoring double quotes
+function splitLine(line, delimiter) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (const ch of line) {
+    if (ch === '"') quoted = !quoted;
+    else if (ch === delimiter && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+// Rows as { field: raw value } using the column aliases. Detects | , or tab.
+function parseTable(text, columns) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+  if (lines.length === 0) return { headers: [], rows: [], missing: Object.keys(columns) };
+
+  const delimiter = ['|', '\t', ','].find(d => lines[0].includes(d)) || ',';
+  const headers = splitLine(lines[0], delimiter).map(normalize);
+
+  const index = {};
+  for (const [field, aliases] of Object.entries(columns)) {
+    const i = headers.findIndex(h => aliases.includes(h));
+    if (i >= 0) index[field] = i;
+  }
+
+  const rows = lines.slice(1).map(line => {
+    const cells = splitLine(line, delimiter);
+    return Object.fromEntries(Object.entries(index).map(([field, i]) => [field, cells[i]]));
+  });
+
+  return { headers, rows, missing: Object.keys(columns).filter(f => index[f] === undefined) };
+}
+
+// ============ STORE ============
+
+class ShortDataStore {
+  constructor({ file = STORE_FILE } = {}) {
+    this.file = file;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      if (this.file && fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (e) {}
+    return { version: '1.0', symbols: {}, imports: [] };
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+  }
+
+  entry(symbol) {
+    const key = symbol.toUpperCase();
+    return (this.data.symbols[key] = this.data.symbols[key] || { shortInterest: null, float: null });
+  }
+
+  get(symbol) {
+    return this.data.symbols[symbol.toUpperCase()] || { shortInterest: null, float: null };
+  }
+
+  // Short interest as % of float, or null when unknown
+  getShortInterest(symbol) {
+    const { shortInterest, float } = this.get(symbol);
+    if (!shortInterest) return null;
+    if (shortInterest.pct != null) return shortInterest.pct;
+    if (shortInterest.shares != null && float?.shares) {
+      return Math.round((shortInterest.shares / float.shares) * 1000) / 10;
+    }
+    return null;
+  }
+
+  // Has any short interest been ingested?
+  hasShortInterest() {
+    return Object.values(this.data.symbols).some(entry => entry.shortInterest);
+  }
+
+  // Float shares, or null when unknown
+  getFloat(symbol) {
+    return this.get(symbol).float?.shares ?? null;
+  }
+
+  // Newer (or same-date) data replaces older
+  isNewer(existing, asOf) {
+    return !existing || !existing.asOf || !asOf || asOf >= existing.asOf;
+  }
+
+  // FINRA / Nasdaq short interest file. Settlement dates in the file win over asOf.
+  ingestShortInterest(file, { source = null, asOf = null } = {}) {
+    const { headers, rows, missing } = parseTable(fs.readFileSync(file, 'utf8'), SHORT_COLUMNS);
+    if (missing.includes('symbol') || (missing.includes('shares') && missing.includes('pct'))) {
+      throw new Error(`${path.basename(file)}: no symbol / short interest columns found`);
+    }
+    source = source || (headers.includes('symbolcode') ? 'finra' : 'nasdaq');
+
+    const result = { file: path.basename(file), kind: 'shortInterest', source, rows: rows.length, updated: 0, skipped: 0, asOf: null };
+    for (const row of rows) {
+      const symbol = row.symbol?.toUpperCase();
+      const shares = parseNumber(row.shares);
+      const pct = parseNumber(row.pct);
+      const date = parseDate(row.date) || asOf;
+
+      if (!symbol || (shares === null && pct === null)) {
+        result.skipped++;
+        continue;
+      }
+
+      const entry = this.entry(symbol);
+      if (!this.isNewer(entry.shortInterest, date)) {
+        result.skipped++;
+        continue;
+      }
+
+      entry.shortInterest = {
+        pct,
+        shares,
+        previousShares: parseNumber(row.previousShares),
+        avgVolume: parseNumber(row.avgVolume),
+        daysToCover: parseNumber(row.daysToCover),
+        asOf: date,
+        source,
+      };
+      result.updated++;
+      if (date && (!result.asOf || date > result.asOf)) result.asOf = date;
+    }
+
+    this.logImport(result);
+    return result;
+  }
+
+  // CSV of symbol + float shares. asOf from a date column, else the option.
+  ingestFloat(file, { source = 'csv', asOf = null } = {}) {
+    const { rows, missing } = parseTable(fs.readFileSync(file, 'utf8'), FLOAT_COLUMNS);
+    if (missing.includes('symbol') || missing.includes('shares')) {
+      throw new Error(`${path.basename(file)}: needs symbol and float columns`);
+    }
+
+    const result = { file: path.basename(file), kind: 'float', source, rows: rows.length, updated: 0, skipped: 0, asOf: null };
+    for (const row of rows) {
+      const symbol = row.symbol?.toUpperCase();
+      const shares = parseNumber(row.shares);
+      const date = parseDate(row.date) || asOf;
+
+      if (!symbol || !shares || shares <= 0 || !this.isNewer(this.get(symbol).float, date)) {
+        result.skipped++;
+        continue;
+      }
+
+      this.entry(symbol).float = { shares, asOf: date, source };
+      result.updated++;
+      if (date && (!result.asOf || date > result.asOf)) result.asOf = date;
+    }
+
+    this.logImport(result);
+    return result;
+  }
+
+  logImport(result) {
+    this.data.imports.unshift({ ...result, imported: new Date().toISOString() });
+    this.data.imports = this.data.imports.slice(0, 50);
+  }
+
+  // One row per symbol, sorted
+  list() {
+    return Object.keys(this.data.symbols).sort().map(symbol => ({
+      symbol,
+      shortInterest: this.getShortInterest(symbol),
+      float: this.getFloat(symbol),
+      shortAsOf: this.get(symbol).shortInterest?.asOf || null,
+      shortSource: this.get(symbol).shortInterest?.source || null,
+      floatAsOf: this.get(symbol).float?.asOf || null,
+      floatSource: this.get(symbol).float?.source || null,
+    }));
+  }
+}
+
+// ============ SHARED STORE ============
+
+let store = null;
+
+function getStore() {
+  if (!store) store = new ShortDataStore();
+  return store;
+}
+
+function getShortInterest(symbol) {
+  return getStore().getShortInterest(symbol);
+}
+
+function getFloat(symbol) {
+  return getStore().getFloat(symbol);
+}
+
+// As-of dates for a symbol: { shortAsOf, floatAsOf }
+function getAsOf(symbol) {
+  const { shortInterest, float } = getStore().get(symbol);
+  return { shortAsOf: shortInterest?.asOf || null, floatAsOf: float?.asOf || null };
+}
+
+module.exports = {
+  STORE_FILE,
+  ShortDataStore,
+  parseNumber,
+  parseDate,
+  parseTable,
+  getStore,
+  getShortInterest,
+  getFloat,
+  getAsOf,
+};
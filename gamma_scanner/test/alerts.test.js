@@ -0,0 +1,72 @@
+/**
+ * SMTP alerts: credentials never go out over a connection without TLS unless
+ * the channel opts into it (alerts.js)
+ */
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+
+const { smtpSend } = require('../alerts.js');
+
+let server;
+
+afterEach(() => new Promise(resolve => (server ? server.close(resolve) : resolve())));
+
+// Plain SMTP server without STARTTLS; resolves to { port, commands }
+function plainSmtpServer() {
+  const commands = [];
+  server = net.createServer(socket => {
+    let inData = false;
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', chunk => {
+      for (const line of chunk.toString('utf8').split('\r\n').filter(Boolean)) {
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          }
+          continue;
+        }
+        commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-test\r\n250 AUTH LOGIN\r\n');
+        else if (line === 'AUTH LOGIN' || commands[commands.length - 2] === 'AUTH LOGIN') socket.write('334 go on\r\n');
+        else if (line === 'DATA') {
+          inData = true;
+          socket.write('354 go ahead\r\n');
+        } else if (line === 'QUIT') socket.end('221 bye\r\n');
+        else if (commands[commands.length - 3] === 'AUTH LOGIN') socket.write('235 ok\r\n');
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, commands })));
+}
+
+const MESSAGE = { subject: 'GME v4', text: 'GME | Score: 60/100' };
+
+test('AUTH without STARTTLS is refused before the password is sent', async () => {
+  const { port, commands } = await plainSmtpServer();
+  const channel = { host: '127.0.0.1', port, user: 'me', pass: 'secret', from: 'a@example.com', to: 'b@example.com' };
+
+  await assert.rejects(smtpSend(channel, MESSAGE), /no STARTTLS.*insecure: true/);
+  assert.ok(!commands.includes('AUTH LOGIN'));
+  assert.ok(!commands.includes(Buffer.from('secret').toString('base64')));
+});
+
+test('insecure: true allows AUTH over a plain connection', async () => {
+  const { port, commands } = await plainSmtpServer();
+  const channel = { host: '127.0.0.1', port, insecure: true, user: 'me', pass: 'secret', from: 'a@example.com', to: 'b@example.com' };
+
+  await smtpSend(channel, MESSAGE);
+  assert.ok(commands.includes('AUTH LOGIN'));
+  assert.ok(commands.includes('RCPT TO:<b@example.com>'));
+});
+
+test('without credentials a plain relay needs no opt-in', async () => {
+  const { port, commands } = await plainSmtpServer();
+
+  await smtpSend({ host: '127.0.0.1', port, from: 'a@example.com', to: ['b@example.com'] }, MESSAGE);
+  assert.ok(!commands.includes('AUTH LOGIN'));
+  assert.ok(commands.includes('DATA'));
+});
@@ -0,0 +1,140 @@
+/**
+ * Backtest replay: trade exits, one open trade per symbol, completed vs open
+ * trades, and the backtest command's numeric flags (backtest.js, gamma.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { quoteAt, simulateTrade, runBacktest } = require('../backtest.js');
+const { commands } = require('../gamma.js');
+const { ConfigError } = require('../config.js');
+
+// [open, high, low, close] -> daily bars from 2026-03-02 on (weekends ignored)
+function bars(rows) {
+  return rows.map(([open, high, low, close], i) => ({
+    datetime: `2026-03-${String(i + 2).padStart(2, '0')}`,
+    open, high, low, close, volume: 1000 * (i + 1),
+  }));
+}
+
+const signal = (fields = {}) => ({ symbol: 'GME', score: 50, fillLevel: null, ...fields });
+const OPTIONS = { hold: 3, target: 'gapfill', stop: null };
+
+test('quoteAt sees only the bars up to the signal day', () => {
+  const series = bars([[10, 11, 9, 10], [9, 10, 8, 9.5], [9.5, 10, 9, 9.8]]);
+  assert.deepStrictEqual(quoteAt('GME', series, 1), {
+    symbol: 'GME', price: 9.5, prevClose: 10, open: 9, high: 10, low: 8, volume: 2000, avgVolume: 1500,
+  });
+});
+
+test('a gap fill exit enters at the next open and exits at the fill level', () => {
+  const series = bars([
+    [9, 9.2, 8.8, 9],       // signal day
+    [9.1, 9.5, 9, 9.4],     // entry at 9.1
+    [9.4, 10.3, 9.3, 10.1], // trades through 10
+    [10, 10.5, 9.9, 10.2],
+  ]);
+  const trade = simulateTrade(signal({ fillLevel: 10 }), series, 0, OPTIONS);
+
+  assert.strictEqual(trade.entry, 9.1);
+  assert.strictEqual(trade.entryDate, '2026-03-03');
+  assert.strictEqual(trade.exit, 10);
+  assert.strictEqual(trade.exitReason, 'gapfill');
+  assert.strictEqual(trade.exitDate, '2026-03-04');
+  assert.strictEqual(trade.days, 2);
+  assert.strictEqual(trade.gapFilled, true);
+  assert.strictEqual(trade.complete, true);
+  assert.ok(Math.abs(trade.returnPct - (0.9 / 9.1) * 100) < 1e-9);
+  assert.ok(Math.abs(trade.maePct - (-0.1 / 9.1) * 100) < 1e-9);
+});
+
+test('an open above the target exits at the open', () => {
+  const series = bars([[10, 10, 10, 10], [10, 10.5, 9.5, 10], [12, 12.5, 11.5, 12]]);
+  const trade = simulateTrade(signal(), series, 0, { ...OPTIONS, target: 10 });
+
+  assert.strictEqual(trade.exitReason, 'target');
+  assert.strictEqual(trade.exit, 12);
+  assert.strictEqual(trade.returnPct, 20);
+});
+
+test('the stop is assumed to hit first on a day that touches both', () => {
+  const series = bars([[10, 10, 10, 10], [10, 11.5, 9, 10]]);
+  const trade = simulateTrade(signal(), series, 0, { ...OPTIONS, target: 10, stop: 5 });
+
+  assert.strictEqual(trade.exitReason, 'stop');
+  assert.strictEqual(trade.exit, 9.5);
+  assert.strictEqual(trade.returnPct, -5);
+  assert.strictEqual(trade.mfePct, 0);
+});
+
+test('without a target or stop the trade exits at the close after the holding period', () => {
+  const series = bars([[10, 10, 10, 10], [10, 10.4, 9.8, 10.2], [10.2, 10.6, 10, 10.5], [10.5, 10.8, 10.4, 10.6], [11, 11, 11, 11]]);
+  const trade = simulateTrade(signal(), series, 0, OPTIONS);
+
+  assert.strictEqual(trade.exitReason, 'time');
+  assert.strictEqual(trade.exitDate, '2026-03-05');
+  assert.strictEqual(trade.exit, 10.6);
+  assert.strictEqual(trade.days, 3);
+  assert.strictEqual(trade.complete, true);
+
+  // Data ends before the holding period does: still open
+  const open = simulateTrade(signal(), series.slice(0, 3), 0, OPTIONS);
+  assert.strictEqual(open.complete, false);
+  assert.strictEqual(simulateTrade(signal(), series, 4, OPTIONS), null);
+});
+
+// Signals on every down close; score = the day's drop in cents
+const downDays = {
+  name: 'test',
+  bars: 2,
+  filters: { scoreMin: 0 },
+  analyze: ({ symbol, quote, bars: window }) => {
+    assert.ok(window.length <= 2, 'the profile only sees its lookback');
+    return quote.price < quote.prevClose ? { symbol, drop: quote.prevClose - quote.price, fillLevel: quote.prevClose } : null;
+  },
+  steps: [{ name: 'down', test: (s) => s.drop > 0 }],
+  score: (s) => Math.round(s.drop * 100),
+};
+
+test('runBacktest replays day by day with one open trade per symbol', () => {
+  const series = bars([
+    [10, 10, 10, 10],
+    [10, 10, 9, 9],         // signal (drop 1)
+    [9, 9.2, 8.5, 8.6],     // entry 9; signal again while in the trade
+    [8.6, 9, 8.4, 8.5],     // another signal, still in the trade
+    [8.5, 9.6, 8.5, 9.5],   // exit: 3 days held
+    [9.5, 9.6, 9.1, 9.2],   // signal: enters next day, data ends -> open
+    [9.2, 9.3, 9.1, 9.2],
+  ]);
+  const report = runBacktest(downDays, [{ symbol: 'GME', bars: series }], { hold: 3 });
+
+  assert.strictEqual(report.daysScanned, 5);
+  assert.strictEqual(report.signals, 4);
+  assert.deepStrictEqual(report.trades.map(t => [t.signalDate, t.exitDate, t.exitReason, t.complete]), [
+    ['2026-03-03', '2026-03-06', 'time', true],
+    ['2026-03-07', '2026-03-08', 'time', false],
+  ]);
+  assert.strictEqual(report.openTrades, 1);
+  assert.strictEqual(report.summary.trades, 1);
+  assert.ok(Math.abs(report.summary.avgReturnPct - (0.5 / 9) * 100) < 1e-9);
+  assert.deepStrictEqual(report.buckets.map(b => [b.range, b.trades]), [['100-109', 1]]);
+});
+
+test('from / to limit the signal days', () => {
+  const series = bars([[10, 10, 10, 10], [10, 10, 9, 9], [9, 9, 8, 8], [8, 8, 7, 7], [7, 7, 6, 6]]);
+  const report = runBacktest(downDays, [{ symbol: 'GME', bars: series }], { hold: 1, from: '2026-03-04', to: '2026-03-04' });
+
+  assert.strictEqual(report.daysScanned, 1);
+  assert.deepStrictEqual(report.trades.map(t => t.signalDate), ['2026-03-04']);
+});
+
+test('the backtest command rejects bad numeric flags before touching any data', async () => {
+  for (const [flag, value] of [['--hold', '2.5'], ['--hold', 'abc'], ['--target', '-5'], ['--stop', '0'], ['--bars', 'x']]) {
+    await assert.rejects(commands.backtest(['v4', '--symbols', 'GME', '--provider', 'fixture', flag, value]), (e) => {
+      assert.ok(e instanceof ConfigError, `${flag} ${value}: ${e.message}`);
+      assert.ok(e.message.includes(flag));
+      return true;
+    });
+  }
+});
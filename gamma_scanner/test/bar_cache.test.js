@@ -0,0 +1,157 @@
+/**
+ * Bar cache: incremental refresh and merge, per-provider intraday series
+ * (bar_cache.js)
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { BarCache, CachedProvider, weekdaysBetween } = require('../bar_cache.js');
+const { ProviderError, ProviderChain } = require('../providers.js');
+const { easternTime, lastClosedSession } = require('../market_calendar.js');
+
+let dir;
+let cache;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamma-cache-'));
+  cache = new BarCache({ dir });
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const HOUR = 3600000;
+
+// Weekday closes from `count` weekdays back up to today (US/Eastern), oldest first
+function dailySeries(count, close = (i) => 10 + i) {
+  const days = [];
+  const d = new Date(easternTime().date + 'T12:00:00Z');
+  while (days.length < count) {
+    if (d.getUTCDay() !== 0 && d.getUTCDay() !== 6) days.unshift(d.toISOString().slice(0, 10));
+    d.setUTCDate(d.getUTCDate() - 1);
+  }
+  return days.map((datetime, i) => ({ datetime, open: close(i), high: close(i) + 1, low: close(i) - 1, close: close(i), volume: 1000 }));
+}
+
+// Serves the last `count` bars of a series and remembers what was asked
+function stubProvider(name, series) {
+  return {
+    name,
+    calls: [],
+    async getDailyBars(symbol, count) {
+      this.calls.push(count);
+      return series.slice(-count);
+    },
+    async getIntradayBars(symbol, interval, count) {
+      this.calls.push(count);
+      if (!series.length) throw new ProviderError(name, symbol, 'no data', 404);
+      return series.slice(-count);
+    },
+  };
+}
+
+test('weekdaysBetween skips weekends', () => {
+  assert.strictEqual(weekdaysBetween('2026-03-06', '2026-03-09'), 1); // Fri -> Mon
+  assert.strictEqual(weekdaysBetween('2026-03-02', '2026-03-06'), 4);
+  assert.strictEqual(weekdaysBetween('2026-03-06', '2026-03-06'), 0);
+});
+
+test('merge keeps one bar per datetime, newest data wins, oldest first', () => {
+  cache.merge('gme', '1day', [
+    { datetime: '2026-03-03', close: 2 },
+    { datetime: '2026-03-02', close: 1 },
+  ], { provider: 'yahoo', requested: 2 });
+  const entry = cache.merge('GME', '1day', [
+    { datetime: '2026-03-03', close: 2.5 },
+    { datetime: '2026-03-04', close: 3 },
+  ], { provider: 'yahoo', requested: 1 });
+
+  assert.deepStrictEqual(entry.bars.map(b => [b.datetime, b.close]), [['2026-03-02', 1], ['2026-03-03', 2.5], ['2026-03-04', 3]]);
+  assert.strictEqual(entry.requested, 2);
+  assert.deepStrictEqual(cache.read('GME', '1day'), entry);
+});
+
+test('a stale daily series only fetches the missing sessions plus overlap', async () => {
+  const series = dailySeries(40);
+  const cached = series.slice(0, 35);
+  // The last cached bar was partial: the refresh replaces it
+  cached[34] = { ...cached[34], close: 0 };
+  cache.write({ symbol: 'GME', interval: '1day', provider: 'stub', fetched: new Date(Date.now() - 96 * HOUR).toISOString(), requested: 30, bars: cached });
+
+  const live = stubProvider('stub', series);
+  const provider = new CachedProvider(live, { cache });
+  const bars = await provider.getDailyBars('GME', 30);
+
+  const missing = weekdaysBetween(cached[34].datetime, easternTime().date);
+  assert.deepStrictEqual(live.calls, [missing + 2]);
+  assert.deepStrictEqual(provider.stats, { hits: 0, incremental: 1, full: 0 });
+  assert.deepStrictEqual(bars, series.slice(-30));
+  assert.strictEqual(cache.read('GME', '1day').bars.length, 40);
+});
+
+test('a fresh daily series is served from the cache', async () => {
+  const session = lastClosedSession();
+  const bars = dailySeries(40).filter(b => b.datetime <= session);
+  cache.write({ symbol: 'GME', interval: '1day', provider: 'stub', fetched: new Date().toISOString(), requested: 30, bars });
+
+  const live = stubProvider('stub', []);
+  const provider = new CachedProvider(live, { cache });
+
+  assert.deepStrictEqual(await provider.getDailyBars('GME', 30), bars.slice(-30));
+  assert.deepStrictEqual(live.calls, []);
+  assert.strictEqual(provider.stats.hits, 1);
+});
+
+test('no overlap with the cache, more bars than cached, or --refresh means a full fetch', async () => {
+  const series = dailySeries(60);
+  const old = dailySeries(80).slice(0, 30); // ends weeks ago
+  cache.write({ symbol: 'GME', interval: '1day', provider: 'stub', fetched: new Date(0).toISOString(), requested: 30, bars: old });
+
+  const live = stubProvider('stub', series);
+  const provider = new CachedProvider(live, { cache });
+  assert.strictEqual((await provider.getDailyBars('GME', 30)).length, 30);
+  // The refresh (capped at 30) doesn't reach the cached bars, so it's fetched again in full
+  assert.deepStrictEqual(live.calls, [30, 30]);
+  assert.deepStrictEqual(provider.stats, { hits: 0, incremental: 0, full: 1 });
+  // The full fetch replaced the old bars instead of leaving a hole
+  assert.deepStrictEqual(cache.read('GME', '1day').bars, series.slice(-30));
+
+  await provider.getDailyBars('GME', 50);
+  assert.deepStrictEqual(live.calls, [30, 30, 50]);
+
+  const refreshed = new CachedProvider(live, { cache, refresh: true });
+  await refreshed.getDailyBars('GME', 30);
+  assert.deepStrictEqual(live.calls, [30, 30, 50, 30]);
+  assert.strictEqual(refreshed.stats.full, 1);
+});
+
+test('intraday series are cached per provider and never merged across providers', async () => {
+  const yahooBars = [
+    { datetime: '2026-03-02 14:30:00', close: 1 },
+    { datetime: '2026-03-02 14:35:00', close: 2 },
+  ];
+  const twelveBars = [
+    { datetime: '2026-03-02 09:30:00', close: 1 },
+    { datetime: '2026-03-02 09:35:00', close: 2 },
+    { datetime: '2026-03-02 09:40:00', close: 3 },
+  ];
+  // Twelve Data is out of data, the chain falls back to Yahoo
+  const twelve = stubProvider('twelvedata', []);
+  const yahoo = stubProvider('yahoo', yahooBars);
+  cache.write({ symbol: 'GME', interval: '5min', provider: 'twelvedata', fetched: new Date(Date.now() - HOUR).toISOString(), requested: 3, bars: twelveBars });
+
+  const provider = new CachedProvider(new ProviderChain([twelve, yahoo]), { cache });
+  const bars = await provider.getIntradayBars('GME', '5min', 3);
+
+  // The fallback's bars are a different clock: fetched in full and kept apart
+  assert.deepStrictEqual(bars, yahooBars);
+  assert.deepStrictEqual(yahoo.calls, [3, 3]);
+  assert.deepStrictEqual(cache.read('GME', '5min', 'twelvedata').bars, twelveBars);
+  assert.deepStrictEqual(cache.read('GME', '5min', 'yahoo').bars, yahooBars);
+  assert.strictEqual(fs.existsSync(path.join(dir, 'GME_5min_yahoo.json')), true);
+});
@@ -0,0 +1,208 @@
+/**
+ * Config presets, `extends`, --filter overrides, the config hash and
+ * scoring tiers (config.js, scoring.js)
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const config = require('../config.js');
+const { scoreWith, explainScore, validateScoring } = require('../scoring.js');
+const { PROFILES } = require('../profiles.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamma-config-'));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function writeConfig(name, text) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test('a bad preset lists every problem', () => {
+  const file = writeConfig('bad.yaml', [
+    'profile: v4',
+    'filters:',
+    '  trendMin: high',
+    '  bogus: 1',
+    '  gapFillMin: 80',
+    '  gapFillMax: 20',
+    'scoring:',
+    '  rules:',
+    '    - name: Trend',
+    '      metric: trendScore',
+    '      tiers:',
+    '        - { between: [50], points: 10 }',
+    '        - { near: 5, points: 5 }',
+    '        - { gte: 10 }',
+  ].join('\n'));
+
+  assert.throws(() => config.applyConfig(PROFILES.v4, { config: file }), (e) => {
+    assert.ok(e instanceof config.ConfigError);
+    assert.strictEqual(e.source, file);
+    assert.deepStrictEqual(e.problems, [
+      'filters.trendMin: expected a number, got "high"',
+      `filters.bogus: unknown filter for v4 (known: ${Object.keys(PROFILES.v4.filters).join(', ')})`,
+      'filters: gapFillMin (80) is above gapFillMax (20)',
+      'scoring.rules[6] (Trend).tiers[0].between: must be [low, high]',
+      'scoring.rules[6] (Trend).tiers[1]: unknown condition "near"',
+      'scoring.rules[6] (Trend).tiers[2]: needs numeric points',
+    ]);
+    return true;
+  });
+});
+
+test('a preset written for another profile is refused', () => {
+  const file = writeConfig('v5-only.json', JSON.stringify({ profile: 'v5', filters: { maxPrice: 20 } }));
+  assert.throws(() => config.applyConfig(PROFILES.v4, { config: file }), (e) => {
+    assert.deepStrictEqual(e.problems, ['profile: written for v5, not v4']);
+    return true;
+  });
+});
+
+test('extends: the child overrides its parent, which overrides the profile', () => {
+  const file = writeConfig('child.yaml', [
+    'extends: v4-strict',
+    'filters:',
+    '  trendMin: 55',
+    'scoring:',
+    '  rules:',
+    '    - name: Trend',
+    '      metric: trendScore',
+    '      tiers:',
+    '        - { gte: 80, points: 30 }',
+  ].join('\n'));
+
+  const profile = config.applyConfig(PROFILES.v4, { config: file });
+
+  assert.strictEqual(profile.filters.trendMin, 55);          // child
+  assert.strictEqual(profile.filters.consolidationMax, 12);  // v4-strict
+  assert.strictEqual(profile.filters.maxPrice, PROFILES.v4.filters.maxPrice); // built-in
+  assert.strictEqual(profile.config.source, `v4-strict > ${file}`);
+
+  // Same-named rule replaced in place, the rest kept
+  const trend = profile.scoring.rules.filter(r => r.name === 'Trend');
+  assert.strictEqual(trend.length, 1);
+  assert.deepStrictEqual(trend[0].tiers, [{ gte: 80, points: 30 }]);
+  assert.strictEqual(profile.scoring.rules.length, PROFILES.v4.scoring.rules.length);
+
+  // The base profile is untouched
+  assert.strictEqual(PROFILES.v4.filters.trendMin, 25);
+});
+
+test('extends loops are reported', () => {
+  writeConfig('loop-a.json', JSON.stringify({ extends: path.join(dir, 'loop-b.json') }));
+  writeConfig('loop-b.json', JSON.stringify({ extends: path.join(dir, 'loop-a.json') }));
+
+  assert.throws(() => config.applyConfig(PROFILES.v4, { config: path.join(dir, 'loop-a.json') }),
+    /extends loop: loop-a\.json -> loop-b\.json -> loop-a\.json/);
+});
+
+test('--filter overrides are parsed, validated and applied last', () => {
+  const overrides = config.parseFilterOverrides(['maxPrice=20', 'scoreMin=30,volumeMin=2_000_000']);
+  assert.deepStrictEqual(overrides, { maxPrice: 20, scoreMin: 30, volumeMin: 2000000 });
+
+  const profile = config.applyConfig(PROFILES.v4, { config: 'v4-strict', overrides });
+  assert.strictEqual(profile.filters.scoreMin, 30); // over v4-strict's 40
+  assert.strictEqual(profile.filters.maxPrice, 20);
+  assert.deepStrictEqual(profile.config.overrides, overrides);
+
+  assert.throws(() => config.parseFilterOverrides(['maxPrice']), /expected key=value, got "maxPrice"/);
+  assert.throws(() => config.applyConfig(PROFILES.v4, { overrides: { maxPrice: 'cheap' } }), (e) => {
+    assert.strictEqual(e.source, '--filter');
+    assert.deepStrictEqual(e.problems, ['--filter maxPrice: expected a number, got "cheap"']);
+    return true;
+  });
+});
+
+test('every v4 gap step reads its filters, so --filter can widen the range', () => {
+  const gapSteps = (profile) => profile.steps.filter(step => step.name.startsWith('gapDown'));
+  const deep = { gapDown: -20 };
+
+  const builtIn = config.applyConfig(PROFILES.v4);
+  assert.deepStrictEqual(gapSteps(builtIn).map(step => step.name), ['gapDownMin', 'gapDownMax']);
+  assert.deepStrictEqual([builtIn.filters.gapDownMin, builtIn.filters.gapDownMax], [-15, -3]);
+  assert.ok(!gapSteps(builtIn).every(step => step.test(deep, builtIn.filters)));
+
+  const wide = config.applyConfig(PROFILES.v4, { overrides: config.parseFilterOverrides('gapDownMin=-25') });
+  assert.ok(gapSteps(wide).every(step => step.test(deep, wide.filters)));
+});
+
+test('the config hash follows the settings, not their order', () => {
+  const builtIn = config.applyConfig(PROFILES.v4);
+  assert.strictEqual(builtIn.config.source, 'built-in');
+  assert.match(builtIn.config.hash, /^[0-9a-f]{10}$/);
+  assert.strictEqual(config.applyConfig(PROFILES.v4).config.hash, builtIn.config.hash);
+
+  const a = config.configHash('v4', { maxPrice: 20, scoreMin: 30 }, PROFILES.v4.scoring);
+  const b = config.configHash('v4', { scoreMin: 30, maxPrice: 20 }, PROFILES.v4.scoring);
+  assert.strictEqual(a, b);
+
+  const changed = config.applyConfig(PROFILES.v4, { overrides: { maxPrice: 20 } });
+  assert.notStrictEqual(changed.config.hash, builtIn.config.hash);
+});
+
+test('between tiers are inclusive at both ends', () => {
+  const scoring = {
+    rules: [{ name: 'RSI', metric: 'rsi', tiers: [{ between: [30, 50], points: 10 }], else: -5 }],
+  };
+  assert.deepStrictEqual(validateScoring(scoring), []);
+  assert.strictEqual(scoreWith(scoring, { rsi: 30 }), 10);
+  assert.strictEqual(scoreWith(scoring, { rsi: 50 }), 10);
+  assert.strictEqual(scoreWith(scoring, { rsi: 50.1 }), -5);
+  assert.strictEqual(scoreWith(scoring, { rsi: 29.9 }), -5);
+});
+
+test('metric-name tiers compare against another metric, and never match when it is unknown', () => {
+  const scoring = {
+    rules: [{
+      name: 'Trend',
+      metric: 'price',
+      tiers: [{ gt: 'ma200', points: 20 }, { gt: 'ma20', points: 10 }],
+      else: 0,
+    }],
+  };
+  assert.deepStrictEqual(validateScoring(scoring), []);
+  assert.strictEqual(scoreWith(scoring, { price: 12, ma20: 10, ma200: 11 }), 20);
+  assert.strictEqual(scoreWith(scoring, { price: 12, ma20: 10, ma200: 15 }), 10);
+  // ma200 is null with fewer than 200 bars: that tier is skipped
+  assert.strictEqual(scoreWith(scoring, { price: 12, ma20: 10, ma200: null }), 10);
+  assert.strictEqual(scoreWith(scoring, { price: 8, ma20: 10, ma200: null }), 0);
+});
+
+test('missing metrics, abs, default and the max cap score as documented', () => {
+  const scoring = {
+    max: 25,
+    rules: [
+      { name: 'Gap size', metric: 'gap', abs: true, tiers: [{ gte: 5, points: 15 }] },
+      { name: 'Short', metric: 'shortInterest', missing: -3, tiers: [{ gte: 20, points: 15 }] },
+      { name: 'Trend', metric: 'trendScore', default: 50, tiers: [{ gte: 50, points: 5 }] },
+    ],
+  };
+
+  const known = explainScore(scoring, { gap: -6, shortInterest: 25 });
+  assert.deepStrictEqual(known.parts.map(p => p.points), [15, 15, 5]);
+  assert.strictEqual(known.total, 35);
+  assert.strictEqual(known.score, 25);
+
+  const unknown = explainScore(scoring, { gap: -6, shortInterest: null });
+  assert.strictEqual(unknown.parts[1].band, 'missing');
+  assert.strictEqual(unknown.parts[1].points, -3);
+  assert.strictEqual(unknown.score, 17);
+});
+
+test('validateScoring rejects malformed rules', () => {
+  assert.deepStrictEqual(validateScoring(null), ['scoring: must be an object']);
+  assert.deepStrictEqual(validateScoring({ rules: [] }), ['scoring.rules: must be a non-empty list']);
+  assert.deepStrictEqual(validateScoring({ max: 'lots', rules: [{ tiers: [] }] }), [
+    'scoring.max: must be a number',
+    'scoring.rules[0]: needs a metric name',
+  ]);
+  assert.deepStrictEqual(validateScoring({ rules: [{ metric: 'rsi', tiers: [{ points: 5 }], else: 'x' }] }), [
+    'scoring.rules[0].else: must be a number',
+    'scoring.rules[0].tiers[0]: needs a condition (gt, gte, lt, lte, eq, between)',
+  ]);
+});
@@ -0,0 +1,63 @@
+/**
+ * Fetch failure categories, the early stop on auth / quota streaks, and
+ * analyze errors surfacing in --explain (diagnostics.js, engine.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { classifyError, FailureLog } = require('../diagnostics.js');
+const { explainSymbol } = require('../engine.js');
+const { ProviderError } = require('../providers.js');
+const { QuotaExhaustedError } = require('../scheduler.js');
+
+const error = (message, status = null) => new ProviderError('twelvedata', 'GME', message, status);
+
+test('a symbol outside the plan is unsupported, not an auth failure', () => {
+  assert.strictEqual(classifyError(error('**symbol** GME is available starting with the Grow plan. Consider upgrading', 403)), 'unsupported');
+  assert.strictEqual(classifyError(error('This symbol is available starting with Pro')), 'unsupported');
+  assert.strictEqual(classifyError(error('The symbol requires the Venture plan')), 'unsupported');
+});
+
+test('keys and endpoints outside the plan are auth failures', () => {
+  assert.strictEqual(classifyError(error('**apikey** parameter is incorrect', 401)), 'auth');
+  assert.strictEqual(classifyError(error('/time_series endpoint is available starting with the Grow plan')), 'auth');
+  assert.strictEqual(classifyError(error('option chains not available on the free plan')), 'auth');
+});
+
+test('the other categories', () => {
+  assert.strictEqual(classifyError(new QuotaExhaustedError('twelvedata', 800, 800)), 'quota');
+  assert.strictEqual(classifyError(error('You have run out of API credits for the day', 429)), 'quota');
+  assert.strictEqual(classifyError(error('Too Many Requests', 429)), 'rate-limit');
+  assert.strictEqual(classifyError(error('**symbol** not found: ZZZZ', 404)), 'not-found');
+  assert.strictEqual(classifyError(Object.assign(error('connect ETIMEDOUT'), { code: 'ETIMEDOUT' })), 'network');
+  assert.strictEqual(classifyError(error('Bad Gateway', 502)), 'server');
+  assert.strictEqual(classifyError(error('something odd')), 'other');
+});
+
+test('auth failures in a row stop the fetch, unsupported symbols do not', () => {
+  const log = new FailureLog({ abortAfter: 2 });
+  for (const symbol of ['AAA', 'BBB', 'CCC']) {
+    log.record(symbol, 'bars', error('**symbol** is available starting with the Grow plan'));
+    log.finish(symbol, false);
+  }
+  assert.strictEqual(log.abortReason(), null);
+
+  for (const symbol of ['DDD', 'EEE']) {
+    log.record(symbol, 'bars', error('**apikey** parameter is incorrect', 401));
+    log.finish(symbol, false);
+  }
+  assert.match(log.abortReason(), /^2 symbols in a row failed on every provider - twelvedata auth \(401\)/);
+});
+
+test('explain passes an analyze exception through instead of guessing the cause', () => {
+  const profile = {
+    analyze: () => { throw new TypeError("Cannot read properties of undefined (reading 'close')"); },
+    filters: {},
+  };
+  const explained = explainSymbol(profile, { symbol: 'GME' });
+  assert.strictEqual(explained.rejectedAt, "could not be analyzed: Cannot read properties of undefined (reading 'close')");
+
+  const empty = explainSymbol({ ...profile, analyze: () => null }, { symbol: 'GME' });
+  assert.strictEqual(empty.rejectedAt, 'could not be analyzed (no quote or too few bars)');
+});
@@ -0,0 +1,147 @@
+/**
+ * Forward tracking: outcome measurement after a scan, and recording each
+ * finished pick exactly once (forward_tracker.js)
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { measureOutcome, trackPicks } = require('../forward_tracker.js');
+
+let dir;
+let ledgerFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamma-track-'));
+  ledgerFile = path.join(dir, 'tracked_picks.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// After the close on Monday 2026-03-02 (16:00 US/Eastern)
+const SCANNED_AT = '2026-03-02T21:00:00.000Z';
+
+// [high, low, close] per session from 2026-03-02 (the scan day) on, weekdays only
+function bars(rows) {
+  const d = new Date('2026-03-02T12:00:00Z');
+  return rows.map(([high, low, close]) => {
+    while (d.getUTCDay() === 0 || d.getUTCDay() === 6) d.setUTCDate(d.getUTCDate() + 1);
+    const datetime = d.toISOString().slice(0, 10);
+    d.setUTCDate(d.getUTCDate() + 1);
+    return { datetime, open: close, high, low, close, volume: 1000 };
+  });
+}
+
+const flat = (n, price = 10) => Array.from({ length: n }, () => [price + 0.2, price - 0.2, price]);
+
+test('returns at 1/3/5/10 days and MFE / MAE count only sessions after the scan', () => {
+  const series = bars([
+    [50, 1, 10],  // scan day: ignored
+    [10.5, 9.5, 10.2],
+    [11, 10, 10.8],
+    [11.2, 10.6, 11],
+    [11, 9, 9.5],
+    [10, 9.2, 10],
+    ...flat(5, 10.4),
+  ]);
+  const outcome = measureOutcome({ symbol: 'GME', score: 60, price: 10, fillLevel: 12 }, SCANNED_AT, series);
+
+  assert.strictEqual(outcome.days, 10);
+  assert.ok(Math.abs(outcome.returns['1d'] - 2) < 1e-9);
+  assert.ok(Math.abs(outcome.returns['3d'] - 10) < 1e-9);
+  assert.ok(Math.abs(outcome.returns['5d'] - 0) < 1e-9);
+  assert.ok(Math.abs(outcome.returns['10d'] - 4) < 1e-9);
+  assert.ok(Math.abs(outcome.mfePct - 12) < 1e-9);
+  assert.ok(Math.abs(outcome.maePct - -10) < 1e-9);
+  assert.strictEqual(outcome.gapFilled, false);
+  assert.strictEqual(outcome.daysToFill, null);
+  // Not filled after the full window, but up: partial
+  assert.strictEqual(outcome.outcome, 'partial');
+});
+
+test('the gap fill day is counted from the first session after the scan', () => {
+  const series = bars([[10, 10, 10], [10.5, 9.5, 10], [11.5, 10, 11.2], [12.5, 11, 12]]);
+  const outcome = measureOutcome({ symbol: 'GME', price: 10, fillLevel: 11.5 }, SCANNED_AT, series);
+
+  assert.strictEqual(outcome.daysToFill, 2);
+  assert.strictEqual(outcome.gapFilled, true);
+  assert.strictEqual(outcome.outcome, 'success');
+  assert.deepStrictEqual(outcome.returns, { '1d': 0, '3d': 20, '5d': null, '10d': null });
+});
+
+test('a pick already at its fill level at scan time filled on day 0', () => {
+  const outcome = measureOutcome({ symbol: 'GME', price: 10, prevClose: 9.5 }, SCANNED_AT, bars([[10, 10, 10]]));
+
+  assert.strictEqual(outcome.fillLevel, 9.5);
+  assert.strictEqual(outcome.daysToFill, 0);
+  assert.strictEqual(outcome.days, 0);
+  assert.strictEqual(outcome.outcome, 'success');
+});
+
+test('an unfilled pick is pending until the window ends, then judged on the 10-day return', () => {
+  const pick = { symbol: 'GME', price: 10, fillLevel: 15 };
+
+  assert.strictEqual(measureOutcome(pick, SCANNED_AT, bars([[10, 10, 10], ...flat(9, 9)])).outcome, 'pending');
+  assert.strictEqual(measureOutcome(pick, SCANNED_AT, bars([[10, 10, 10], ...flat(10, 9)])).outcome, 'failure');
+  assert.strictEqual(measureOutcome(pick, SCANNED_AT, bars([[10, 10, 10], ...flat(10, 10)])).outcome, 'failure');
+});
+
+const scan = (symbols) => ({
+  file: 'gamma_scan_v4_2026-03-02T21-00-00.json',
+  profile: 'v4',
+  scannedAt: SCANNED_AT,
+  candidates: symbols.map(symbol => ({ symbol, score: 50, price: 10, fillLevel: 11 })),
+});
+
+// Every symbol filled on day 1
+const provider = {
+  name: 'stub',
+  async getDailyBars() {
+    return bars([[10, 10, 10], [11.5, 10, 11], ...flat(12, 11)]);
+  },
+};
+
+test('each finished pick is recorded once and kept in the ledger', async () => {
+  const recorded = [];
+  const tracker = { record: (strategy, outcome, context) => recorded.push([strategy, outcome, context.symbol]) };
+
+  const first = await trackPicks(provider, [scan(['GME', 'AMC'])], { ledgerFile, tracker });
+  assert.strictEqual(first.recorded, 2);
+  assert.deepStrictEqual(recorded, [['gamma_scanner', 'success', 'GME'], ['gamma_scanner', 'success', 'AMC']]);
+
+  const second = await trackPicks(provider, [scan(['GME', 'AMC'])], { ledgerFile, tracker });
+  assert.strictEqual(second.recorded, 0);
+  assert.strictEqual(recorded.length, 2);
+  assert.ok(second.results.every(r => r.recorded));
+});
+
+test('an outcome recorded before a failure is in the ledger and not recorded again', async () => {
+  const recorded = [];
+  let calls = 0;
+  const tracker = {
+    record: (strategy, outcome, context) => {
+      if (++calls === 2) throw new Error('insights.json: locked by another process for 5s');
+      recorded.push(context.symbol);
+    },
+  };
+
+  await assert.rejects(trackPicks(provider, [scan(['GME', 'AMC'])], { ledgerFile, tracker }), /locked/);
+  const ledger = JSON.parse(fs.readFileSync(ledgerFile, 'utf8'));
+  assert.deepStrictEqual(Object.keys(ledger.picks), ['gamma_scan_v4_2026-03-02T21-00-00.json:GME']);
+
+  const retry = await trackPicks(provider, [scan(['GME', 'AMC'])], { ledgerFile, tracker });
+  assert.strictEqual(retry.recorded, 1);
+  assert.deepStrictEqual(recorded, ['GME', 'AMC']);
+});
+
+test('a dry run records nothing and writes no ledger', async () => {
+  const result = await trackPicks(provider, [scan(['GME'])], { ledgerFile, dryRun: true });
+  assert.strictEqual(result.recorded, 0);
+  assert.strictEqual(result.results[0].outcome, 'success');
+  assert.strictEqual(fs.existsSync(ledgerFile), false);
+});
@@ -0,0 +1,108 @@
+/**
+ * Gap detection and fill tracking (gaps.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { detectGaps, unfilledGaps, largestOpenGapDown, summarizeGap } = require('../gaps.js');
+
+// [datetime, open, high, low, close] -> bars
+function bars(rows) {
+  return rows.map(([datetime, open, high, low, close]) => ({ datetime, open, high, low, close, volume: 1000 }));
+}
+
+const BEFORE = ['2026-03-02', 10, 10.5, 9.8, 10];
+
+test('a gap down that closes back to the prior close is filled', () => {
+  const gaps = detectGaps(bars([
+    BEFORE,
+    ['2026-03-03', 9, 9.2, 8.7, 9.1],  // opens 10% down, below the prior low
+    ['2026-03-04', 9.1, 9.6, 9, 9.5],
+    ['2026-03-05', 9.5, 10.1, 9.4, 10],  // trades through 10
+    ['2026-03-06', 10, 10.2, 9.9, 10.1],
+  ]));
+
+  assert.strictEqual(gaps.length, 1);
+  const [gap] = gaps;
+  assert.strictEqual(gap.direction, 'down');
+  assert.strictEqual(gap.date, '2026-03-03');
+  assert.strictEqual(gap.gapPct, -10);
+  assert.deepStrictEqual([gap.lower, gap.upper, gap.fillLevel], [9, 10, 10]);
+  assert.strictEqual(gap.full, true);
+  assert.strictEqual(gap.daysSinceGap, 3);
+
+  assert.strictEqual(gap.filled, true);
+  assert.strictEqual(gap.filledPct, 100);
+  assert.strictEqual(gap.filledDate, '2026-03-05');
+  assert.strictEqual(gap.daysToFill, 2);
+});
+
+test('a partial fill reports the deepest move back into the zone', () => {
+  const data = bars([
+    BEFORE,
+    ['2026-03-03', 9, 9.2, 8.7, 9.1],
+    ['2026-03-04', 9.1, 9.8, 9, 9.5],   // up to 80% of the zone
+    ['2026-03-05', 9.5, 9.6, 9.2, 9.3],  // falls back - the best so far stays
+  ]);
+  const [gap] = detectGaps(data);
+
+  assert.strictEqual(gap.filled, false);
+  assert.ok(Math.abs(gap.filledPct - 80) < 1e-9, `filledPct ${gap.filledPct}`);
+  assert.strictEqual(gap.filledDate, null);
+  assert.strictEqual(gap.daysToFill, null);
+
+  // Still open, so it is the gap a gap-fill setup trades
+  assert.strictEqual(largestOpenGapDown(data).date, '2026-03-03');
+  assert.deepStrictEqual(Object.keys(summarizeGap(gap)), ['direction', 'date', 'gapPct', 'lower', 'upper', 'filledPct', 'full']);
+});
+
+test('an unfilled gap stays at 0% and open', () => {
+  const data = bars([
+    BEFORE,
+    ['2026-03-03', 9, 9, 8.5, 8.6],      // never trades above the open
+    ['2026-03-04', 8.6, 8.8, 8.4, 8.5],
+  ]);
+  const [gap] = detectGaps(data);
+
+  assert.strictEqual(gap.filledPct, 0);
+  assert.strictEqual(gap.filled, false);
+  assert.strictEqual(unfilledGaps(data).length, 1);
+});
+
+test('filled gaps drop out of the open gaps, and the deepest open gap down wins', () => {
+  const data = bars([
+    BEFORE,
+    ['2026-03-03', 9.5, 10.2, 9.4, 10],   // -5%, filled the same day
+    ['2026-03-04', 9.6, 9.7, 9.5, 9.6],   // -4%, open
+    ['2026-03-05', 8.8, 8.9, 8.6, 8.7],   // -8.3%, open
+  ]);
+  const gaps = detectGaps(data);
+
+  assert.deepStrictEqual(gaps.map(g => [g.date, g.filled]), [
+    ['2026-03-03', true],
+    ['2026-03-04', false],
+    ['2026-03-05', false],
+  ]);
+  assert.strictEqual(gaps[0].daysToFill, 0);
+  assert.deepStrictEqual(unfilledGaps(data).map(g => g.date), ['2026-03-04', '2026-03-05']);
+  assert.strictEqual(largestOpenGapDown(data).date, '2026-03-05');
+});
+
+test('gap ups fill down to the prior close; small opening moves are ignored', () => {
+  const gaps = detectGaps(bars([
+    BEFORE,
+    ['2026-03-03', 10.05, 10.3, 9.9, 10.2],  // +0.5%: noise
+    ['2026-03-04', 11.22, 11.5, 11, 11.3],  // +10% over 10.2
+    ['2026-03-05', 11.3, 11.4, 10.1, 10.3], // back below 10.2
+  ]));
+
+  assert.strictEqual(gaps.length, 1);
+  const [gap] = gaps;
+  assert.strictEqual(gap.direction, 'up');
+  assert.strictEqual(gap.fillLevel, 10.2);
+  assert.strictEqual(gap.full, true);
+  assert.strictEqual(gap.filled, true);
+  assert.strictEqual(gap.filledDate, '2026-03-05');
+  assert.strictEqual(largestOpenGapDown(bars([BEFORE, ['2026-03-03', 11, 11.2, 10.9, 11]])), null);
+});
@@ -0,0 +1,95 @@
+/**
+ * Dealer gamma exposure: sign convention, walls, the gamma flip, and why a
+ * chain has no profile (gex.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { computeGex, gexUnavailable, netGexAt, gexMetrics, formatGex } = require('../gex.js');
+const { makeChain } = require('../options.js');
+const { price } = require('../greeks.js');
+
+const TODAY = '2026-03-02';
+const EXPIRY = '2026-03-20';
+const OPTIONS = { today: TODAY };
+
+const contract = (type, strike, openInterest, fields = {}) => ({ type, expiry: EXPIRY, strike, openInterest, iv: 0.8, bid: 0.1, ask: 0.2, ...fields });
+
+test('dealers are long call gamma and short put gamma', () => {
+  const calls = computeGex(makeChain('GME', 10, [contract('call', 10, 1000)]), 10, OPTIONS);
+  const puts = computeGex(makeChain('GME', 10, [contract('put', 10, 1000)]), 10, OPTIONS);
+
+  assert.ok(calls.netGex > 0);
+  assert.strictEqual(calls.putGex, 0);
+  assert.ok(puts.netGex < 0);
+  assert.strictEqual(puts.callGex, 0);
+  // Same strike, expiry and IV: the same gamma with opposite signs
+  assert.ok(Math.abs(calls.netGex + puts.netGex) < 1e-6);
+});
+
+test('walls are the strikes with the largest call and put GEX', () => {
+  const gex = computeGex(makeChain('GME', 10, [
+    contract('call', 11, 500),
+    contract('call', 12, 5000),
+    contract('put', 9, 4000),
+    contract('put', 8, 100),
+  ]), 10, OPTIONS);
+
+  assert.strictEqual(gex.callWall, 12);
+  assert.strictEqual(gex.putWall, 9);
+  assert.deepStrictEqual(gex.byStrike.map(r => r.strike), [8, 9, 11, 12]);
+  assert.strictEqual(gex.byStrike[3].callOI, 5000);
+  assert.ok(Math.abs(gex.netGex - (gex.callGex + gex.putGex)) < 1e-6);
+});
+
+test('the gamma flip sits between put-heavy strikes below and call-heavy strikes above', () => {
+  const chain = makeChain('GME', 10, [contract('put', 9, 1000), contract('call', 11, 1000)]);
+  const gex = computeGex(chain, 10, OPTIONS);
+
+  assert.ok(gex.gammaFlip > 9 && gex.gammaFlip < 11, `flip at ${gex.gammaFlip}`);
+  const contracts = [
+    { type: 'put', strike: 9, openInterest: 1000, T: 18 / 365, iv: 0.8 },
+    { type: 'call', strike: 11, openInterest: 1000, T: 18 / 365, iv: 0.8 },
+  ];
+  assert.ok(netGexAt(contracts, gex.gammaFlip - 0.2) < 0);
+  assert.ok(netGexAt(contracts, gex.gammaFlip + 0.2) > 0);
+
+  const metrics = gexMetrics(gex, 10);
+  assert.ok(Math.abs(metrics.flipDistancePct - (gex.gammaFlip - 10) * 10) < 1e-9);
+  assert.strictEqual(metrics.callWallDistancePct, 10);
+});
+
+test('only calls or only puts have no flip', () => {
+  assert.strictEqual(computeGex(makeChain('GME', 10, [contract('call', 11, 1000)]), 10, OPTIONS).gammaFlip, null);
+});
+
+test('a missing IV is implied from the mid price', () => {
+  const mid = price('call', 10, 11, 18 / 365, 0.045, 0.8);
+  const quoted = computeGex(makeChain('GME', 10, [contract('call', 11, 1000)]), 10, OPTIONS);
+  const implied = computeGex(makeChain('GME', 10, [contract('call', 11, 1000, { iv: null, bid: mid, ask: mid })]), 10, OPTIONS);
+
+  assert.ok(Math.abs(implied.netGex - quoted.netGex) / quoted.netGex < 1e-3);
+});
+
+test('gexUnavailable says why there is no profile', () => {
+  const chain = makeChain('GME', 10, [contract('call', 11, 1000)]);
+  assert.strictEqual(gexUnavailable(chain, 10, OPTIONS), null);
+  assert.strictEqual(gexUnavailable(chain, null, OPTIONS), 'no spot price');
+  assert.strictEqual(computeGex(chain, null, OPTIONS), null);
+
+  const noOpenInterest = makeChain('GME', 10, [contract('call', 11, 0)]);
+  assert.strictEqual(gexUnavailable(noOpenInterest, 10, OPTIONS), 'no open interest in the chain');
+  assert.strictEqual(computeGex(noOpenInterest, 10, OPTIONS), null);
+
+  // Expired contracts carry no gamma
+  assert.strictEqual(gexUnavailable(chain, 10, { today: '2026-03-21' }), 'no open interest in the chain');
+  assert.strictEqual(gexMetrics(null, 10).netGex, null);
+});
+
+test('formatGex abbreviates dollars', () => {
+  assert.strictEqual(formatGex(-1234567), '-$1.2M');
+  assert.strictEqual(formatGex(850000), '$850K');
+  assert.strictEqual(formatGex(2.5e9), '$2.5B');
+  assert.strictEqual(formatGex(42), '$42');
+});
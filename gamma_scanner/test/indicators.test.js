@@ -0,0 +1,129 @@
+/**
+ * Technical indicators (indicators.js) against published reference series
+ * and hand-worked examples, including the not-enough-data cases
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { sma, ema, emaSeries, rsi, macd, trueRange, atr, bollinger, vwap } = require('../indicators.js');
+
+function near(actual, expected, tolerance, label = '') {
+  assert.ok(actual !== null && Math.abs(actual - expected) <= tolerance,
+    `${label} expected ${expected} ± ${tolerance}, got ${actual}`);
+}
+
+// StockCharts ChartSchool RSI example (14 periods)
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89,
+  46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64, 46.21, 46.25,
+  45.71, 46.45, 45.78, 45.35, 44.03, 44.18, 44.22, 44.57, 43.42, 42.66, 43.13,
+];
+const RSI_PUBLISHED = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+  54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77,
+];
+
+// StockCharts ChartSchool EMA example (10 periods), published from the 10th close on
+const EMA_CLOSES = [
+  22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+  22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+  23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17,
+];
+const EMA_PUBLISHED = [
+  22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+  23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92,
+];
+
+test('Wilder RSI matches the published series', () => {
+  // First value exactly: 14 changes with gains 3.34 and losses 1.40 in total
+  near(rsi(RSI_CLOSES.slice(0, 15)), 100 - 100 / (1 + 3.34 / 1.40), 1e-9, 'first RSI');
+
+  // The reference rounds its average gain / loss to 2 decimals, hence the tolerance
+  RSI_PUBLISHED.forEach((expected, i) => {
+    near(rsi(RSI_CLOSES.slice(0, 15 + i)), expected, 0.1, `RSI on close ${15 + i}:`);
+  });
+});
+
+test('RSI needs period + 1 closes and handles flat / one-way series', () => {
+  assert.strictEqual(rsi(RSI_CLOSES.slice(0, 14)), null);
+  assert.strictEqual(rsi([]), null);
+  assert.strictEqual(rsi(new Array(15).fill(10)), 50);
+  assert.strictEqual(rsi(Array.from({ length: 15 }, (_, i) => 10 + i)), 100);
+  assert.strictEqual(rsi(Array.from({ length: 15 }, (_, i) => 30 - i)), 0);
+  assert.notStrictEqual(rsi(RSI_CLOSES.slice(0, 6), 5), null);
+});
+
+test('EMA matches the published series (seeded with the SMA)', () => {
+  const series = emaSeries(EMA_CLOSES, 10);
+  assert.deepStrictEqual(series.slice(0, 9), new Array(9).fill(null));
+  EMA_PUBLISHED.forEach((expected, i) => near(series[9 + i], expected, 0.01, `EMA on close ${10 + i}:`));
+  assert.strictEqual(ema(EMA_CLOSES, 10), series.at(-1));
+  assert.strictEqual(ema(EMA_CLOSES.slice(0, 9), 10), null);
+});
+
+test('SMA averages the last period values; ma200 needs 200 bars', () => {
+  assert.strictEqual(sma([1, 2, 3, 4, 5], 3), 4);
+  assert.strictEqual(sma([1, 2], 3), null);
+  assert.strictEqual(sma([1, 2, 3], 0), null);
+
+  const closes = Array.from({ length: 200 }, (_, i) => i + 1);
+  assert.strictEqual(sma(closes.slice(1), 200), null);
+  assert.strictEqual(sma(closes, 200), 100.5);
+});
+
+test('ATR uses true ranges (prior close included) with Wilder smoothing', () => {
+  const bars = [
+    { high: 10, low: 9, close: 9.5 },
+    { high: 10.5, low: 9.8, close: 10.2 },  // TR 1.0 (high - prior close)
+    { high: 10.4, low: 9.6, close: 9.7 },   // TR 0.8 (high - low)
+    { high: 11, low: 10.5, close: 10.8 },   // TR 1.3 (gap over the prior close)
+  ];
+  near(trueRange(bars, 0), 1, 1e-9);
+  near(trueRange(bars, 1), 1.0, 1e-9);
+  near(trueRange(bars, 2), 0.8, 1e-9);
+  near(trueRange(bars, 3), 1.3, 1e-9);
+
+  // Seed (1.0 + 0.8) / 2 = 0.9, then (0.9 * 1 + 1.3) / 2 = 1.1
+  near(atr(bars.slice(0, 3), 2), 0.9, 1e-9);
+  near(atr(bars, 2), 1.1, 1e-9);
+  assert.strictEqual(atr(bars.slice(0, 2), 2), null);
+  assert.strictEqual(atr(bars, 14), null);
+});
+
+test('Bollinger bands use the population standard deviation; width is % of the middle', () => {
+  // Mean 5, standard deviation 2
+  const band = bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8);
+  assert.deepStrictEqual(band, { middle: 5, upper: 9, lower: 1, width: 160 });
+
+  const flat = bollinger(new Array(20).fill(10));
+  assert.strictEqual(flat.width, 0);
+  assert.strictEqual(bollinger(new Array(19).fill(10)), null);
+});
+
+test('MACD of a steady uptrend is the EMA lag difference, signal equal, histogram 0', () => {
+  // On a straight line an SMA-seeded EMA trails by (period - 1) / 2 exactly,
+  // so MACD(12, 26) = (25 - 11) / 2 = 7
+  const closes = Array.from({ length: 60 }, (_, i) => 100 + i);
+  const result = macd(closes);
+  near(result.macd, 7, 1e-9, 'macd');
+  near(result.signal, 7, 1e-9, 'signal');
+  near(result.histogram, 0, 1e-9, 'histogram');
+
+  const falling = macd(closes.slice().reverse());
+  near(falling.macd, -7, 1e-9, 'falling macd');
+
+  // Needs slow + signal - 1 = 34 closes
+  assert.strictEqual(macd(closes.slice(0, 33)), null);
+  assert.notStrictEqual(macd(closes.slice(0, 34)), null);
+});
+
+test('VWAP weighs the typical price by volume', () => {
+  const bars = [
+    { high: 12, low: 8, close: 10, volume: 100 },   // typical 10
+    { high: 13, low: 11, close: 12, volume: 300 },  // typical 12
+  ];
+  near(vwap(bars), 11.5, 1e-9);
+  assert.strictEqual(vwap([]), null);
+  assert.strictEqual(vwap([{ high: 1, low: 1, close: 1, volume: 0 }]), null);
+});
@@ -0,0 +1,65 @@
+/**
+ * Option prices and the cheap near-the-money contract finder (options.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { makeChain, midPrice, findCheapOptions } = require('../options.js');
+
+const contract = (fields) => ({ type: 'call', expiry: '2026-03-20', strike: 12, bid: null, ask: null, last: null, ...fields });
+
+test('midPrice uses the mid when both sides quote', () => {
+  assert.strictEqual(midPrice(contract({ bid: 0.04, ask: 0.06, last: 0.2 })), 0.05);
+});
+
+test('midPrice uses the quoted side when only one side quotes, never a stale last', () => {
+  assert.strictEqual(midPrice(contract({ bid: 0.05, ask: 0, last: 0.4 })), 0.05);
+  assert.strictEqual(midPrice(contract({ bid: 0.05, ask: null, last: 0.4 })), 0.05);
+  assert.strictEqual(midPrice(contract({ bid: 0, ask: 0.03, last: 0.4 })), 0.03);
+});
+
+test('midPrice falls back to the last trade only without any quote', () => {
+  assert.strictEqual(midPrice(contract({ bid: 0, ask: 0, last: 0.07 })), 0.07);
+  assert.strictEqual(midPrice(contract({})), null);
+});
+
+test('makeChain keeps usable contracts, sorted by expiry then strike', () => {
+  const chain = makeChain('gme', '10', [
+    { type: 'C', expiry: '2026-03-27T00:00:00Z', strike: 11, bid: '0.1', ask: '0.2' },
+    { type: 'put', expiry: '2026-03-20', strike: 9, bid: 0.05, ask: 0.07, openInterest: null },
+    { type: 'call', expiry: '2026-03-20', strike: 0, bid: 1, ask: 1 },
+    { type: 'call', expiry: 'soon', strike: 12, bid: 1, ask: 1 },
+  ], '2026-03-02');
+
+  assert.strictEqual(chain.symbol, 'GME');
+  assert.strictEqual(chain.underlyingPrice, 10);
+  assert.deepStrictEqual(chain.contracts.map(c => [c.type, c.expiry, c.strike, c.bid]), [
+    ['put', '2026-03-20', 9, 0.05],
+    ['call', '2026-03-27', 11, 0.1],
+  ]);
+  assert.strictEqual(chain.contracts[0].openInterest, 0);
+});
+
+test('findCheapOptions keeps OTM contracts priced inside the band, closest to the money first', () => {
+  const chain = makeChain('GME', 10, [
+    { type: 'call', expiry: '2026-03-20', strike: 11, bid: 0.04, ask: 0.06, openInterest: 100 },
+    { type: 'call', expiry: '2026-03-20', strike: 10.5, bid: 0.5, ask: 0.6 },    // too expensive
+    { type: 'call', expiry: '2026-03-20', strike: 9, bid: 0.02, ask: 0.04 },     // in the money
+    { type: 'put', expiry: '2026-03-20', strike: 9.5, bid: 0.03, ask: 0 },        // bid only: 0.03
+    { type: 'call', expiry: '2026-03-20', strike: 13, bid: 0.01, ask: 0.02 },    // 30% OTM
+    { type: 'call', expiry: '2026-02-27', strike: 10.5, bid: 0.02, ask: 0.03 },  // expired
+  ]);
+  const found = findCheapOptions(chain, { maxPrice: 50, optionMinPrice: 0.01, optionMaxPrice: 0.10 }, { today: '2026-03-02', limit: 5 });
+
+  assert.deepStrictEqual(found.map(o => [o.type, o.strike, o.mid]), [['put', 9.5, 0.03], ['call', 11, 0.05]]);
+  assert.strictEqual(found[0].dte, 18);
+  assert.strictEqual(found[0].spread, -0.03);
+  assert.ok(Math.abs(found[1].spreadPct - 40) < 1e-9);
+});
+
+test('findCheapOptions finds nothing above the profile max price or without a chain', () => {
+  const chain = makeChain('GME', 60, [{ type: 'call', expiry: '2026-03-20', strike: 61, bid: 0.05, ask: 0.06 }]);
+  assert.deepStrictEqual(findCheapOptions(chain, { maxPrice: 50 }, { today: '2026-03-02' }), []);
+  assert.deepStrictEqual(findCheapOptions(null, { maxPrice: 50 }), []);
+});
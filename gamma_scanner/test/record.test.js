@@ -0,0 +1,67 @@
+/**
+ * --record then --provider fixture replay (gamma.js buildProvider, providers.js)
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildProvider } = require('../gamma.js');
+const { PROVIDERS, FixtureProvider } = require('../providers.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamma-record-'));
+after(() => {
+  delete PROVIDERS.stub;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Weekday bars ending on the last weekday before today, oldest first
+function dailyBars(count) {
+  const bars = [];
+  const d = new Date();
+  while (bars.length < count) {
+    d.setUTCDate(d.getUTCDate() - 1);
+    if (d.getUTCDay() === 0 || d.getUTCDay() === 6) continue;
+    const close = 10 + bars.length * 0.1;
+    bars.unshift({ datetime: d.toISOString().slice(0, 10), open: close, high: close + 0.5, low: close - 0.5, close, volume: 1000 });
+  }
+  return bars;
+}
+
+// A live provider without network: every call returns exactly what was asked for
+const requests = [];
+PROVIDERS.stub = () => ({
+  name: 'stub',
+  async getDailyBars(symbol, outputsize) {
+    requests.push(outputsize);
+    return dailyBars(outputsize);
+  },
+});
+
+test('recording fetches the full series every run, and the replay gets all of it', async () => {
+  const flags = { provider: 'stub', record: dir };
+
+  for (let run = 0; run < 2; run++) {
+    const { provider } = buildProvider(flags, []);
+    assert.strictEqual(provider.stats, undefined, 'no bar cache under --record');
+    assert.strictEqual((await provider.getDailyBars('GME', 60)).length, 60);
+  }
+  assert.deepStrictEqual(requests, [60, 60]);
+
+  const fixture = JSON.parse(fs.readFileSync(path.join(dir, 'GME.json'), 'utf8'));
+  assert.strictEqual(fixture.bars['1day'].length, 60);
+
+  const { provider: replay } = buildProvider({ provider: 'fixture', fixtures: dir }, []);
+  const bars = await replay.getDailyBars('GME', 60);
+  assert.deepStrictEqual(bars, fixture.bars['1day']);
+  assert.strictEqual(replay.name, 'fixture');
+});
+
+test('a fixture is replayed with the last bars requested', async () => {
+  const replay = new FixtureProvider({ dir });
+  const bars = await replay.getDailyBars('GME', 20);
+  assert.strictEqual(bars.length, 20);
+  assert.strictEqual(bars[19].close, 10);
+});
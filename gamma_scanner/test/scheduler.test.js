@@ -0,0 +1,133 @@
+/**
+ * Request scheduler: daily budgets, the per-minute window, 429 retries and
+ * per-request counting of multi-request option chains (scheduler.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { RequestScheduler, ScheduledProvider, QuotaExhaustedError } = require('../scheduler.js');
+const { YahooProvider } = require('../providers.js');
+
+// No usage file, no real waiting: sleeps are recorded instead
+function scheduler(limits, options = {}) {
+  const sleeps = [];
+  const s = new RequestScheduler({
+    limits,
+    usageFile: null,
+    sleep: async (ms) => { sleeps.push(ms); },
+    ...options,
+  });
+  return { s, sleeps };
+}
+
+function rateLimited(message = 'Too Many Requests') {
+  return Object.assign(new Error(message), { status: 429 });
+}
+
+test('the daily budget counts every request and then throws QuotaExhaustedError', async () => {
+  const { s } = scheduler({ twelvedata: { perMinute: null, perDay: 2 } });
+
+  assert.strictEqual(await s.schedule('twelvedata', async () => 'a'), 'a');
+  assert.strictEqual(await s.schedule('twelvedata', async () => 'b'), 'b');
+  assert.strictEqual(s.remaining('twelvedata'), 0);
+
+  let called = false;
+  await assert.rejects(s.schedule('twelvedata', async () => { called = true; }), (e) => {
+    assert.ok(e instanceof QuotaExhaustedError);
+    assert.strictEqual(e.message, 'twelvedata: daily budget exhausted (2/2 requests)');
+    return true;
+  });
+  assert.strictEqual(called, false);
+  assert.deepStrictEqual(s.summary().find(u => u.provider === 'twelvedata'),
+    { provider: 'twelvedata', used: 2, perDay: 2, perMinute: null, exhausted: true });
+});
+
+test('providers without limits are neither paced nor counted', async () => {
+  const { s, sleeps } = scheduler({});
+  for (let i = 0; i < 5; i++) await s.schedule('fixture', async () => i);
+  assert.strictEqual(s.used('fixture'), 0);
+  assert.deepStrictEqual(sleeps, []);
+});
+
+test('a full per-minute window waits for its oldest request to expire', async () => {
+  const { s, sleeps } = scheduler({ alphavantage: { perMinute: 2, perDay: null } });
+
+  await s.schedule('alphavantage', async () => 1);
+  await s.schedule('alphavantage', async () => 2);
+  assert.deepStrictEqual(sleeps, []);
+
+  await s.schedule('alphavantage', async () => 3);
+  assert.strictEqual(sleeps.length, 1);
+  assert.ok(sleeps[0] > 59000 && sleeps[0] <= 60050, `waited ${sleeps[0]}ms`);
+  assert.strictEqual(s.used('alphavantage'), 3);
+});
+
+test('requests to one provider run one at a time, in order', async () => {
+  const { s } = scheduler({ yahoo: { perMinute: null, perDay: null } });
+  const events = [];
+  const slow = (id, ms) => () => new Promise(resolve => {
+    events.push(`start ${id}`);
+    setTimeout(() => { events.push(`end ${id}`); resolve(id); }, ms);
+  });
+
+  const results = await Promise.all([s.schedule('yahoo', slow(1, 20)), s.schedule('yahoo', slow(2, 1))]);
+  assert.deepStrictEqual(results, [1, 2]);
+  assert.deepStrictEqual(events, ['start 1', 'end 1', 'start 2', 'end 2']);
+});
+
+test('a 429 is retried with exponential backoff, each attempt counted', async () => {
+  const { s, sleeps } = scheduler({ twelvedata: { perMinute: null, perDay: 10 } }, { backoffMs: 100 });
+  let calls = 0;
+
+  const result = await s.schedule('twelvedata', async () => {
+    if (++calls < 3) throw rateLimited();
+    return 'ok';
+  });
+
+  assert.strictEqual(result, 'ok');
+  assert.deepStrictEqual(sleeps, [100, 200]);
+  assert.strictEqual(s.used('twelvedata'), 3);
+});
+
+test('429s past maxRetries are thrown, other errors are not retried', async () => {
+  const { s, sleeps } = scheduler({ twelvedata: { perMinute: null, perDay: 10 } }, { backoffMs: 100, maxRetries: 2 });
+
+  await assert.rejects(s.schedule('twelvedata', async () => { throw rateLimited(); }), { status: 429 });
+  assert.deepStrictEqual(sleeps, [100, 200]);
+
+  await assert.rejects(s.schedule('twelvedata', async () => { throw Object.assign(new Error('gone'), { status: 404 }); }), /gone/);
+  assert.strictEqual(s.used('twelvedata'), 4);
+});
+
+test('a 429 saying the daily limit is reached exhausts the budget at once', async () => {
+  const { s, sleeps } = scheduler({ alphavantage: { perMinute: null, perDay: 25 } });
+
+  await assert.rejects(
+    s.schedule('alphavantage', async () => { throw rateLimited('You have reached 25 requests per day'); }),
+    QuotaExhaustedError,
+  );
+  await assert.rejects(s.schedule('alphavantage', async () => 'never'), QuotaExhaustedError);
+  assert.deepStrictEqual(sleeps, []);
+  assert.strictEqual(s.used('alphavantage'), 1);
+});
+
+test('every request of a multi-expiry Yahoo chain is scheduled and counted', async () => {
+  const { s } = scheduler({ yahoo: { perMinute: 60, perDay: 100 } });
+  const yahoo = new YahooProvider();
+  const requested = [];
+  yahoo.options = async (symbol, date = null) => {
+    requested.push([date, s.used('yahoo')]);
+    return {
+      expirationDates: [1773964800, 1774569600, 1775174400],
+      options: [{ calls: [{ contractSymbol: `GME${date}C`, expiration: date || 1773964800, strike: 20, bid: 1, ask: 1.2 }], puts: [] }],
+    };
+  };
+
+  const chain = await new ScheduledProvider(yahoo, s).getOptionChain('GME');
+
+  // Each request ran inside its own scheduled slot
+  assert.deepStrictEqual(requested, [[null, 1], [1774569600, 2]]);
+  assert.strictEqual(s.used('yahoo'), 2);
+  assert.strictEqual(chain.contracts.length, 2);
+});
@@ -0,0 +1,21 @@
+/**
+ * Shipped universes: no known delisting left in a list (universes.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { SHIPPED, getUniverse, loadKnownDelisted } = require('../universes.js');
+
+test('the shipped lists hold no delisted or renamed symbol', () => {
+  const known = loadKnownDelisted();
+  for (const name of SHIPPED) {
+    const stale = getUniverse(name).filter(symbol => known.has(symbol));
+    assert.deepStrictEqual(stale, [], `${name}: ${stale.map(s => `${s} -> ${known.get(s).successor || known.get(s).status}`).join(', ')}`);
+  }
+});
+
+test('renamed tickers are listed under their new symbol', () => {
+  const broad = getUniverse('broad');
+  for (const symbol of ['XYZ', 'ELV', 'DOC', 'LOGC']) assert.ok(broad.includes(symbol), symbol);
+});
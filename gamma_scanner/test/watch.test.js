@@ -0,0 +1,71 @@
+/**
+ * Watch mode: run-to-run diffs, and partial runs that must not turn the
+ * symbols they skipped into drops and re-alerts (watch.js)
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { diffResults, WatchState, watch } = require('../watch.js');
+
+let dir;
+let log;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gamma-watch-'));
+  log = console.log;
+  console.log = () => {};
+});
+
+afterEach(() => {
+  console.log = log;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const result = (symbol, score) => ({ symbol, score, price: 10 });
+
+test('diffResults splits added, dropped and kept symbols', () => {
+  const diff = diffResults({ GME: 60, AMC: 55 }, [result('GME', 62), result('BB', 50)]);
+
+  assert.deepStrictEqual(diff.added.map(s => s.symbol), ['BB']);
+  assert.deepStrictEqual(diff.dropped, [{ symbol: 'AMC', score: 55 }]);
+  assert.deepStrictEqual(diff.kept.map(s => s.symbol), ['GME']);
+  assert.deepStrictEqual(diff.unscanned, []);
+});
+
+test('the first run adds everything', () => {
+  const diff = diffResults(null, [result('GME', 60)]);
+  assert.deepStrictEqual(diff.added.map(s => s.symbol), ['GME']);
+  assert.deepStrictEqual(diff.dropped, []);
+});
+
+test('symbols a partial run skipped are unscanned, not dropped', () => {
+  const diff = diffResults({ GME: 60, AMC: 55 }, [result('GME', 61)], ['AMC', 'BB']);
+
+  assert.deepStrictEqual(diff.dropped, []);
+  assert.deepStrictEqual(diff.unscanned, [{ symbol: 'AMC', score: 55 }]);
+});
+
+test('a partial run keeps skipped symbols in the state, so the next full run does not re-alert them', async () => {
+  const state = new WatchState({ file: path.join(dir, 'watch_state.json') });
+  const runs = [
+    [{ profile: 'v4', results: [result('GME', 60), result('AMC', 55)], partial: null }],
+    [{ profile: 'v4', results: [result('GME', 60)], partial: { reason: 'quota', skipped: ['AMC'] } }],
+    [{ profile: 'v4', results: [result('GME', 60), result('AMC', 56)], partial: null }],
+  ];
+  const diffs = [];
+
+  for (const run of runs) {
+    await watch(async () => run, { state, now: true, runs: 1, onChange: (r, diff) => diffs.push(diff) });
+  }
+
+  assert.deepStrictEqual(diffs.map(d => [d.added.map(s => s.symbol), d.dropped.map(s => s.symbol)]), [
+    [['GME', 'AMC'], []],
+    [[], []],
+    [[], []],
+  ]);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(state.file, 'utf8')).v4.symbols, { GME: 60, AMC: 56 });
+});
@@ -0,0 +1,467 @@
+/**
+ * Stock Universes
+ * Named symbol lists and what is known about each symbol:
+ *
+ * - Lists are text files in universes/ (symbols separated by spaces, commas
+ *   or newlines, # comments) and are deduped on load. broad / core / expanded
+ *   ship with the scanner; `universe build` writes new ones.
+ * - Metadata (sector, industry, exchange, ETF) from universes/symbols.csv,
+ *   overlaid with imported Nasdaq Trader symbol directories (nasdaqlisted.txt,
+ *   otherlisted.txt) and screener CSVs, kept in universe_data.json.
+ * - Delisted / invalid symbols: known delistings and renames from
+ *   universes/delisted.csv, plus symbols no provider had data for on
+ *   INVALID_AFTER different days. Both are left out of universes until cleared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseNumber, parseDate, parseTable } = require('./short_data.js');
+const { QuotaExhaustedError } = require('./scheduler.js');
+const { easternTime } = require('./market_calendar.js');
+
+const UNIVERSE_DIR = path.join(__dirname, 'universes');
+const META_FILE = path.join(UNIVERSE_DIR, 'symbols.csv');
+const DELISTED_FILE = path.join(UNIVERSE_DIR, 'delisted.csv');
+const DATA_FILE = path.join(__dirname, 'universe_data.json');
+
+// Lists that ship with the scanner (profiles refer to these)
+const SHIPPED = ['broad', 'core', 'expanded'];
+
+// Days without data before a symbol is flagged as delisted / invalid
+const INVALID_AFTER = 3;
+
+// Nasdaq Trader otherlisted.txt exchange codes
+const EXCHANGES = {
+  A: 'NYSE American',
+  N: 'NYSE',
+  P: 'NYSE Arca',
+  Z: 'Cboe BZX',
+  V: 'IEX',
+};
+
+// Normalized header -> field. Covers symbols.csv, Nasdaq Trader directories and the Nasdaq screener export.
+const META_COLUMNS = {
+  symbol: ['symbol', 'actsymbol', 'ticker'],
+  name: ['securityname', 'name', 'companyname'],
+  sector: ['sector'],
+  industry: ['industry'],
+  exchange: ['exchange', 'listingexchange'],
+  etf: ['etf', 'isetf'],
+  test: ['testissue'],
+  marketCategory: ['marketcategory'],
+  price: ['lastsale', 'price', 'last'],
+  volume: ['volume'],
+  avgVolume: ['avgvolume', 'averagevolume'],
+};
+
+const DELISTED_COLUMNS = {
+  symbol: ['symbol'],
+  status: ['status'],
+  date: ['date'],
+  successor: ['successor'],
+  note: ['note'],
+};
+
+// ============ LISTS ============
+
+// 'AAPL MSFT, gme  # comment' -> ['AAPL', 'MSFT', 'GME'] (deduped)
+function parseSymbolList(text) {
+  const symbols = text
+    .split('\n')
+    .map(line => line.replace(/#.*/, ''))
+    .join(' ')
+    .split(/[\s,]+/)
+    .map(s => s.trim().toUpperCase())
+    .filter(Boolean);
+  return [...new Set(symbols)];
+}
+
+// A universe name (universes/<name>.txt) or the path to a list file
+function universeFile(name) {
+  const named = path.join(UNIVERSE_DIR, `${name}.txt`);
+  if (/^[\w-]+$/.test(name) && fs.existsSync(named)) return named;
+  if (fs.existsSync(name) && fs.statSync(name).isFile()) return path.resolve(name);
+  return null;
+}
+
+// [{ name, file, count, description }] for universes/*.txt
+function listUniverses() {
+  if (!fs.existsSync(UNIVERSE_DIR)) return [];
+
+  return fs.readdirSync(UNIVERSE_DIR)
+    .filter(f => path.extname(f) === '.txt')
+    .sort()
+    .map(f => {
+      const file = path.join(UNIVERSE_DIR, f);
+      const text = fs.readFileSync(file, 'utf8');
+      const comment = text.split('\n').find(l => l.startsWith('#'));
+      return {
+        name: path.basename(f, '.txt'),
+        file,
+        count: parseSymbolList(text).length,
+        description: comment ? comment.replace(/^#\s*/, '') : '',
+        shipped: SHIPPED.includes(path.basename(f, '.txt')),
+      };
+    });
+}
+
+// Deduped symbol list for a universe name or list file
+function getUniverse(name) {
+  const file = universeFile(name);
+  if (!file) {
+    throw new Error(`Unknown universe "${name}" (available: ${listUniverses().map(u => u.name).join(', ')}, or a list file)`);
+  }
+  return parseSymbolList(fs.readFileSync(file, 'utf8'));
+}
+
+// Write universes/<name>.txt: comment lines, then ten symbols per line
+function saveUniverse(name, symbols, comments = []) {
+  if (!/^[a-z0-9][\w-]*$/i.test(name)) {
+    throw new Error(`Invalid universe name "${name}" (letters, digits, - and _)`);
+  }
+  const lines = comments.map(c => `# ${c}`);
+  lines.push('');
+  for (let i = 0; i < symbols.length; i += 10) {
+    lines.push(symbols.slice(i, i + 10).join(' '));
+  }
+
+  const file = path.join(UNIVERSE_DIR, `${name}.txt`);
+  fs.mkdirSync(UNIVERSE_DIR, { recursive: true });
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+  return file;
+}
+
+// ============ METADATA ============
+
+function readTable(file, columns) {
+  if (!fs.existsSync(file)) return [];
+  return parseTable(fs.readFileSync(file, 'utf8'), columns).rows;
+}
+
+const yes = (value) => /^(y|yes|true|1)$/i.test(String(value || '').trim());
+const text = (value) => (value === undefined || String(value).trim() === '' ? null : String(value).trim());
+
+// universes/delisted.csv: symbol -> { status, date, successor, note }
+function loadKnownDelisted(file = DELISTED_FILE) {
+  const known = new Map();
+  for (const row of readTable(file, DELISTED_COLUMNS)) {
+    if (!row.symbol) continue;
+    known.set(row.symbol.toUpperCase(), {
+      status: text(row.status) || 'delisted',
+      date: parseDate(row.date),
+      successor: text(row.successor),
+      note: text(row.note),
+    });
+  }
+  return known;
+}
+
+// 'File Creation Time: 1019202609:01' (MMDDYYYYHH:MM) -> '2026-10-19'
+function directoryDate(symbolCell) {
+  const match = /File Creation Time:\s*(\d{2})(\d{2})(\d{4})/.exec(symbolCell || '');
+  return match ? `${match[3]}-${match[1]}-${match[2]}` : null;
+}
+
+class UniverseStore {
+  constructor({ file = DATA_FILE, metaFile = META_FILE, delistedFile = DELISTED_FILE } = {}) {
+    this.file = file;
+    this.seed = new Map(readTable(metaFile, META_COLUMNS)
+      .filter(row => row.symbol)
+      .map(row => [row.symbol.toUpperCase(), {
+        sector: text(row.sector),
+        industry: text(row.industry),
+        exchange: text(row.exchange),
+        etf: yes(row.etf),
+        source: 'seed',
+      }]));
+    this.known = loadKnownDelisted(delistedFile);
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      if (this.file && fs.existsSync(this.file)) {
+        return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      }
+    } catch (e) {}
+    return { version: '1.0', symbols: {}, status: {}, imports: [] };
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+  }
+
+  // { name, sector, industry, exchange, etf, price, avgVolume, listedAsOf, ... } - imported values win over the seed
+  meta(symbol) {
+    const key = symbol.toUpperCase();
+    const stored = this.data.symbols[key] || {};
+    const merged = { ...this.seed.get(key) };
+    for (const [field, value] of Object.entries(stored)) {
+      if (value !== null && value !== undefined) merged[field] = value;
+    }
+    return merged;
+  }
+
+  tag(symbol, fields) {
+    const key = symbol.toUpperCase();
+    this.data.symbols[key] = { ...this.data.symbols[key], ...fields };
+  }
+
+  // Nasdaq Trader directory (nasdaqlisted.txt / otherlisted.txt), Nasdaq screener
+  // export or any CSV with a symbol column plus sector / industry / exchange / etf
+  importFile(file, { asOf = null } = {}) {
+    const { rows, missing } = parseTable(fs.readFileSync(file, 'utf8'), META_COLUMNS);
+    if (missing.includes('symbol')) {
+      throw new Error(`${path.basename(file)}: no symbol column found`);
+    }
+
+    // Directories list every listed security; anything missing from them is no longer listed
+    const directory = !missing.includes('test');
+    const created = rows.map(r => directoryDate(r.symbol)).find(Boolean);
+    const date = asOf || created || easternTime().date;
+    const nasdaq = !missing.includes('marketCategory');
+
+    const result = { file: path.basename(file), kind: directory ? 'directory' : 'metadata', rows: 0, updated: 0, skipped: 0, etfs: 0, asOf: date };
+    for (const row of rows) {
+      if (directoryDate(row.symbol)) continue;
+      result.rows++;
+      const symbol = row.symbol?.trim().toUpperCase();
+
+      // Test issues, preferreds / warrants / units ($, spaces) aren't scannable stocks
+      if (!symbol || yes(row.test) || /[$\s^]/.test(symbol)) {
+        result.skipped++;
+        continue;
+      }
+
+      const fields = { source: result.file, updated: date };
+      if (text(row.name)) fields.name = text(row.name);
+      if (text(row.sector)) fields.sector = text(row.sector);
+      if (text(row.industry)) fields.industry = text(row.industry);
+      if (nasdaq) fields.exchange = 'NASDAQ';
+      else if (text(row.exchange)) fields.exchange = EXCHANGES[row.exchange.trim()] || row.exchange.trim();
+      if (row.etf !== undefined && text(row.etf)) fields.etf = yes(row.etf);
+      if (fields.etf) result.etfs++;
+      if (directory) fields.listedAsOf = date;
+
+      const price = parseNumber(row.price);
+      const volume = parseNumber(row.avgVolume) ?? parseNumber(row.volume);
+      if (price) {
+        fields.price = price;
+        fields.priceAsOf = date;
+      }
+      if (volume) fields[row.avgVolume !== undefined ? 'avgVolume' : 'volume'] = volume;
+
+      this.tag(symbol, fields);
+      result.updated++;
+    }
+
+    this.data.imports.unshift({ ...result, imported: new Date().toISOString() });
+    this.data.imports = this.data.imports.slice(0, 50);
+    return result;
+  }
+
+  // Every symbol in the newest imported directory
+  listed() {
+    const dates = Object.values(this.data.symbols).map(s => s.listedAsOf).filter(Boolean);
+    if (dates.length === 0) return [];
+    const latest = dates.reduce((a, b) => (a > b ? a : b));
+    return Object.keys(this.data.symbols)
+      .filter(symbol => this.data.symbols[symbol].listedAsOf === latest)
+      .sort();
+  }
+
+  // Symbols no longer in the newest directory (null when none was imported)
+  unlisted(symbols) {
+    const listed = new Set(this.listed());
+    if (listed.size === 0) return null;
+    return symbols.filter(s => !listed.has(s.toUpperCase()));
+  }
+
+  // ============ DELISTED / INVALID ============
+
+  // After a live fetch: `missing` had no data from any provider, `seen` did.
+  // Returns the symbols flagged by this scan.
+  recordScan({ seen = [], missing = [], at = new Date() }) {
+    const day = easternTime(at).date;
+    const flagged = [];
+
+    for (const symbol of seen) {
+      this.data.status[symbol] = { lastSeen: day };
+    }
+    for (const symbol of missing) {
+      const status = this.data.status[symbol] || {};
+      const failDays = [...new Set([...(status.failDays || []), day])].slice(-10);
+      this.data.status[symbol] = { ...status, failDays };
+      if (!status.flagged && !status.cleared && failDays.length >= INVALID_AFTER) {
+        this.data.status[symbol].flagged = day;
+        flagged.push(symbol);
+      }
+    }
+    return flagged;
+  }
+
+  // Why a symbol is left out of universes, or null
+  invalidReason(symbol) {
+    const key = symbol.toUpperCase();
+    const status = this.data.status[key] || {};
+    if (status.flagged) {
+      return `no data on ${status.failDays.length} days (${status.failDays[0]} - ${status.failDays[status.failDays.length - 1]})`;
+    }
+
+    // A known delisting unless cleared, or seen trading since (reused ticker)
+    const known = this.known.get(key);
+    if (!known || status.cleared || (status.lastSeen && known.date && status.lastSeen > known.date)) return null;
+    const successor = known.successor ? ` -> ${known.successor}` : '';
+    return `${known.status}${known.date ? ' ' + known.date : ''}${successor}${known.note ? ` (${known.note})` : ''}`;
+  }
+
+  isInvalid(symbol) {
+    return this.invalidReason(symbol) !== null;
+  }
+
+  // [{ symbol, reason, source: 'scans' | 'known' }] flagged plus known delistings
+  invalid() {
+    const symbols = new Set([
+      ...Object.keys(this.data.status).filter(s => this.data.status[s].flagged),
+      ...this.known.keys(),
+    ]);
+    return [...symbols].sort()
+      .filter(s => this.isInvalid(s))
+      .map(symbol => ({
+        symbol,
+        reason: this.invalidReason(symbol),
+        source: this.data.status[symbol]?.flagged ? 'scans' : 'known',
+      }));
+  }
+
+  // [{ symbol, failDays }] failing but not flagged yet
+  failing() {
+    return Object.entries(this.data.status)
+      .filter(([, s]) => s.failDays?.length > 0 && !s.flagged && !s.cleared)
+      .map(([symbol, s]) => ({ symbol, failDays: s.failDays }))
+      .sort((a, b) => b.failDays.length - a.failDays.length);
+  }
+
+  // Put flagged / known-delisted symbols back into universes. Returns how many.
+  clearInvalid(symbols = null) {
+    const targets = symbols && symbols.length > 0
+      ? symbols.map(s => s.toUpperCase())
+      : this.invalid().map(i => i.symbol);
+    const cleared = targets.filter(s => this.isInvalid(s));
+    cleared.forEach(symbol => {
+      this.data.status[symbol] = { failDays: [], cleared: easternTime().date };
+    });
+    return cleared.length;
+  }
+}
+
+// ============ FILTERS ============
+
+const listOf = (value) => (value === undefined || value === null || value === true
+  ? null
+  : String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean));
+
+// Keep symbols whose metadata matches: sector / exchange (comma lists, exact),
+// industry (substring), etf (true = only ETFs, false = no ETFs)
+function filterSymbols(symbols, store, { sector = null, industry = null, exchange = null, etf = null } = {}) {
+  const sectors = listOf(sector);
+  const exchanges = listOf(exchange);
+  const industries = listOf(industry);
+
+  return symbols.filter(symbol => {
+    const meta = store.meta(symbol);
+    if (sectors && !sectors.includes((meta.sector || '').toLowerCase())) return false;
+    if (exchanges && !exchanges.includes((meta.exchange || '').toLowerCase())) return false;
+    if (industries && !industries.some(i => (meta.industry || '').toLowerCase().includes(i))) return false;
+    if (etf !== null && !!meta.etf !== etf) return false;
+    return true;
+  });
+}
+
+// Does a price / volume snapshot pass the build rules?
+function passesRules({ price, volume }, { minPrice = null, maxPrice = null, minVolume = null }) {
+  if (price == null) return false;
+  if (minPrice !== null && price < minPrice) return false;
+  if (maxPrice !== null && price > maxPrice) return false;
+  if (minVolume !== null && (volume == null || volume < minVolume)) return false;
+  return true;
+}
+
+// 'price <= $50, avg volume >= 500,000'
+function describeRules({ minPrice = null, maxPrice = null, minVolume = null }) {
+  const parts = [];
+  if (minPrice !== null) parts.push(`price >= $${minPrice}`);
+  if (maxPrice !== null) parts.push(`price <= $${maxPrice}`);
+  if (minVolume !== null) parts.push(`avg volume >= ${minVolume.toLocaleString('en-US')}`);
+  return parts.join(', ') || 'no price / volume rules';
+}
+
+// Quote every symbol and keep the ones that pass the rules. Quotes are stored
+// as metadata (price, avgVolume). Stops early when a daily budget runs out.
+// Returns { symbols, checked, missing, partial }.
+async function buildUniverse(provider, pool, rules, store, { onProgress = null } = {}) {
+  const symbols = [];
+  const missing = [];
+  let partial = null;
+  let checked = 0;
+
+  for (const symbol of pool) {
+    let quote = null;
+    try {
+      quote = await provider.getQuote(symbol);
+    } catch (e) {
+      if (e instanceof QuotaExhaustedError) {
+        partial = { reason: e.message, skipped: pool.slice(checked) };
+        break;
+      }
+    }
+    checked++;
+    if (onProgress) onProgress(checked, pool.length);
+
+    if (!quote || !quote.price) {
+      missing.push(symbol);
+      continue;
+    }
+    store.tag(symbol, { price: quote.price, avgVolume: quote.avgVolume || null, priceAsOf: easternTime().date });
+    if (passesRules({ price: quote.price, volume: quote.avgVolume }, rules)) symbols.push(symbol);
+  }
+
+  return { symbols, checked, missing, partial };
+}
+
+// Same rules against stored metadata only (imported screener prices / volumes, earlier quotes).
+// Without price / volume rules this is just the metadata filter.
+function buildOffline(pool, rules, store) {
+  if (Object.values(rules).every(v => v === null)) {
+    return { symbols: [...pool], checked: pool.length, missing: [], partial: null };
+  }
+  const symbols = [];
+  const missing = [];
+  for (const symbol of pool) {
+    const meta = store.meta(symbol);
+    if (meta.price == null) {
+      missing.push(symbol);
+      continue;
+    }
+    if (passesRules({ price: meta.price, volume: meta.avgVolume ?? meta.volume }, rules)) symbols.push(symbol);
+  }
+  return { symbols, checked: pool.length, missing, partial: null };
+}
+
+module.exports = {
+  UNIVERSE_DIR,
+  DATA_FILE,
+  SHIPPED,
+  INVALID_AFTER,
+  parseSymbolList,
+  listUniverses,
+  getUniverse,
+  saveUniverse,
+  loadKnownDelisted,
+  UniverseStore,
+  filterSymbols,
+  describeRules,
+  buildUniverse,
+  buildOffline,
+};
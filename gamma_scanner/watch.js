@@ -0,0 +1,218 @@
+/**
+ * Watch Mode
+ * Runs scans on a schedule aligned to the market calendar and reports only
+ * what changed since the previous run:
+ *
+ * - pre-market (default 09:00 ET), the open (+5 min, once the first bars
+ *   exist), every N minutes during the session and after the close (+5 min)
+ * - weekends, exchange holidays and early closes come from market_calendar.js
+ * - each run is diffed against the last one per profile (kept in
+ *   watch_state.json, so a restart doesn't re-announce everything)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  easternTime, easternDate, formatMinutes, sessionHours, nextTradingDay,
+} = require('./market_calendar.js');
+
+const STATE_FILE = path.join(__dirname, 'watch_state.json');
+const DEFAULT_EVERY = 30;             // Minutes between intraday runs
+const DEFAULT_PRE_MARKET = 9 * 60;    // 09:00 ET
+const SETTLE_MINUTES = 5;             // After the open / close
+const MAX_SLEEP_MS = 60000;           // Re-check the clock at least every minute
+
+// ============ SCHEDULE ============
+
+// '09:00' -> 540; 'off' -> null
+function parseTime(value) {
+  if (value === 'off' || value === false) return null;
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+    throw new Error(`Invalid time "${value}" (use HH:MM in ET, or off)`);
+  }
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// Runs on one date: [{ date, minutes, label, at }] (empty when the market is closed)
+function scheduleFor(date, { every = DEFAULT_EVERY, preMarket = DEFAULT_PRE_MARKET } = {}) {
+  const hours = sessionHours(date);
+  if (!hours) return [];
+
+  const runs = [];
+  if (preMarket !== null && preMarket >= hours.preMarket && preMarket < hours.open) {
+    runs.push({ minutes: preMarket, label: 'pre-market' });
+  }
+  const first = hours.open + SETTLE_MINUTES;
+  runs.push({ minutes: first, label: 'open' });
+  for (let m = first + every; m < hours.close; m += every) {
+    runs.push({ minutes: m, label: 'intraday' });
+  }
+  runs.push({ minutes: hours.close + SETTLE_MINUTES, label: hours.earlyClose ? 'early close' : 'close' });
+
+  return runs.map(r => ({ ...r, date, at: easternDate(date, r.minutes) }));
+}
+
+// First scheduled run after `when`
+function nextRun(when = new Date(), options = {}) {
+  let date = easternTime(when).date;
+  for (let i = 0; i < 15; i++) {
+    const run = scheduleFor(date, options).find(r => r.at > when);
+    if (run) return run;
+    date = nextTradingDay(date);
+  }
+  return null;
+}
+
+// 'Mon 2026-10-19 10:05 ET (intraday)'
+function describeRun(run) {
+  const weekday = new Date(run.date + 'T12:00:00Z').toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+  return `${weekday} ${run.date} ${formatMinutes(run.minutes)} ET (${run.label})`;
+}
+
+// ============ DIFF ============
+
+// { added: results[], dropped, kept: results[], unscanned } vs the previous { symbol: score }.
+// Previous symbols a partial run never got to (`skipped`) are unscanned, not
+// dropped: dropped / unscanned are [{ symbol, score }].
+function diffResults(previous, results, skipped = []) {
+  const before = previous || {};
+  const now = new Set(results.map(s => s.symbol));
+  const notScanned = new Set(skipped);
+  const gone = Object.entries(before)
+    .filter(([symbol]) => !now.has(symbol))
+    .map(([symbol, score]) => ({ symbol, score }));
+
+  return {
+    added: results.filter(s => !(s.symbol in before)),
+    dropped: gone.filter(s => !notScanned.has(s.symbol)),
+    kept: results.filter(s => s.symbol in before),
+    unscanned: gone.filter(s => notScanned.has(s.symbol)),
+  };
+}
+
+// ============ STATE ============
+
+// { [profile]: { at, symbols: { SYM: score } } }
+class WatchState {
+  constructor({ file = STATE_FILE } = {}) {
+    this.file = file;
+    this.data = {};
+    try {
+      if (fs.existsSync(file)) this.data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {}
+  }
+
+  previous(profileName) {
+    return this.data[profileName]?.symbols || null;
+  }
+
+  update(profileName, results, at = new Date()) {
+    this.data[profileName] = {
+      at: at.toISOString(),
+      symbols: Object.fromEntries(results.map(s => [s.symbol, s.score])),
+    };
+    fs.writeFileSync(this.file, JSON.stringify(this.data, null, 2));
+  }
+}
+
+// ============ LOOP ============
+
+function printDiff(profileName, diff) {
+  if (diff.added.length === 0 && diff.dropped.length === 0) {
+    const unscanned = diff.unscanned.length > 0 ? `, ${diff.unscanned.length} not scanned` : '';
+    console.log(`   ${profileName}: no changes (${diff.kept.length} still qualifying${unscanned})`);
+    return;
+  }
+  diff.added.forEach(s => {
+    console.log(`   🆕 ${profileName} ${s.symbol} | Score: ${s.score}/100 | $${s.price?.toFixed(2)}`);
+  });
+  diff.dropped.forEach(d => {
+    console.log(`   ➖ ${profileName} ${d.symbol} dropped (was ${d.score}/100)`);
+  });
+  if (diff.kept.length > 0) {
+    console.log(`   ${diff.kept.length} still qualifying: ${diff.kept.map(s => s.symbol).join(', ')}`);
+  }
+  if (diff.unscanned.length > 0) {
+    console.log(`   ${diff.unscanned.length} not scanned this time: ${diff.unscanned.map(d => d.symbol).join(', ')}`);
+  }
+}
+
+// Resolves once `at` has passed, or early (false) when stopped
+function waitUntil(at, control) {
+  return new Promise(resolve => {
+    const tick = () => {
+      if (control.stopped) return resolve(false);
+      const remaining = at - Date.now();
+      if (remaining <= 0) return resolve(true);
+      control.timer = setTimeout(tick, Math.min(remaining, MAX_SLEEP_MS));
+    };
+    control.wake = () => {
+      clearTimeout(control.timer);
+      resolve(false);
+    };
+    tick();
+  });
+}
+
+// `scan()` runs the profiles and resolves to engine runs ({ profile, results, partial }).
+// Options: every, preMarket, now (run immediately first), runs (stop after N), state,
+// onChange(result, diff) (called after each profile's diff, e.g. to alert the new symbols).
+async function watch(scan, options = {}) {
+  const state = options.state || new WatchState();
+  const control = { stopped: false, timer: null, wake: null };
+  const stop = () => {
+    control.stopped = true;
+    control.wake?.();
+  };
+  process.once('SIGINT', stop);
+
+  let runs = 0;
+  let pending = options.now ? { label: 'now', at: new Date() } : null;
+
+  try {
+    while (!control.stopped && (!options.runs || runs < options.runs)) {
+      const run = pending || nextRun(new Date(), options);
+      pending = null;
+      if (!run) break;
+
+      if (run.label !== 'now') {
+        console.log(`\n⏳ Next scan: ${describeRun(run)}`);
+        if (!(await waitUntil(run.at, control))) break;
+      }
+
+      const et = easternTime();
+      console.log(`\n👀 Scan ${runs + 1} at ${et.date} ${formatMinutes(et.minutes)} ET (${run.label})`);
+      try {
+        for (const result of await scan()) {
+          const diff = diffResults(state.previous(result.profile), result.results, result.partial?.skipped);
+          printDiff(result.profile, diff);
+          // Unscanned symbols keep their last score, so the next full run doesn't announce them as new
+          state.update(result.profile, [...result.results, ...diff.unscanned]);
+          if (options.onChange) await options.onChange(result, diff);
+          if (result.partial) console.log(`   ⚠️  Partial: ${result.partial.reason}`);
+        }
+      } catch (e) {
+        console.log(`   ❌ Scan failed: ${e.message}`);
+      }
+      runs++;
+    }
+  } finally {
+    process.removeListener('SIGINT', stop);
+    clearTimeout(control.timer);
+  }
+
+  console.log(`\n👋 Watch stopped after ${runs} scan${runs === 1 ? '' : 's'}`);
+  return runs;
+}
+
+module.exports = {
+  STATE_FILE,
+  parseTime,
+  scheduleFor,
+  nextRun,
+  describeRun,
+  diffResults,
+  WatchState,
+  watch,
+};
@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/**
+ * Memory Consolidation - Daily / weekly digest of what I've picked up
+ * Features:
+ * - Gathers recent Memory 2.0 entries and Performance Tracker learnings
+ * - Groups them by topic (first tag)
+ * - Merges near-duplicates: the extra entries are retired into the one kept,
+ *   which inherits their references
+ * - Promotes items that keep coming back (references + duplicates) to high priority
+ * - Regenerates the period's digest section of MEMORY.md (one daily, one weekly)
+ *   and writes memory/digest-<date>.md
+ *   (temp file + rename, so a crash never leaves MEMORY.md half written)
+ * - Logs every promotion / retirement in memory/digest-changelog.md
+ *
+ * Entries synced from a markdown file (see memory_ingest.js) are never retired -
+ * the next ingest would add them straight back. Edit the file instead.
+ *
+ * Usage: node consolidate.js [daily|weekly] [--since YYYY-MM-DD] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./search_index.js');
+const { writeFileAtomic } = require('./storage.js');
+
+const WORKSPACE_DIR = path.join(__dirname, '..');
+const MEMORY_DIR = path.join(WORKSPACE_DIR, 'memory');
+const MEMORY_FILE = path.join(WORKSPACE_DIR, 'MEMORY.md');
+
+// The part of MEMORY.md between a period's markers is rewritten on each run of that period
+const digestMarkers = (period) => ({ start: `<!-- digest:${period}:start -->`, end: `<!-- digest:${period}:end -->` });
+
+// One block shared by both periods, before they got their own: the next run of either takes it over
+const LEGACY_MARKERS = { start: '<!-- digest:start -->', end: '<!-- digest:end -->' };
+
+// Any digest marker line, legacy included
+const DIGEST_MARKER = /^<!-- digest(?::\w+)?:(start|end) -->$/;
+
+// memory/digest-*.md are generated, not notes (ingest skips them)
+const DIGEST_PREFIX = 'digest-';
+const CHANGELOG_FILE = 'digest-changelog.md';
+
+// Days looked back
+const PERIODS = { daily: 1, weekly: 7 };
+
+// Share of words two items need in common to be the same item
+const SIMILARITY = 0.6;
+
+// References (merged duplicates included) before an entry is promoted
+const PROMOTE_AFTER = 3;
+
+// Items listed per topic
+const TOPIC_LIMIT = 8;
+
+// 2026-10-19 -> '2026-W42'
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// Jaccard similarity of the two texts' stemmed words
+function similarity(a, b) {
+  const ta = new Set(tokenize(a));
+  const tb = new Set(tokenize(b));
+  if (ta.size === 0 || tb.size === 0) return 0;
+
+  let shared = 0;
+  for (const t of ta) {
+    if (tb.has(t)) shared++;
+  }
+  return shared / (ta.size + tb.size - shared);
+}
+
+// Recent entries + learnings as one list of { id, text, tags, priority, source, referenced, owned }.
+// Learnings have no id: they can be merged into, never promoted or retired.
+function gather(memory, tracker, since) {
+  const sources = memory.insights.sources || {};
+
+  const entries = memory.insights.entries
+    .filter(e => e.created >= since)
+    .map(e => ({ ...e, owned: Boolean(sources[e.source]) }));
+
+  const learnings = (tracker.data.learnings || [])
+    .filter(l => l.timestamp >= since)
+    .map(l => {
+      const { tags, priority } = memory.autoTag(l.lesson);
+      return { id: null, text: l.lesson, tags, priority, source: `tracker:${l.source}`, referenced: 0, owned: false };
+    });
+
+  return { entries, learnings };
+}
+
+// Which of two near-duplicates is kept: memory entries over learnings, markdown-owned
+// over loose ones (those can't be retired), then priority, references, age
+function rank(item) {
+  const priority = { high: 2, normal: 1, low: 0 }[item.priority] ?? 1;
+  return [item.id !== null ? 1 : 0, item.owned ? 1 : 0, priority, item.referenced || 0, -(item.id || 0)];
+}
+
+function compareRank(a, b) {
+  const ra = rank(a);
+  const rb = rank(b);
+  for (let i = 0; i < ra.length; i++) {
+    if (ra[i] !== rb[i]) return rb[i] - ra[i];
+  }
+  return 0;
+}
+
+// [{ keep, merged, references }] - each item joins the first group whose kept item it matches
+function cluster(items) {
+  const groups = [];
+
+  for (const item of [...items].sort(compareRank)) {
+    const group = groups.find(g => similarity(g.keep.text, item.text) >= SIMILARITY);
+    if (group) {
+      group.merged.push(item);
+    } else {
+      groups.push({ keep: item, merged: [] });
+    }
+  }
+
+  for (const group of groups) {
+    group.references = [group.keep, ...group.merged].reduce((sum, i) => sum + (i.referenced || 0), 0) + group.merged.length;
+  }
+  return groups;
+}
+
+// Markdown for the digest; topic headings one level under `level`
+function renderDigest(result, level) {
+  const heading = '#'.repeat(level + 1);
+  const lines = [];
+
+  lines.push(`_${result.entries} entries and ${result.learnings} learnings since ${result.since.slice(0, 10)}: ` +
+    `${result.groups} items, ${result.retired.length} duplicates merged, ${result.promoted.length} promoted._`);
+
+  if (result.promoted.length > 0) {
+    lines.push('', `${heading} Promoted`);
+    result.promoted.forEach(p => lines.push(`- ${p.text} (${p.references} references)`));
+  }
+
+  for (const topic of result.topics) {
+    lines.push('', `${heading} ${topic.name[0].toUpperCase()}${topic.name.slice(1)}`);
+    topic.groups.slice(0, TOPIC_LIMIT).forEach(g => {
+      const seen = g.merged.length > 0 ? `, x${g.merged.length + 1}` : '';
+      lines.push(`- ${g.keep.text} _(${g.keep.source}${seen})_`);
+    });
+    if (topic.groups.length > TOPIC_LIMIT) {
+      lines.push(`- ...and ${topic.groups.length - TOPIC_LIMIT} more`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+// { start, end } offsets of a marked block in markdown, or null
+function findBlock(markdown, markers) {
+  const start = markdown.indexOf(markers.start);
+  const end = markdown.indexOf(markers.end);
+  return start !== -1 && end > start ? { start, end: end + markers.end.length } : null;
+}
+
+// Replace the period's digest block in MEMORY.md (appended on the first run)
+function writeMemoryDigest(file, period, title, body) {
+  const markers = digestMarkers(period);
+  const block = `${markers.start}\n## ${title}\n\n${body}\n${markers.end}`;
+  const markdown = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+  const found = findBlock(markdown, markers) || findBlock(markdown, LEGACY_MARKERS);
+
+  let updated;
+  if (found) {
+    updated = markdown.slice(0, found.start) + block + markdown.slice(found.end);
+  } else {
+    updated = `${markdown.trimEnd()}\n\n---\n\n${block}\n`;
+  }
+  writeFileAtomic(file, updated);
+}
+
+function appendChangelog(file, title, result) {
+  const lines = [`## ${title}`];
+  result.promoted.forEach(p => lines.push(`- Promoted: "${p.text}" (${p.references} references)`));
+  result.retired.forEach(r => lines.push(`- Retired: "${r.text}" (${r.source}) - merged into "${r.into}"`));
+  if (lines.length === 1) lines.push('- Nothing promoted or retired');
+
+  const header = fs.existsSync(file) ? '' : '# Digest Changelog\n\nWhat each memory consolidation promoted or retired.\n\n';
+  fs.appendFileSync(file, `${header}${lines.join('\n')}\n\n`);
+}
+
+// Run one consolidation pass. Returns { period, label, since, entries, learnings, groups,
+// topics, promoted, retired, files }; with dryRun nothing is written.
+function consolidate(memory, tracker, options = {}) {
+  const {
+    period = 'daily',
+    now = new Date(),
+    dryRun = false,
+    memoryFile = MEMORY_FILE,
+    memoryDir = MEMORY_DIR
+  } = options;
+  if (!PERIODS[period]) throw new Error(`Unknown period "${period}" (daily or weekly)`);
+
+  const since = options.since
+    ? new Date(options.since).toISOString()
+    : new Date(now.getTime() - PERIODS[period] * 86400000).toISOString();
+  const label = period === 'weekly' ? isoWeek(now) : now.toISOString().slice(0, 10);
+
+  const { entries, learnings } = gather(memory, tracker, since);
+  const groups = cluster([...entries, ...learnings]);
+
+  // Loose duplicates of an entry go; duplicates of a learning stay (there's nothing to merge them into)
+  const retire = groups.flatMap(g => g.keep.id === null ? [] : g.merged
+    .filter(i => i.id !== null && !i.owned)
+    .map(i => ({ id: i.id, into: g.keep.id })));
+  const promote = groups.filter(g => g.keep.id !== null && g.keep.priority !== 'high' && g.references >= PROMOTE_AFTER);
+
+  const result = {
+    period,
+    label,
+    since,
+    entries: entries.length,
+    learnings: learnings.length,
+    groups: groups.length,
+    topics: [],
+    promoted: promote.map(g => ({ id: g.keep.id, text: g.keep.text, references: g.references })),
+    retired: retire.map(r => {
+      const item = entries.find(e => e.id === r.id);
+      return { id: r.id, text: item.text, source: item.source, into: entries.find(e => e.id === r.into).text };
+    }),
+    files: []
+  };
+
+  // Topics, busiest first; items by references
+  const topics = new Map();
+  for (const group of groups) {
+    const name = group.keep.tags?.[0] || 'general';
+    if (!topics.has(name)) topics.set(name, []);
+    topics.get(name).push(group);
+  }
+  result.topics = [...topics.entries()]
+    .map(([name, list]) => ({ name, groups: list.sort((a, b) => b.references - a.references) }))
+    .sort((a, b) => b.groups.length - a.groups.length || a.name.localeCompare(b.name));
+
+  if (dryRun || groups.length === 0) return result;
+
+  // Only what actually changed (another run may have got there first)
+  const applied = memory.consolidate({ promote: promote.map(g => g.keep.id), retire });
+  const promotedIds = new Set(applied.promoted.map(e => e.id));
+  const retiredIds = new Set(applied.retired.map(e => e.id));
+  result.promoted = result.promoted.filter(p => promotedIds.has(p.id));
+  result.retired = result.retired.filter(r => retiredIds.has(r.id));
+
+  const title = `Memory Digest - ${label} (${period})`;
+  fs.mkdirSync(memoryDir, { recursive: true });
+
+  const digestFile = path.join(memoryDir, `${DIGEST_PREFIX}${label}.md`);
+  writeFileAtomic(digestFile, `# ${title}\n\n${renderDigest(result, 1)}\n`);
+  writeMemoryDigest(memoryFile, period, title, renderDigest(result, 2));
+  const changelogFile = path.join(memoryDir, CHANGELOG_FILE);
+  appendChangelog(changelogFile, title, result);
+  result.files = [memoryFile, digestFile, changelogFile];
+
+  return result;
+}
+
+function printConsolidation(result, { dryRun = false } = {}) {
+  const prefix = dryRun ? 'Would be ' : '';
+  console.log(`${result.period} consolidation ${result.label} (since ${result.since.slice(0, 16).replace('T', ' ')})`);
+
+  if (result.groups === 0) {
+    console.log('  Nothing new - no digest written');
+    return;
+  }
+
+  console.log(`  ${result.entries} entries + ${result.learnings} learnings -> ${result.groups} items in ${result.topics.length} topics`);
+  console.log(`  Topics: ${result.topics.map(t => `${t.name} (${t.groups.length})`).join(', ')}`);
+
+  if (result.promoted.length > 0) {
+    console.log(`\n  ${prefix}Promoted:`);
+    result.promoted.forEach(p => console.log(`    ⬆️  ${p.text.slice(0, 70)} (${p.references} refs)`));
+  }
+  if (result.retired.length > 0) {
+    console.log(`\n  ${prefix}Retired (merged duplicates):`);
+    result.retired.forEach(r => console.log(`    ✂️  ${r.text.slice(0, 70)} -> ${r.into.slice(0, 40)}`));
+  }
+
+  if (result.files.length > 0) {
+    console.log('\n  Wrote:');
+    result.files.forEach(f => console.log(`    ${path.relative(process.cwd(), f)}`));
+  }
+}
+
+// Export
+module.exports = {
+  DIGEST_MARKER,
+  digestMarkers,
+  DIGEST_PREFIX,
+  similarity,
+  cluster,
+  consolidate,
+  printConsolidation
+};
+
+// CLI
+if (require.main === module) {
+  const { Memory2 } = require('./memory2.js');
+  const { PerformanceTracker } = require('./tracker.js');
+  const args = process.argv.slice(2);
+  const period = args.find(a => PERIODS[a]) || 'daily';
+  const dryRun = args.includes('--dry-run');
+  const sinceAt = args.indexOf('--since');
+  const since = sinceAt !== -1 ? args[sinceAt + 1] : null;
+
+  if (sinceAt !== -1 && (!since || isNaN(new Date(since)))) {
+    console.log('Usage: node consolidate.js [daily|weekly] [--since YYYY-MM-DD] [--dry-run]');
+    process.exit(1);
+  }
+
+  const result = consolidate(new Memory2(), new PerformanceTracker(), { period, since, dryRun });
+  printConsolidation(result, { dryRun });
+}
@@ -0,0 +1,97 @@
+/**
+ * Decay - How much a Memory 2.0 entry is still worth
+ * Features:
+ * - Freshness fades with the time since the entry was last read (or created),
+ *   by a configurable model: exponential (half-life), linear or none
+ * - Reinforcement: every retrieval counts, with diminishing returns
+ * - Pinned entries never fade and are never evicted
+ *
+ * value = freshness * reinforcement * priority weight
+ *
+ * Search multiplies relevance by the value (stale, never-read entries sink),
+ * eviction archives the entries with the lowest value first.
+ */
+
+const DAY = 86400000;
+
+// Freshness after `days` without being read, before the floor is applied
+const DECAY_MODELS = {
+  exponential: (days, halfLife) => Math.pow(0.5, days / halfLife),
+  linear: (days, halfLife) => 1 - days / (2 * halfLife), // zero at two half-lives
+  none: () => 1
+};
+
+// Stored in insights.json (settings.decay), changed with `node memory2.js decay`
+const DEFAULT_DECAY = {
+  model: 'exponential',
+  halfLifeDays: 30,
+  floor: 0.1 // a stale entry never drops below this share of its value
+};
+
+const PRIORITY_WEIGHT = { high: 1.5, normal: 1, low: 0.6 };
+
+// Fill in and check decay settings - throws on an unknown model or a bad number
+function decaySettings(settings = {}) {
+  const decay = { ...DEFAULT_DECAY, ...settings };
+
+  if (!DECAY_MODELS[decay.model]) {
+    throw new Error(`Unknown decay model "${decay.model}" (${Object.keys(DECAY_MODELS).join(', ')})`);
+  }
+  if (!(decay.halfLifeDays > 0)) {
+    throw new Error(`halfLifeDays must be a positive number of days, got ${decay.halfLifeDays}`);
+  }
+  if (!(decay.floor >= 0 && decay.floor <= 1)) {
+    throw new Error(`floor must be between 0 and 1, got ${decay.floor}`);
+  }
+  return decay;
+}
+
+// Days since the entry was last read (or created when it never was)
+function idleDays(entry, now = Date.now()) {
+  const last = new Date(entry.lastAccessed || entry.created || now).getTime();
+  return Math.max(0, (now - last) / DAY);
+}
+
+// 0..1: how much of its value the entry keeps after sitting unread
+function freshness(entry, decay = DEFAULT_DECAY, now = Date.now()) {
+  if (entry.pinned) return 1;
+  const fresh = DECAY_MODELS[decay.model](idleDays(entry, now), decay.halfLifeDays);
+  return Math.max(decay.floor, Math.min(1, fresh));
+}
+
+// 1 for a never-read entry, 2 after 1 read, 3 after 3, 4 after 7...
+function reinforcement(entry) {
+  return 1 + Math.log2(1 + (entry.referenced || 0));
+}
+
+function entryValue(entry, decay = DEFAULT_DECAY, now = Date.now()) {
+  const weight = PRIORITY_WEIGHT[entry.priority] ?? 1;
+  return freshness(entry, decay, now) * reinforcement(entry) * weight;
+}
+
+// Entries to evict so at most `max` remain: lowest value first, pinned and
+// `keep` ids never. May return fewer when everything left is pinned.
+function evictionCandidates(entries, max, decay = DEFAULT_DECAY, { keep = [], now = Date.now() } = {}) {
+  const excess = entries.length - max;
+  if (excess <= 0) return [];
+
+  const protect = new Set(keep);
+  return entries
+    .filter(e => !e.pinned && !protect.has(e.id))
+    .map(e => ({ entry: e, value: entryValue(e, decay, now) }))
+    .sort((a, b) => a.value - b.value || a.entry.id - b.entry.id)
+    .slice(0, excess)
+    .map(c => ({ ...c.entry, value: Math.round(c.value * 1000) / 1000 }));
+}
+
+// Export
+module.exports = {
+  DECAY_MODELS,
+  DEFAULT_DECAY,
+  decaySettings,
+  idleDays,
+  freshness,
+  reinforcement,
+  entryValue,
+  evictionCandidates
+};
@@ -7,10 +7,19 @@
  * - Priority tagging
  * - Cross-reference topics
  * - Learning tracking
+ * - Full-text search (BM25, "phrases", tag: / source: / priority: fields, see search_index.js)
+ * - Locked, atomic writes and versioned file migrations (see storage.js)
+ * - Markdown notes synced in as entries with file + section provenance (see memory_ingest.js)
+ * - Duplicates merged and recurring items promoted by consolidation (see consolidate.js)
+ * - Reads counted per entry; unread entries decay, high priority ones are pinned,
+ *   and the lowest-value entries are archived to cold storage (see decay.js)
  */
 
 const fs = require('fs');
 const path = require('path');
+const { SearchIndex } = require('./search_index.js');
+const { JsonStore } = require('./storage.js');
+const { DEFAULT_DECAY, decaySettings, entryValue, evictionCandidates } = require('./decay.js');
 
 const MEMORY_DIR = path.join(__dirname, '../memory');
 const INSIGHTS_FILE = path.join(__dirname, 'insights.json');
@@ -29,29 +38,147 @@ const CATEGORIES = {
 const HIGH_PRIORITY = ['important', 'remember', 'critical', 'never forget', 'rule', 'boundaries'];
 const LOW_PRIORITY = ['maybe', 'sometime', 'possibly', 'might', 'could'];
 
+// Most entries kept (the lowest-value ones go to the archive first)
+const MAX_ENTRIES = 1000;
+
+// insights.json format version + how older files are upgraded
+const INSIGHTS_VERSION = '2.3';
+const INSIGHTS_MIGRATIONS = [
+  {
+    // 2.0 never pruned topic_map / priority_entries when entries were cut at 1000,
+    // and entries written by hand could lack fields
+    from: '2.0',
+    to: '2.1',
+    migrate(data) {
+      const entries = (data.entries || []).map(e => ({
+        ...e,
+        tags: Array.isArray(e.tags) ? e.tags : [],
+        priority: e.priority || 'normal',
+        source: e.source || 'unknown',
+        referenced: e.referenced || 0
+      }));
+      const ids = new Set(entries.map(e => e.id));
+      
+      const topicMap = {};
+      for (const [tag, tagIds] of Object.entries(data.topic_map || {})) {
+        const kept = tagIds.filter(id => ids.has(id));
+        if (kept.length > 0) topicMap[tag] = kept;
+      }
+      
+      return {
+        ...data,
+        entries,
+        topic_map: topicMap,
+        priority_entries: (data.priority_entries || []).filter(id => ids.has(id)),
+        categories: data.categories || {}
+      };
+    }
+  },
+  {
+    // 2.2 tracks synced markdown files: { [source]: { hash, synced, entries } }
+    from: '2.1',
+    to: '2.2',
+    migrate(data) {
+      return { ...data, sources: data.sources || {} };
+    }
+  },
+  {
+    // 2.3 counts reads and decays unread entries: lastAccessed + pinned per entry,
+    // settings.decay for the model
+    from: '2.2',
+    to: '2.3',
+    migrate(data) {
+      return {
+        ...data,
+        entries: (data.entries || []).map(e => ({
+          ...e,
+          lastAccessed: e.lastAccessed || null,
+          pinned: e.pinned ?? e.priority === 'high'
+        })),
+        settings: { ...data.settings, decay: { ...DEFAULT_DECAY, ...data.settings?.decay } }
+      };
+    }
+  }
+];
+
+function createInsights() {
+  return {
+    version: INSIGHTS_VERSION,
+    created: new Date().toISOString(),
+    entries: [],
+    topic_map: {},
+    priority_entries: [],
+    categories: {},
+    sources: {},
+    settings: { decay: { ...DEFAULT_DECAY } }
+  };
+}
+
+// Drop entries and their topic / priority ids
+function removeEntries(insights, ids) {
+  const gone = new Set(ids);
+  if (gone.size === 0) return;
+  
+  insights.entries = insights.entries.filter(e => !gone.has(e.id));
+  for (const tag of Object.keys(insights.topic_map)) {
+    insights.topic_map[tag] = insights.topic_map[tag].filter(id => !gone.has(id));
+    if (insights.topic_map[tag].length === 0) delete insights.topic_map[tag];
+  }
+  insights.priority_entries = insights.priority_entries.filter(id => !gone.has(id));
+}
+
+// Put a new entry first (with a unique id) and track its topics / priority.
+// Returns the entries evicted by the limit (for the archive).
+function insertEntry(insights, entry) {
+  // Ids are timestamps - keep them unique when adding several in the same ms
+  entry.id = Math.max(Date.now(), (insights.entries[0]?.id || 0) + 1);
+  // High priority entries are pinned: they don't decay and are never evicted
+  entry.pinned = Boolean(entry.pinned || entry.priority === 'high');
+  insights.entries.unshift(entry);
+  
+  // Track topics
+  for (const tag of entry.tags) {
+    if (!insights.topic_map[tag]) {
+      insights.topic_map[tag] = [];
+    }
+    insights.topic_map[tag].push(entry.id);
+  }
+  
+  // Priority queue
+  if (entry.priority === 'high') {
+    insights.priority_entries.push(entry.id);
+  }
+  
+  // Limit entries: evict the lowest-value ones (never pinned ones, never the new one)
+  const evicted = evictionCandidates(insights.entries, MAX_ENTRIES, decaySettings(insights.settings?.decay), { keep: [entry.id] });
+  removeEntries(insights, evicted.map(e => e.id));
+  return evicted;
+}
+
+// Comparable form of an entry's text (case, punctuation and spacing ignored)
+function normalizeText(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
 class Memory2 {
-  constructor() {
+  constructor(file = INSIGHTS_FILE) {
+    this.store = new JsonStore(file, {
+      version: INSIGHTS_VERSION,
+      create: createInsights,
+      migrations: INSIGHTS_MIGRATIONS
+    });
+    this.archiveFile = file.replace(/\.json$/, '') + '.archive.jsonl'; // evicted entries, one per line
     this.insights = this.loadInsights();
+    this.index = null; // built on first search, then kept up to date by add()
   }
   
   loadInsights() {
-    try {
-      if (fs.existsSync(INSIGHTS_FILE)) {
-        return JSON.parse(fs.readFileSync(INSIGHTS_FILE, 'utf8'));
-      }
-    } catch (e) {}
-    return {
-      version: "2.0",
-      created: new Date().toISOString(),
-      entries: [],
-      topic_map: {},
-      priority_entries: [],
-      categories: {}
-    };
+    return this.store.read();
   }
   
+  // Replace the file with this.insights (add() merges with the file instead)
   save() {
-    fs.writeFileSync(INSIGHTS_FILE, JSON.stringify(this.insights, null, 2));
+    this.store.write(this.insights);
   }
   
   // Auto-tag a memory entry
@@ -94,79 +221,269 @@ class Memory2 {
     const { tags, priority } = this.autoTag(text);
     
     const entry = {
-      id: Date.now(),
+      id: null,
       text,
       tags,
       priority,
       source,
       created: new Date().toISOString(),
-      referenced: 0
+      referenced: 0,
+      lastAccessed: null,
+      pinned: false
     };
+    let dropped = [];
+    let changedOnDisk = false;
     
-    this.insights.entries.unshift(entry);
-    
-    // Track topics
-    for (const tag of tags) {
-      if (!this.insights.topic_map[tag]) {
-        this.insights.topic_map[tag] = [];
-      }
-      this.insights.topic_map[tag].push(entry.id);
-    }
-    
-    // Priority queue
-    if (priority === 'high') {
-      this.insights.priority_entries.push(entry.id);
-    }
+    // Merge into the latest file - another process may have added entries since we loaded
+    this.insights = this.store.update(insights => {
+      changedOnDisk = insights.entries[0]?.id !== this.insights.entries[0]?.id;
+      dropped = insertEntry(insights, entry);
+    });
+    this.archive(dropped);
     
-    // Limit entries
-    if (this.insights.entries.length > 1000) {
-      this.insights.entries = this.insights.entries.slice(0, 1000);
+    // Someone else's entries aren't in the index - rebuild it on the next search
+    if (changedOnDisk) {
+      this.index = null;
+    } else if (this.index) {
+      this.index.add(entry);
+      dropped.forEach(e => this.index.remove(e.id));
     }
     
-    this.save();
     return entry;
   }
   
-  // Search with relevance
-  search(query, limit = 10) {
-    const queryLower = query.toLowerCase();
-    const queryTags = this.autoTag(query).tags;
+  // Make the entries from one source file match `items` ([{ text, section, line, tags, created }]):
+  // entries whose text is still there are kept (with their reference counts), new texts are
+  // added unless memory already has them, and texts gone from the file are removed.
+  // Returns { added, kept, removed, duplicates }.
+  syncSource(source, items, { hash = null } = {}) {
+    const result = { added: [], kept: 0, removed: [], duplicates: 0 };
+    const evicted = [];
     
-    // Score each entry
-    const scored = this.insights.entries.map(entry => {
-      let score = 0;
-      
-      // Direct match
-      if (entry.text.toLowerCase().includes(queryLower)) score += 10;
-      
-      // Tag match
-      for (const tag of queryTags) {
-        if (entry.tags.includes(tag)) score += 5;
+    this.insights = this.store.update(insights => {
+      const own = new Map();
+      const elsewhere = new Set();
+      for (const e of insights.entries) {
+        if (e.source === source) own.set(normalizeText(e.text), e);
+        else elsewhere.add(normalizeText(e.text));
       }
       
-      // Priority boost
-      if (entry.priority === 'high') score += 3;
-      
-      // Recency boost
-      const hoursAgo = (Date.now() - new Date(entry.created).getTime()) / (1000 * 60 * 60);
-      if (hoursAgo < 24) score += 2;
-      else if (hoursAgo < 168) score += 1; // 1 week
+      const seen = new Set();
+      const keep = new Set();
+      for (const item of items) {
+        const key = normalizeText(item.text);
+        if (!key || seen.has(key)) {
+          result.duplicates++;
+          continue;
+        }
+        seen.add(key);
+        
+        const existing = own.get(key);
+        if (existing) {
+          // Same text, maybe moved: refresh where it lives
+          existing.section = item.section || null;
+          existing.line = item.line || null;
+          keep.add(existing.id);
+          result.kept++;
+        } else if (elsewhere.has(key)) {
+          result.duplicates++;
+        } else {
+          const { tags, priority } = this.autoTag(item.text);
+          const entry = {
+            id: null,
+            text: item.text,
+            tags: [...new Set([...tags, ...(item.tags || [])])],
+            priority,
+            source,
+            section: item.section || null,
+            line: item.line || null,
+            created: item.created || new Date().toISOString(),
+            referenced: 0,
+            lastAccessed: null,
+            pinned: false
+          };
+          evicted.push(...insertEntry(insights, entry));
+          keep.add(entry.id);
+          result.added.push(entry);
+        }
+      }
       
-      return { ...entry, score };
+      result.removed = [...own.values()].filter(e => !keep.has(e.id));
+      removeEntries(insights, result.removed.map(e => e.id));
+      insights.sources[source] = {
+        hash,
+        synced: new Date().toISOString(),
+        entries: keep.size
+      };
     });
+    this.archive(evicted);
     
-    return scored
-      .filter(e => e.score > 0)
-      .sort((a, b) => b.score - a.score)
-      .slice(0, limit);
+    this.index = null;
+    return result;
   }
   
-  // Get related entries
+  // Apply a consolidation pass: `promote` ids become high priority, each `retire`
+  // { id, into } is removed and its references move to the entry it was merged into.
+  // Returns { promoted, retired } - the entries actually changed.
+  consolidate({ promote = [], retire = [] } = {}) {
+    const result = { promoted: [], retired: [] };
+  
+    this.insights = this.store.update(insights => {
+      const byId = new Map(insights.entries.map(e => [e.id, e]));
+  
+      for (const id of promote) {
+        const entry = byId.get(id);
+        if (!entry || entry.priority === 'high') continue;
+        entry.priority = 'high';
+        entry.pinned = true;
+        entry.promoted = new Date().toISOString();
+        insights.priority_entries.push(id);
+        result.promoted.push(entry);
+      }
+  
+      for (const { id, into } of retire) {
+        const entry = byId.get(id);
+        const keeper = byId.get(into);
+        if (!entry || !keeper || id === into) continue;
+        keeper.referenced = (keeper.referenced || 0) + (entry.referenced || 0) + 1;
+        result.retired.push(entry);
+      }
+      removeEntries(insights, result.retired.map(e => e.id));
+    });
+  
+    this.index = null;
+    return result;
+  }
+  
+  // Inverted index over the entries
+  getIndex() {
+    if (!this.index) this.index = new SearchIndex(this.insights.entries);
+    return this.index;
+  }
+  
+  // Search with relevance (BM25 on the words, times the entry's decayed value; "phrases" and
+  // tag: / source: / priority: must match). The results count as read unless touch is false.
+  // e.g. search('rate limit'), search('"gap down" tag:trading'), search('source:cli priority:high')
+  search(query, limit = 10, { touch = true } = {}) {
+    const byId = new Map(this.insights.entries.map(e => [e.id, e]));
+    const decay = this.getDecay();
+    const now = Date.now();
+    
+    // Rank every match: a stale entry can drop below one the index scored lower
+    const results = this.getIndex().search(query, Infinity)
+      .filter(r => byId.has(r.id))
+      .map(r => {
+        const value = entryValue(byId.get(r.id), decay, now);
+        return { id: r.id, score: r.score * value, value };
+      })
+      .sort((a, b) => b.score - a.score || b.value - a.value)
+      .slice(0, limit)
+      .map(r => ({
+        ...byId.get(r.id),
+        score: Math.round(r.score * 100) / 100,
+        value: Math.round(r.value * 100) / 100
+      }));
+    
+    if (touch) this.touch(results.map(r => r.id));
+    return results;
+  }
+  
+  // Count a retrieval: referenced + 1 and lastAccessed = now for each id
+  touch(ids) {
+    if (ids.length === 0) return;
+    const read = new Set(ids);
+    const now = new Date().toISOString();
+    let changedOnDisk = false;
+    
+    this.insights = this.store.update(insights => {
+      changedOnDisk = insights.entries[0]?.id !== this.insights.entries[0]?.id;
+      for (const entry of insights.entries) {
+        if (!read.has(entry.id)) continue;
+        entry.referenced = (entry.referenced || 0) + 1;
+        entry.lastAccessed = now;
+      }
+    });
+    
+    // Reads don't change the text, only entries added elsewhere need a new index
+    if (changedOnDisk) this.index = null;
+  }
+  
+  // Decay settings in use (insights.json settings.decay over the defaults)
+  getDecay() {
+    return decaySettings(this.insights.settings?.decay);
+  }
+  
+  // Change the decay model, e.g. setDecay({ model: 'linear', halfLifeDays: 14 }). Throws on bad values.
+  setDecay(changes) {
+    const decay = decaySettings({ ...this.getDecay(), ...changes });
+    this.insights = this.store.update(insights => {
+      insights.settings = { ...insights.settings, decay };
+    });
+    return decay;
+  }
+  
+  // Pin (never decays, never evicted) or unpin an entry. Returns the entry, or null.
+  setPinned(id, pinned = true) {
+    let found = null;
+    this.insights = this.store.update(insights => {
+      found = insights.entries.find(e => e.id === id) || null;
+      if (found) found.pinned = pinned;
+    });
+    return found;
+  }
+  
+  // Entries with their current value, lowest (next to be evicted) first
+  getValues() {
+    const decay = this.getDecay();
+    const now = Date.now();
+    return this.insights.entries
+      .map(e => ({ ...e, value: Math.round(entryValue(e, decay, now) * 1000) / 1000 }))
+      .sort((a, b) => (a.pinned - b.pinned) || a.value - b.value);
+  }
+  
+  // Evicted entries go to cold storage (appended, one JSON line each) instead of away
+  archive(entries) {
+    if (entries.length === 0) return;
+    const archived = new Date().toISOString();
+    fs.appendFileSync(this.archiveFile, entries.map(e => JSON.stringify({ ...e, archived })).join('\n') + '\n');
+  }
+  
+  // Everything ever evicted, oldest first
+  readArchive() {
+    if (!fs.existsSync(this.archiveFile)) return [];
+    return fs.readFileSync(this.archiveFile, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => JSON.parse(line));
+  }
+  
+  // Bring an archived entry back (new id, counts as just read). Returns the entry,
+  // the live one when memory has that text again, or null when it isn't archived.
+  restore(id) {
+    const archived = this.readArchive().filter(e => e.id === id).pop();
+    if (!archived) return null;
+    
+    const { archived: _when, value: _value, ...rest } = archived;
+    const entry = { ...rest, id: null, lastAccessed: new Date().toISOString() };
+    let existing = null;
+    let dropped = [];
+    
+    this.insights = this.store.update(insights => {
+      existing = insights.entries.find(e => normalizeText(e.text) === normalizeText(entry.text)) || null;
+      if (!existing) dropped = insertEntry(insights, entry);
+    });
+    this.archive(dropped);
+    
+    this.index = null;
+    return existing || entry;
+  }
+  
+  // Get related entries (best matches for the entry's own text)
   related(entryId, limit = 5) {
     const entry = this.insights.entries.find(e => e.id === entryId);
     if (!entry) return [];
     
-    return this.search(entry.tags.join(' '), limit + 1)
+    return this.search(entry.text, limit + 1)
       .filter(e => e.id !== entryId)
       .slice(0, limit);
   }
@@ -190,7 +507,7 @@ class Memory2 {
 }
 
 // Export for use
-module.exports = { Memory2 };
+module.exports = { Memory2, INSIGHTS_VERSION, normalizeText };
 
 // CLI
 if (require.main === module) {
@@ -213,11 +530,54 @@ if (require.main === module) {
   } else if (cmd === 'priority') {
     const items = mem.getPriority();
     items.forEach(i => console.log(i.text.slice(0, 100)));
+  } else if (cmd === 'ingest') {
+    const { ingestFiles, defaultFiles, printIngest } = require('./memory_ingest.js');
+    const files = args.slice(1).filter(a => a !== '--force');
+    try {
+      printIngest(ingestFiles(mem, files.length > 0 ? files : defaultFiles(), { force: args.includes('--force') }));
+    } catch (e) {
+      console.log(e.message);
+      process.exit(1);
+    }
+  } else if ((cmd === 'pin' || cmd === 'unpin') && args[1]) {
+    const entry = mem.setPinned(Number(args[1]), cmd === 'pin');
+    console.log(entry ? `${cmd === 'pin' ? 'Pinned' : 'Unpinned'}: ${entry.text.slice(0, 80)}` : `No entry ${args[1]}`);
+  } else if (cmd === 'restore' && args[1]) {
+    const entry = mem.restore(Number(args[1]));
+    console.log(entry ? `Restored: ${entry.text.slice(0, 80)} (id ${entry.id})` : `Not in the archive: ${args[1]}`);
+  } else if (cmd === 'decay') {
+    const option = (name) => {
+      const at = args.indexOf(name);
+      return at !== -1 ? args[at + 1] : undefined;
+    };
+    const changes = {};
+    if (option('--model') !== undefined) changes.model = option('--model');
+    if (option('--half-life') !== undefined) changes.halfLifeDays = Number(option('--half-life'));
+    if (option('--floor') !== undefined) changes.floor = Number(option('--floor'));
+    
+    try {
+      const decay = Object.keys(changes).length > 0 ? mem.setDecay(changes) : mem.getDecay();
+      console.log(`Decay: ${decay.model}, half-life ${decay.halfLifeDays} days, floor ${decay.floor}`);
+    } catch (e) {
+      console.log(e.message);
+      process.exit(1);
+    }
+    
+    const values = mem.getValues();
+    console.log(`${values.filter(e => e.pinned).length} pinned, ${mem.readArchive().length} archived (${path.basename(mem.archiveFile)})`);
+    console.log('Lowest value (evicted first):');
+    values.filter(e => !e.pinned).slice(0, 5).forEach(e => {
+      console.log(`  ${e.value.toFixed(3)}  ${e.id}  x${e.referenced || 0}  ${e.text.slice(0, 60)}`);
+    });
   } else {
     console.log('Usage:');
     console.log('  node memory2.js add "your insight here"');
-    console.log('  node memory2.js search "query"');
+    console.log('  node memory2.js search "query"            (words, "exact phrase", tag:, source:, priority:, section:)');
     console.log('  node memory2.js topics');
     console.log('  node memory2.js priority');
+    console.log('  node memory2.js ingest [files...] [--force]  (MEMORY.md + memory/*.md by default)');
+    console.log('  node memory2.js pin <id> | unpin <id>');
+    console.log('  node memory2.js decay [--model exponential|linear|none] [--half-life days] [--floor 0-1]');
+    console.log('  node memory2.js restore <id>               (from the archive)');
   }
 }
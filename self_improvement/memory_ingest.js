@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * Memory Ingest - Daily notes and MEMORY.md into Memory 2.0
+ * Features:
+ * - Parses markdown: headings give the section, every bullet / numbered item /
+ *   paragraph becomes an entry, "**Label:**" lines and "Intro:" lines label the
+ *   bullets under them
+ * - Provenance on each entry: source file, section path, line
+ * - "What I Learned" / "Key Lessons" sections are tagged `lesson`
+ * - Dedupes against everything already in memory
+ * - Re-sync: unchanged files are skipped (content hash), changed files get new
+ *   items added and removed items retired
+ * - Generated digests (the MEMORY.md digest blocks, memory/digest-*.md) are
+ *   skipped - they only repeat entries memory already has (see consolidate.js)
+ *
+ * Usage: node memory_ingest.js [files...] [--force]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { DIGEST_MARKER, DIGEST_PREFIX } = require('./consolidate.js');
+
+const WORKSPACE_DIR = path.join(__dirname, '..');
+const MEMORY_DIR = path.join(WORKSPACE_DIR, 'memory');
+const MEMORY_FILE = path.join(WORKSPACE_DIR, 'MEMORY.md');
+
+// Sections whose items are lessons learned
+const LESSON_PATTERN = /learn|lesson/i;
+
+// **bold**, `code`, [text](url) -> plain text
+function cleanInline(text) {
+  return text
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Markdown -> [{ text, section, line }]. The file's # title is not part of the section.
+function parseMarkdown(markdown) {
+  const items = [];
+  const headings = []; // [{ level, title }]
+  let label = null;
+  let paragraph = null;
+  let lastBullet = null;
+  let listEnded = false; // a blank line came after a bullet
+  let inCode = false;
+  let inDigest = false;
+
+  const section = () => {
+    const parts = headings.filter(h => h.level > 1).map(h => h.title);
+    if (label) parts.push(label);
+    return parts.join(' > ');
+  };
+
+  // A paragraph ending in ':' introduces the bullets after it instead of being an item
+  const flush = () => {
+    if (paragraph) {
+      const text = cleanInline(paragraph.lines.join(' '));
+      if (text.endsWith(':')) {
+        label = text.slice(0, -1);
+      } else if (text) {
+        items.push({ text, section: section(), line: paragraph.line });
+      }
+    }
+    paragraph = null;
+    lastBullet = null;
+  };
+
+  markdown.split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    const lineNo = i + 1;
+
+    const marker = DIGEST_MARKER.exec(line);
+    if (marker) {
+      flush();
+      inDigest = marker[1] === 'start';
+      return;
+    }
+    if (inDigest) return;
+
+    if (line.startsWith('```')) {
+      flush();
+      inCode = !inCode;
+      return;
+    }
+    if (inCode) return;
+
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      while (headings.length > 0 && headings[headings.length - 1].level >= level) headings.pop();
+      headings.push({ level, title: cleanInline(heading[2]) });
+      label = null;
+      listEnded = false;
+      return;
+    }
+
+    // Blank line or --- rule
+    if (!line || /^(-{3,}|\*{3,}|_{3,})$/.test(line)) {
+      if (lastBullet) listEnded = true;
+      flush();
+      return;
+    }
+
+    // **Strengths:** on its own line labels what follows
+    const bold = /^\*\*(.+?):?\*\*:?$/.exec(line);
+    if (bold) {
+      flush();
+      label = cleanInline(bold[1]).replace(/:$/, '');
+      listEnded = false;
+      return;
+    }
+
+    const bullet = /^(?:[-*+]|\d+[.)])\s+(.*)$/.exec(line);
+    if (bullet) {
+      if (paragraph) flush();
+      listEnded = false;
+      lastBullet = { text: cleanInline(bullet[1]), section: section(), line: lineNo };
+      if (lastBullet.text) items.push(lastBullet);
+      return;
+    }
+
+    // Indented continuation of a bullet
+    if (lastBullet && /^\s/.test(raw)) {
+      lastBullet.text = cleanInline(`${lastBullet.text} ${line}`);
+      return;
+    }
+
+    // Text after a finished list is no longer under the label that introduced it
+    if (listEnded) {
+      label = null;
+      listEnded = false;
+    }
+    if (!paragraph) paragraph = { lines: [], line: lineNo };
+    paragraph.lines.push(line);
+  });
+  flush();
+
+  return items;
+}
+
+// MEMORY.md + memory/*.md (oldest first), generated digests left out
+function defaultFiles() {
+  const daily = fs.existsSync(MEMORY_DIR)
+    ? fs.readdirSync(MEMORY_DIR).filter(f => f.endsWith('.md') && !f.startsWith(DIGEST_PREFIX)).sort().map(f => path.join(MEMORY_DIR, f))
+    : [];
+  return [...(fs.existsSync(MEMORY_FILE) ? [MEMORY_FILE] : []), ...daily];
+}
+
+// memory/2026-02-25.md -> entries dated that day; anything else -> now
+function fileDate(file) {
+  const match = /(\d{4}-\d{2}-\d{2})\.md$/.exec(file);
+  return match ? new Date(`${match[1]}T12:00:00Z`).toISOString() : null;
+}
+
+// Sync each file into memory. Returns [{ source, skipped } | { source, added, kept, removed, duplicates }].
+// Throws before syncing anything when a file doesn't exist.
+function ingestFiles(memory, files = defaultFiles(), { force = false } = {}) {
+  const missing = files.filter(f => !fs.existsSync(f));
+  if (missing.length > 0) {
+    throw new Error(`Not found: ${missing.join(', ')}`);
+  }
+
+  return files.map(file => {
+    const source = path.relative(WORKSPACE_DIR, path.resolve(file)).split(path.sep).join('/');
+    const markdown = fs.readFileSync(file, 'utf8');
+    const hash = crypto.createHash('sha1').update(markdown).digest('hex').slice(0, 12);
+
+    if (!force && memory.insights.sources?.[source]?.hash === hash) {
+      return { source, skipped: true };
+    }
+
+    const created = fileDate(file);
+    const items = parseMarkdown(markdown).map(item => ({
+      ...item,
+      created,
+      tags: LESSON_PATTERN.test(item.section) ? ['lesson'] : []
+    }));
+
+    const result = memory.syncSource(source, items, { hash });
+    return {
+      source,
+      added: result.added.length,
+      kept: result.kept,
+      removed: result.removed.length,
+      duplicates: result.duplicates
+    };
+  });
+}
+
+function printIngest(results) {
+  results.forEach(r => {
+    if (r.skipped) {
+      console.log(`  ${r.source}: unchanged`);
+    } else {
+      console.log(`  ${r.source}: +${r.added} new, ${r.kept} kept, -${r.removed} removed, ${r.duplicates} duplicates`);
+    }
+  });
+}
+
+// Export
+module.exports = { parseMarkdown, defaultFiles, ingestFiles, printIngest };
+
+// CLI
+if (require.main === module) {
+  const { Memory2 } = require('./memory2.js');
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const files = args.filter(a => a !== '--force');
+
+  try {
+    const results = ingestFiles(new Memory2(), files.length > 0 ? files : defaultFiles(), { force });
+    console.log('Syncing markdown into memory:');
+    printIngest(results);
+  } catch (e) {
+    console.log(e.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,203 @@
+/**
+ * Search Index - Local full-text search for Memory 2.0
+ * Features:
+ * - Tokenizing + light suffix stemming ("rate limits" finds "rate limit")
+ * - Inverted index with term positions, updated entry by entry
+ * - BM25 ranking
+ * - Queries: words, "exact phrases", tag:trading, source:cli, priority:high,
+ *   section:"key lessons" (markdown heading an entry came from)
+ *
+ * Words are ranked (any of them may match). Phrases and fields must all match.
+ * No network, no dependencies: the index lives in memory next to the entries.
+ */
+
+// BM25 parameters (standard defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+// Fields usable as `field:value` in a query
+const FIELDS = ['tag', 'source', 'priority', 'section'];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that',
+  'the', 'their', 'then', 'there', 'they', 'this', 'to', 'was', 'we', 'were', 'what',
+  'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Light suffix stripping, enough to join plurals and verb forms:
+// limits -> limit, trading / traded / trade -> trad, stopped -> stop,
+// consolidating / consolidation -> consolid
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  let w = word;
+
+  // Plurals
+  if (w.endsWith('sses')) w = w.slice(0, -2);
+  else if (w.endsWith('ies') && w.length > 4) w = w.slice(0, -3) + 'y';
+  else if (w.endsWith('s') && !/(ss|us|sis)$/.test(w)) w = w.slice(0, -1);
+
+  // Verb forms and common noun endings
+  if (w.endsWith('ing') && w.length > 5) w = w.slice(0, -3);
+  else if (w.endsWith('ed') && w.length > 4) w = w.slice(0, -2);
+  else if (w.endsWith('ation') && w.length > 7) w = w.slice(0, -5);
+  else if (w.endsWith('ly') && w.length > 5) w = w.slice(0, -2);
+
+  // trade -> trad, so it meets trading
+  if (w.endsWith('e') && w.length > 3) w = w.slice(0, -1);
+  // consolidat(e/ing) -> consolid, same as consolidation
+  if (w.endsWith('at') && w.length > 6) w = w.slice(0, -2);
+  // stopp -> stop (but keep fill, pass, buzz)
+  if (/([^aeiouslz])\1$/.test(w)) w = w.slice(0, -1);
+
+  return w;
+}
+
+// Text -> stemmed terms in order (stop words dropped, positions kept by the caller)
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9]+(?:['.][a-z0-9]+)*/g) || [])
+    .map(t => t.replace(/'s$/, '').replace(/'/g, ''))
+    .filter(t => t && !STOP_WORDS.has(t))
+    .map(stem);
+}
+
+// 'tag:trading "rate limit" api' -> { terms: ['api'], phrases: [['rate', 'limit']], fields: { tag: ['trading'] } }
+function parseQuery(query) {
+  const parsed = { terms: [], phrases: [], fields: {} };
+  const pattern = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query))) !== null) {
+    const [, field, value, phrase, word] = match;
+    if (field && FIELDS.includes(field.toLowerCase())) {
+      const key = field.toLowerCase();
+      parsed.fields[key] = parsed.fields[key] || [];
+      parsed.fields[key].push(value.replace(/^"|"$/g, '').toLowerCase());
+    } else if (phrase !== undefined) {
+      const terms = tokenize(phrase);
+      if (terms.length > 1) parsed.phrases.push(terms);
+      else parsed.terms.push(...terms);
+    } else {
+      // An unknown field:value is just words
+      parsed.terms.push(...tokenize(word || match[0]));
+    }
+  }
+
+  // Phrase words count for ranking too
+  parsed.terms = [...new Set([...parsed.terms, ...parsed.phrases.flat()])];
+  return parsed;
+}
+
+class SearchIndex {
+  constructor(entries = []) {
+    this.docs = new Map();      // id -> { length, tags, source, priority, section }
+    this.postings = new Map();  // term -> Map(id -> [positions])
+    this.totalLength = 0;
+
+    for (const entry of entries) {
+      this.add(entry);
+    }
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  // Index one entry (re-indexes it if the id is already there)
+  add(entry) {
+    if (this.docs.has(entry.id)) this.remove(entry.id);
+
+    const terms = tokenize(entry.text || '');
+    terms.forEach((term, position) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      const docs = this.postings.get(term);
+      if (!docs.has(entry.id)) docs.set(entry.id, []);
+      docs.get(entry.id).push(position);
+    });
+
+    this.docs.set(entry.id, {
+      length: terms.length,
+      tags: (entry.tags || []).map(t => String(t).toLowerCase()),
+      source: String(entry.source || '').toLowerCase(),
+      priority: String(entry.priority || '').toLowerCase(),
+      section: String(entry.section || '').toLowerCase()
+    });
+    this.totalLength += terms.length;
+  }
+
+  remove(id) {
+    const doc = this.docs.get(id);
+    if (!doc) return false;
+
+    for (const [term, docs] of this.postings) {
+      if (docs.delete(id) && docs.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(id);
+    return true;
+  }
+
+  // tag: exact, source: prefix (source:memory/ matches every daily file), priority: exact,
+  // section: part of the heading path
+  matchesFields(doc, fields) {
+    return Object.entries(fields).every(([field, values]) => values.every(value => {
+      if (field === 'tag') return doc.tags.includes(value);
+      if (field === 'source') return doc.source.startsWith(value);
+      if (field === 'section') return doc.section.includes(value);
+      return doc.priority === value;
+    }));
+  }
+
+  // Terms at consecutive positions somewhere in the entry
+  matchesPhrase(id, phrase) {
+    const starts = this.postings.get(phrase[0])?.get(id);
+    if (!starts) return false;
+
+    return starts.some(start => phrase.every((term, i) =>
+      i === 0 || (this.postings.get(term)?.get(id) || []).includes(start + i)));
+  }
+
+  // BM25 contribution of one term to one entry
+  termScore(term, id) {
+    const docs = this.postings.get(term);
+    const tf = docs?.get(id)?.length || 0;
+    if (tf === 0) return 0;
+
+    const n = this.docs.size;
+    const idf = Math.log(1 + (n - docs.size + 0.5) / (docs.size + 0.5));
+    const avgLength = this.totalLength / n || 1;
+    const length = this.docs.get(id).length;
+    return idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * length / avgLength));
+  }
+
+  // [{ id, score }] best first. Field-only queries match with score 0.
+  search(query, limit = 10) {
+    const { terms, phrases, fields } = typeof query === 'string' ? parseQuery(query) : query;
+    if (terms.length === 0 && phrases.length === 0 && Object.keys(fields).length === 0) return [];
+
+    // Candidates: entries with any query term (or every entry for a field-only query)
+    let ids;
+    if (terms.length > 0) {
+      ids = new Set(terms.flatMap(term => [...(this.postings.get(term)?.keys() || [])]));
+    } else {
+      ids = new Set(this.docs.keys());
+    }
+
+    const results = [];
+    for (const id of ids) {
+      const doc = this.docs.get(id);
+      if (!this.matchesFields(doc, fields)) continue;
+      if (!phrases.every(phrase => this.matchesPhrase(id, phrase))) continue;
+
+      const score = terms.reduce((sum, term) => sum + this.termScore(term, id), 0);
+      results.push({ id, score });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+// Export
+module.exports = { FIELDS, stem, tokenize, parseQuery, SearchIndex };
@@ -19,6 +19,8 @@ const SELF_IMP_DIR = path.join(__dirname);
 const { Memory2 } = require('./memory2.js');
 const { PerformanceTracker } = require('./tracker.js');
 const { SelfAnalyzer } = require('./self_analyzer.js');
+const { ingestFiles, defaultFiles, printIngest } = require('./memory_ingest.js');
+const { consolidate, printConsolidation } = require('./consolidate.js');
 
 // Initialize
 const memory = new Memory2();
@@ -35,6 +37,38 @@ const commands = {
     return entry;
   },
   
+  // Sync MEMORY.md + memory/*.md (or the given files) into memory
+  'ingest': (args) => {
+    const files = args.filter(a => a !== '--force');
+    let results;
+    try {
+      results = ingestFiles(memory, files.length > 0 ? files : defaultFiles(), { force: args.includes('--force') });
+    } catch (e) {
+      console.log(e.message);
+      process.exitCode = 1;
+      return null;
+    }
+    console.log('Syncing markdown into memory:');
+    printIngest(results);
+    return results;
+  },
+  
+  // Digest recent memory + learnings into MEMORY.md and memory/digest-<date>.md
+  'consolidate': (args) => {
+    const period = args.includes('weekly') ? 'weekly' : 'daily';
+    const dryRun = args.includes('--dry-run');
+    const sinceAt = args.indexOf('--since');
+    const since = sinceAt !== -1 ? args[sinceAt + 1] : null;
+    if (sinceAt !== -1 && (!since || isNaN(new Date(since)))) {
+      console.log('Usage: node self_improve.js consolidate [weekly] [--since YYYY-MM-DD] [--dry-run]');
+      process.exitCode = 1;
+      return null;
+    }
+    const result = consolidate(memory, tracker, { period, since, dryRun });
+    printConsolidation(result, { dryRun });
+    return result;
+  },
+  
   // Search memory
   'remember': (args) => {
     const query = args.join(' ');
@@ -42,7 +76,9 @@ const commands = {
     console.log(`Found ${results.length} results for "${query}":\n`);
     results.forEach(r => {
       console.log(`[${r.score}] ${r.tags.join(', ')}`);
-      console.log(`  ${r.text.slice(0, 100)}...\n`);
+      console.log(`  ${r.text.slice(0, 100)}...`);
+      if (r.section) console.log(`  (${r.source}: ${r.section})`);
+      console.log('');
     });
   },
   
@@ -170,6 +206,8 @@ Commands:
   learn <text>         - Add insight to memory
   remember <query>    - Search memory
   topics              - Show tracked topics
+  ingest [files]      - Sync MEMORY.md + memory/*.md into memory (--force)
+  consolidate [weekly] - Merge duplicates, promote, write the digest (--since, --dry-run)
   
   record <strat> <outcome> - Record strategy outcome
   stats               - Show performance stats
@@ -0,0 +1,189 @@
+/**
+ * Storage - Safe JSON files for Memory 2.0 and the Performance Tracker
+ * Features:
+ * - Atomic writes (temp file + rename, a reader never sees half a file)
+ * - Lock file around read-modify-write, so two processes (two CLI runs, or
+ *   the scanner recording outcomes while self_improve.js runs) don't clobber
+ *   each other's changes
+ * - Versioned migrations: older files are upgraded on load (with a backup),
+ *   files from a newer version are refused instead of overwritten
+ *
+ * Usage:
+ *   const store = new JsonStore(file, { version: '2.1', create: () => ({ ... }), migrations: [
+ *     { from: '2.0', to: '2.1', migrate: (data) => data }
+ *   ] });
+ *   const data = store.read();
+ *   store.update(data => { data.entries.push(x); });
+ */
+
+const fs = require('fs');
+
+const LOCK_TIMEOUT = 5000;   // ms to wait for another writer
+const LOCK_STALE = 30000;    // a lock this old was left behind by a crashed process
+const LOCK_RETRY = 25;       // ms between attempts
+
+class StorageError extends Error {
+  constructor(file, message) {
+    super(`${file}: ${message}`);
+    this.name = 'StorageError';
+    this.file = file;
+  }
+}
+
+// The CLIs are synchronous, so waiting for a lock blocks
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// '2.0' < '2.1' < '10.0'
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(Number);
+  const pb = String(b).split('.').map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Write text to a temp file next to the target, flush, then rename over it
+function writeFileAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+// Same for JSON data (pretty-printed)
+function writeAtomic(file, data) {
+  writeFileAtomic(file, JSON.stringify(data, null, 2));
+}
+
+class JsonStore {
+  constructor(file, { version, create, migrations = [] }) {
+    this.file = file;
+    this.lockFile = `${file}.lock`;
+    this.version = version;
+    this.create = create;
+    this.migrations = migrations;
+  }
+
+  // Run fn while holding the lock file
+  withLock(fn) {
+    const started = Date.now();
+    let fd = null;
+
+    while (fd === null) {
+      try {
+        fd = fs.openSync(this.lockFile, 'wx');
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+
+        // Left behind by a process that died mid-write
+        try {
+          if (Date.now() - fs.statSync(this.lockFile).mtimeMs > LOCK_STALE) {
+            fs.unlinkSync(this.lockFile);
+            continue;
+          }
+        } catch (statError) {
+          continue; // released in the meantime
+        }
+
+        if (Date.now() - started > LOCK_TIMEOUT) {
+          throw new StorageError(this.file, `locked by another process for ${LOCK_TIMEOUT / 1000}s (delete ${this.lockFile} if nothing is running)`);
+        }
+        sleep(LOCK_RETRY);
+      }
+    }
+
+    try {
+      fs.writeSync(fd, `${process.pid} ${new Date().toISOString()}\n`);
+      return fn();
+    } finally {
+      fs.closeSync(fd);
+      try {
+        fs.unlinkSync(this.lockFile);
+      } catch (e) {}
+    }
+  }
+
+  // Upgrade data through the migrations to the current version
+  migrate(data) {
+    let migrated = data;
+
+    while (String(migrated.version) !== this.version) {
+      const from = String(migrated.version);
+      if (compareVersions(from, this.version) > 0) {
+        throw new StorageError(this.file, `version ${from} is newer than this code (${this.version}) - update before writing to it`);
+      }
+
+      const step = this.migrations.find(m => m.from === from);
+      if (!step) {
+        throw new StorageError(this.file, `no migration from version ${from} to ${this.version}`);
+      }
+      migrated = { ...step.migrate(migrated), version: step.to };
+    }
+
+    return migrated;
+  }
+
+  // Current data from disk (a new file when there is none)
+  readRaw() {
+    if (!fs.existsSync(this.file)) return this.create();
+
+    const text = fs.readFileSync(this.file, 'utf8');
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      // Keep the broken file instead of overwriting it with an empty one
+      const aside = `${this.file}.corrupt-${Date.now()}`;
+      fs.renameSync(this.file, aside);
+      console.warn(`⚠️  ${this.file} was not valid JSON (${e.message}) - moved to ${aside}, starting fresh`);
+      return this.create();
+    }
+  }
+
+  // Load (and migrate) the file. An upgraded file is written back once, the
+  // original kept as <file>.v<old version>.bak
+  read() {
+    const data = this.readRaw();
+    if (String(data.version) === this.version) return data;
+
+    return this.withLock(() => {
+      const fresh = this.readRaw();
+      const from = String(fresh.version);
+      const migrated = this.migrate(fresh);
+      if (from !== this.version && fs.existsSync(this.file)) {
+        fs.copyFileSync(this.file, `${this.file}.v${from}.bak`);
+        writeAtomic(this.file, migrated);
+      }
+      return migrated;
+    });
+  }
+
+  // Replace the whole file
+  write(data) {
+    this.withLock(() => writeAtomic(this.file, data));
+    return data;
+  }
+
+  // Read-modify-write under the lock: fn gets the latest data on disk (changes
+  // by other processes included) and edits it in place or returns a new object
+  update(fn) {
+    return this.withLock(() => {
+      const current = this.migrate(this.readRaw());
+      const result = fn(current);
+      const data = result === undefined ? current : result;
+      writeAtomic(this.file, data);
+      return data;
+    });
+  }
+}
+
+// Export
+module.exports = { StorageError, JsonStore, compareVersions, writeFileAtomic, writeAtomic };
@@ -0,0 +1,82 @@
+/**
+ * Consolidation digests in MEMORY.md (consolidate.js): one block per period,
+ * an older shared block taken over, and ingest skipping every block.
+ * Every test works in its own temp directory.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { consolidate } = require('../consolidate.js');
+const { parseMarkdown } = require('../memory_ingest.js');
+const { Memory2 } = require('../memory2.js');
+
+let dir;
+let memoryFile;
+let memoryDir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'consolidate-test-'));
+  memoryFile = path.join(dir, 'MEMORY.md');
+  memoryDir = path.join(dir, 'memory');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const NOW = new Date('2026-10-19T18:00:00Z');
+
+// A tracker with one learning from an hour before NOW
+const tracker = (lesson) => ({
+  data: { learnings: [{ lesson, source: 'gamma_scanner', timestamp: new Date(NOW.getTime() - 3600000).toISOString() }] }
+});
+
+function run(period, lesson) {
+  const memory = new Memory2(path.join(dir, 'insights.json'));
+  return consolidate(memory, tracker(lesson), { period, now: NOW, memoryFile, memoryDir });
+}
+
+test('daily and weekly runs each replace only their own MEMORY.md block', () => {
+  fs.writeFileSync(memoryFile, '# Memory\n\n- Written by hand\n');
+
+  run('daily', 'Check the rate limits first');
+  run('weekly', 'Gap fills take three days');
+  run('daily', 'Cache the bars between scans');
+
+  const markdown = fs.readFileSync(memoryFile, 'utf8');
+  assert.strictEqual(markdown.match(/<!-- digest:daily:start -->/g).length, 1);
+  assert.strictEqual(markdown.match(/<!-- digest:weekly:start -->/g).length, 1);
+  assert.ok(markdown.includes('Memory Digest - 2026-W43 (weekly)'));
+  assert.ok(markdown.includes('Gap fills take three days'));
+  assert.ok(markdown.includes('Cache the bars between scans'));
+  assert.ok(!markdown.includes('Check the rate limits first'));
+  assert.ok(markdown.startsWith('# Memory\n\n- Written by hand\n'));
+});
+
+test('the next run takes over an older shared digest block', () => {
+  fs.writeFileSync(memoryFile, '# Memory\n\n<!-- digest:start -->\n## Memory Digest - old\n\n- Stale\n<!-- digest:end -->\n\n- After\n');
+
+  run('weekly', 'Gap fills take three days');
+
+  const markdown = fs.readFileSync(memoryFile, 'utf8');
+  assert.ok(!markdown.includes('<!-- digest:start -->'));
+  assert.ok(!markdown.includes('Stale'));
+  assert.match(markdown, /^# Memory\n\n<!-- digest:weekly:start -->\n## Memory Digest - 2026-W43 \(weekly\)/);
+  assert.ok(markdown.endsWith('<!-- digest:weekly:end -->\n\n- After\n'));
+});
+
+test('ingest skips every digest block', () => {
+  const markdown = [
+    '- Kept',
+    '<!-- digest:daily:start -->', '- Daily digest line', '<!-- digest:daily:end -->',
+    '<!-- digest:weekly:start -->', '- Weekly digest line', '<!-- digest:weekly:end -->',
+    '<!-- digest:start -->', '- Legacy digest line', '<!-- digest:end -->',
+    '- Also kept'
+  ].join('\n');
+
+  assert.deepStrictEqual(parseMarkdown(markdown).map(i => i.text), ['Kept', 'Also kept']);
+});
@@ -0,0 +1,39 @@
+/**
+ * Markdown ingest (memory_ingest.js): a missing file is reported before
+ * anything is synced. Every test works in its own temp directory.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { ingestFiles } = require('../memory_ingest.js');
+const { Memory2 } = require('../memory2.js');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a missing file fails the whole ingest before any file is synced', () => {
+  const file = path.join(dir, 'insights.json');
+  const notes = path.join(dir, 'notes.md');
+  fs.writeFileSync(notes, '# Lessons\n\n- Always check API rate limits\n');
+  const memory = new Memory2(file);
+  const before = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+  assert.throws(() => ingestFiles(memory, [notes, path.join(dir, 'nope.md')]), {
+    message: `Not found: ${path.join(dir, 'nope.md')}`
+  });
+  assert.strictEqual(fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null, before);
+
+  const [result] = ingestFiles(memory, [notes]);
+  assert.strictEqual(result.added, 1);
+});
@@ -0,0 +1,114 @@
+/**
+ * Memory search (search_index.js): stemming, query parsing, BM25 ranking
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { stem, tokenize, parseQuery, SearchIndex } = require('../search_index.js');
+
+const ENTRIES = [
+  { id: 1, text: 'Always check API rate limits before a scan', tags: ['api', 'lesson'], source: 'cli', priority: 'high' },
+  { id: 2, text: 'Gap down stocks that consolidate tightly can squeeze', tags: ['trading'], source: 'memory/2026-03-02.md', section: 'key lessons' },
+  { id: 3, text: 'Limit orders for options, never market orders', tags: ['trading'], source: 'cli', priority: 'normal' },
+  { id: 4, text: 'The scanner stopped at the Finnhub rate cap', tags: ['api'], source: 'memory/2026-03-03.md', priority: 'low' },
+  { id: 5, text: 'Down days after a gap are common', tags: ['trading'], source: 'cli' }
+];
+
+test('stemming joins plurals and verb forms', () => {
+  assert.strictEqual(stem('limits'), 'limit');
+  assert.strictEqual(stem('limit'), 'limit');
+  assert.strictEqual(stem('trade'), 'trad');
+  assert.strictEqual(stem('trading'), 'trad');
+  assert.strictEqual(stem('traded'), 'trad');
+  assert.strictEqual(stem('stopped'), 'stop');
+  assert.strictEqual(stem('consolidation'), 'consolid');
+  assert.strictEqual(stem('consolidating'), 'consolid');
+  assert.strictEqual(stem('consolidate'), 'consolid');
+});
+
+test('stemming leaves short words, numbers and double-s endings alone', () => {
+  assert.strictEqual(stem('gap'), 'gap');
+  assert.strictEqual(stem('v4'), 'v4');
+  assert.strictEqual(stem('pass'), 'pass');
+  assert.strictEqual(stem('fill'), 'fill');
+  assert.strictEqual(stem('status'), 'status');
+});
+
+test('tokenize drops stop words and stems the rest', () => {
+  assert.deepStrictEqual(tokenize('Always check the API rate limits!'), ['alway', 'check', 'api', 'rat', 'limit']);
+  assert.deepStrictEqual(tokenize("Finnhub's quotes"), ['finnhub', 'quot']);
+});
+
+test('parseQuery splits words, phrases and fields', () => {
+  assert.deepStrictEqual(parseQuery('tag:trading "rate limit" api'), {
+    terms: ['api', 'rat', 'limit'],
+    phrases: [['rat', 'limit']],
+    fields: { tag: ['trading'] }
+  });
+});
+
+test('parseQuery takes quoted field values and repeated fields', () => {
+  assert.deepStrictEqual(parseQuery('section:"Key Lessons" tag:api tag:lesson'), {
+    terms: [],
+    phrases: [],
+    fields: { section: ['key lessons'], tag: ['api', 'lesson'] }
+  });
+});
+
+test('parseQuery treats a one-word phrase and an unknown field as words', () => {
+  assert.deepStrictEqual(parseQuery('"gaps" color:red'), {
+    terms: ['gap', 'color', 'red'],
+    phrases: [],
+    fields: {}
+  });
+});
+
+test('"rate limit" ranks "Always check API rate limits" first', () => {
+  const index = new SearchIndex(ENTRIES);
+  const results = index.search('rate limit');
+
+  assert.strictEqual(results[0].id, 1);
+  // Entries with only one of the words follow
+  assert.deepStrictEqual(results.slice(1).map(r => r.id).sort(), [3, 4]);
+  assert.ok(results[0].score > results[1].score);
+});
+
+test('a phrase must appear in order', () => {
+  const index = new SearchIndex(ENTRIES);
+
+  assert.deepStrictEqual(index.search('"gap down"').map(r => r.id), [2]);
+  assert.deepStrictEqual(index.search('"down gap"').map(r => r.id), []);
+  // Without quotes both gap entries match
+  assert.deepStrictEqual(index.search('gap down').map(r => r.id).sort(), [2, 5]);
+});
+
+test('a field-only query matches every entry with the field, score 0', () => {
+  const index = new SearchIndex(ENTRIES);
+
+  const results = index.search('tag:trading source:cli');
+  assert.deepStrictEqual(results.map(r => r.id).sort(), [3, 5]);
+  assert.ok(results.every(r => r.score === 0));
+
+  assert.deepStrictEqual(index.search('source:memory/').map(r => r.id).sort(), [2, 4]);
+  assert.deepStrictEqual(index.search('section:lessons').map(r => r.id), [2]);
+  assert.deepStrictEqual(index.search('priority:high').map(r => r.id), [1]);
+});
+
+test('fields narrow a word query', () => {
+  const index = new SearchIndex(ENTRIES);
+  assert.deepStrictEqual(index.search('rate tag:api priority:low').map(r => r.id), [4]);
+});
+
+test('re-adding an entry re-indexes it and remove drops it', () => {
+  const index = new SearchIndex(ENTRIES);
+  index.add({ id: 1, text: 'Cache quotes between runs', tags: [] });
+
+  assert.strictEqual(index.size, 5);
+  assert.deepStrictEqual(index.search('rate').map(r => r.id), [4]);
+  assert.deepStrictEqual(index.search('quotes').map(r => r.id), [1]);
+
+  assert.strictEqual(index.remove(1), true);
+  assert.strictEqual(index.remove(1), false);
+  assert.deepStrictEqual(index.search('quotes'), []);
+});
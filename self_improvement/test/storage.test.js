@@ -0,0 +1,145 @@
+/**
+ * Storage (storage.js): migrations with backups, newer versions refused,
+ * stale locks, corrupt files. Every test works in its own temp directory.
+ */
+
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { JsonStore, StorageError, compareVersions } = require('../storage.js');
+const { Memory2, INSIGHTS_VERSION } = require('../memory2.js');
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+function counterStore(file) {
+  return new JsonStore(file, {
+    version: '1.1',
+    create: () => ({ version: '1.1', count: 0 }),
+    migrations: [{ from: '1.0', to: '1.1', migrate: (data) => ({ ...data, count: data.count ?? 0 }) }]
+  });
+}
+
+test('compareVersions orders by number, not by text', () => {
+  assert.ok(compareVersions('2.0', '2.1') < 0);
+  assert.ok(compareVersions('10.0', '9.0') > 0);
+  assert.strictEqual(compareVersions('2.3', '2.3'), 0);
+});
+
+test('a 2.0 insights file is migrated to the current version with a .v2.0.bak backup', () => {
+  const file = path.join(dir, 'insights.json');
+  const original = {
+    version: '2.0',
+    entries: [
+      { id: 2, text: 'Check rate limits', tags: ['api'], priority: 'high' },
+      { id: 1, text: 'Written by hand' }
+    ],
+    topic_map: { api: [2, 99], gone: [99] },
+    priority_entries: [2, 99]
+  };
+  fs.writeFileSync(file, JSON.stringify(original));
+
+  const memory = new Memory2(file);
+
+  assert.strictEqual(INSIGHTS_VERSION, '2.3');
+  assert.deepStrictEqual(readJson(`${file}.v2.0.bak`), original);
+
+  const migrated = readJson(file);
+  assert.strictEqual(migrated.version, '2.3');
+  assert.deepStrictEqual(migrated, memory.insights);
+  // 2.0 -> 2.1: ids of evicted entries pruned, missing fields filled
+  assert.deepStrictEqual(migrated.topic_map, { api: [2] });
+  assert.deepStrictEqual(migrated.priority_entries, [2]);
+  assert.deepStrictEqual(migrated.entries[1].tags, []);
+  assert.strictEqual(migrated.entries[1].priority, 'normal');
+  // 2.1 -> 2.2 and 2.2 -> 2.3
+  assert.deepStrictEqual(migrated.sources, {});
+  assert.strictEqual(migrated.entries[0].pinned, true);
+  assert.strictEqual(migrated.entries[1].pinned, false);
+  assert.strictEqual(migrated.entries[1].lastAccessed, null);
+  assert.strictEqual(migrated.settings.decay.model, 'exponential');
+  assert.strictEqual(fs.existsSync(`${file}.lock`), false);
+});
+
+test('a current file is read as it is, without a backup', () => {
+  const file = path.join(dir, 'counter.json');
+  fs.writeFileSync(file, JSON.stringify({ version: '1.1', count: 3 }));
+
+  assert.deepStrictEqual(counterStore(file).read(), { version: '1.1', count: 3 });
+  assert.deepStrictEqual(fs.readdirSync(dir), ['counter.json']);
+});
+
+test('a file from a newer version is refused and left untouched', () => {
+  const file = path.join(dir, 'insights.json');
+  const text = JSON.stringify({ version: '9.0', entries: [] });
+  fs.writeFileSync(file, text);
+
+  assert.throws(() => new Memory2(file), (e) => {
+    assert.ok(e instanceof StorageError);
+    assert.strictEqual(e.file, file);
+    assert.match(e.message, /version 9\.0 is newer than this code \(2\.3\)/);
+    return true;
+  });
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), text);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['insights.json']);
+});
+
+test('a version without a migration path is refused', () => {
+  const file = path.join(dir, 'counter.json');
+  fs.writeFileSync(file, JSON.stringify({ version: '0.9' }));
+
+  assert.throws(() => counterStore(file).read(), /no migration from version 0\.9 to 1\.1/);
+});
+
+test('a stale lock left by a crashed process is taken over', () => {
+  const file = path.join(dir, 'counter.json');
+  const lock = `${file}.lock`;
+  fs.writeFileSync(lock, '12345 crashed\n');
+  const old = new Date(Date.now() - 60000);
+  fs.utimesSync(lock, old, old);
+
+  const store = counterStore(file);
+  store.update(data => { data.count++; });
+
+  assert.deepStrictEqual(readJson(file), { version: '1.1', count: 1 });
+  assert.strictEqual(fs.existsSync(lock), false);
+});
+
+test('update merges into the latest data on disk', () => {
+  const file = path.join(dir, 'counter.json');
+  const first = counterStore(file);
+  const second = counterStore(file);
+
+  first.update(data => { data.count++; });
+  second.update(data => { data.count++; });
+  first.update(data => ({ ...data, count: data.count + 10 }));
+
+  assert.deepStrictEqual(readJson(file), { version: '1.1', count: 12 });
+  // The temp file was renamed over the target
+  assert.deepStrictEqual(fs.readdirSync(dir), ['counter.json']);
+});
+
+test('invalid JSON is moved aside instead of overwritten', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const file = path.join(dir, 'counter.json');
+  fs.writeFileSync(file, '{"version": "1.1", "count": ');
+
+  assert.deepStrictEqual(counterStore(file).read(), { version: '1.1', count: 0 });
+
+  const aside = fs.readdirSync(dir).filter(f => f.startsWith('counter.json.corrupt-'));
+  assert.strictEqual(aside.length, 1);
+  assert.strictEqual(fs.readFileSync(path.join(dir, aside[0]), 'utf8'), '{"version": "1.1", "count": ');
+  assert.strictEqual(console.warn.mock.calls.length, 1);
+});
@@ -4,37 +4,63 @@
  * Performance Tracker
  * Track success/failure of my advice and strategies
  * Learn from what works and what doesn't
+ * Writes go through storage.js (locked, atomic, migrated on load)
  */
 
-const fs = require('fs');
 const path = require('path');
+const { JsonStore } = require('./storage.js');
 
 const TRACKER_FILE = path.join(__dirname, 'performance.json');
 
+// performance.json format version + how older files are upgraded
+const TRACKER_VERSION = '1.1';
+const TRACKER_MIGRATIONS = [
+  {
+    // 1.0 files may lack collections added later (e.g. learnings)
+    from: '1.0',
+    to: '1.1',
+    migrate(data) {
+      return {
+        ...data,
+        sessions: data.sessions || [],
+        strategies: data.strategies || {},
+        mistakes: data.mistakes || [],
+        wins: data.wins || [],
+        learnings: data.learnings || []
+      };
+    }
+  }
+];
+
+function createData() {
+  return {
+    version: TRACKER_VERSION,
+    created: new Date().toISOString(),
+    sessions: [],
+    strategies: {},
+    mistakes: [],
+    wins: [],
+    learnings: []
+  };
+}
+
 class PerformanceTracker {
-  constructor() {
+  constructor(file = TRACKER_FILE) {
+    this.store = new JsonStore(file, {
+      version: TRACKER_VERSION,
+      create: createData,
+      migrations: TRACKER_MIGRATIONS
+    });
     this.data = this.load();
   }
   
   load() {
-    try {
-      if (fs.existsSync(TRACKER_FILE)) {
-        return JSON.parse(fs.readFileSync(TRACKER_FILE, 'utf8'));
-      }
-    } catch (e) {}
-    return {
-      version: "1.0",
-      created: new Date().toISOString(),
-      sessions: [],
-      strategies: {},
-      mistakes: [],
-      wins: [],
-      learnings: []
-    };
+    return this.store.read();
   }
   
+  // Replace the file with this.data (record() / learn() merge with the file instead)
   save() {
-    fs.writeFileSync(TRACKER_FILE, JSON.stringify(this.data, null, 2));
+    this.store.write(this.data);
   }
   
   // Record an outcome
@@ -47,28 +73,30 @@ class PerformanceTracker {
       timestamp: new Date().toISOString()
     };
     
-    this.data.sessions.unshift(entry);
-    
-    // Track by strategy
-    if (!this.data.strategies[strategy]) {
-      this.data.strategies[strategy] = { attempts: 0, successes: 0, failures: 0 };
-    }
-    
-    this.data.strategies[strategy].attempts++;
-    if (outcome === 'success') {
-      this.data.strategies[strategy].successes++;
-      this.data.wins.push(entry);
-    } else if (outcome === 'failure') {
-      this.data.strategies[strategy].failures++;
-      this.data.mistakes.push(entry);
-    }
-    
-    // Limit history
-    if (this.data.sessions.length > 500) {
-      this.data.sessions = this.data.sessions.slice(0, 500);
-    }
+    // Merge into the latest file - another process may have recorded since we loaded
+    this.data = this.store.update(data => {
+      data.sessions.unshift(entry);
+      
+      // Track by strategy
+      if (!data.strategies[strategy]) {
+        data.strategies[strategy] = { attempts: 0, successes: 0, failures: 0 };
+      }
+      
+      data.strategies[strategy].attempts++;
+      if (outcome === 'success') {
+        data.strategies[strategy].successes++;
+        data.wins.push(entry);
+      } else if (outcome === 'failure') {
+        data.strategies[strategy].failures++;
+        data.mistakes.push(entry);
+      }
+      
+      // Limit history
+      if (data.sessions.length > 500) {
+        data.sessions = data.sessions.slice(0, 500);
+      }
+    });
     
-    this.save();
     return entry;
   }
   
@@ -81,14 +109,15 @@ class PerformanceTracker {
       timestamp: new Date().toISOString()
     };
     
-    this.data.learnings.unshift(entry);
-    
-    // Limit
-    if (this.data.learnings.length > 200) {
-      this.data.learnings = this.data.learnings.slice(0, 200);
-    }
+    this.data = this.store.update(data => {
+      data.learnings.unshift(entry);
+      
+      // Limit
+      if (data.learnings.length > 200) {
+        data.learnings = data.learnings.slice(0, 200);
+      }
+    });
     
-    this.save();
     return entry;
   }
   
@@ -186,7 +215,7 @@ class PerformanceTracker {
 }
 
 // Export
-module.exports = { PerformanceTracker };
+module.exports = { PerformanceTracker, TRACKER_VERSION };
 
 // CLI
 if (require.main === module) {